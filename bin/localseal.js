@@ -0,0 +1,544 @@
+#!/usr/bin/env node
+/**
+ * localseal.js
+ * Interface en ligne de commande de LocalSeal (traitements par lot headless, hors ligne)
+ *
+ *   localseal redact in.pdf -o out.pdf --style fill --report audit.json
+ *   localseal redact "scans/*.{jpg,png}" archives/ -o anonymized/ --concurrency 2
+ *   localseal redact factures/ -o out/ --policy invoice (ou --policy equipe.json)
+ *
+ * Code de sortie : 0 si tous les fichiers sont traités, 1 en cas d'échec, 2 si la commande est invalide
+ */
+
+import { parseArgs } from 'node:util';
+import { readFile, writeFile, readdir, stat, mkdir, access } from 'node:fs/promises';
+import { openAsBlob } from 'node:fs';
+import path from 'node:path';
+import { LocalSealEngine } from '../js/LocalSealEngine.js';
+import { ImageService } from '../js/services/ImageService.js';
+import { OCRService } from '../js/services/OCRService.js';
+import { PolicyManager } from '../js/services/PolicyManager.js';
+import { VaultService } from '../js/services/VaultService.js';
+import { TextExportService } from '../js/services/TextExportService.js';
+import { PreprocessService } from '../js/services/PreprocessService.js';
+import { LanguageManager } from '../js/services/LanguageManager.js';
+import { NodePlatform } from '../js/platform/NodePlatform.js';
+
+const SUPPORTED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.pdf'];
+
+const USAGE = `Usage: localseal redact <fichiers|dossiers|globs...> [options]
+
+Options:
+  -o, --output <chemin>     Fichier de sortie (une seule entrée : .pdf pour un PDF, .jpg pour
+                            une image) ou dossier de sortie (par défaut : à côté de chaque
+                            fichier, suffixe _anonymized)
+  -s, --style <style>       Style de caviardage : ${ImageService.REDACTION_STYLES.join(', ')} (pixelate)
+  -p, --policy <profil>     Profil de caviardage : ${PolicyManager.BUILT_IN.map(p => p.id).join(', ')},
+                            ou fichier JSON exporté depuis l'application
+      --pseudonymize        Pseudonymes cohérents sur toute la série (Person A, Org 2...)
+      --text <formats>      Exports texte anonymisés à côté de chaque fichier : txt,json,md
+      --vault               Coffre de ré-identification chiffré à côté de chaque fichier
+                            (phrase secrète lue dans LOCALSEAL_VAULT_PASSPHRASE)
+      --intensity <n>       Intensité du flou / de la pixelisation, 1-50 (20)
+      --quality <q>         Qualité JPEG des fichiers produits, 0-1 (0.92)
+  -r, --report <fichier>    Rapport d'audit agrégé (.json ou .csv)
+  -l, --lang <langues>      Langues OCR Tesseract (fra+eng), ou auto : détectée sur chaque fichier
+                            parmi les modèles de --lang-path (${LanguageManager.PACKS.map(p => p.code).join(', ')} sans --lang-path)
+      --lang-path <dossier> Dossier local des fichiers <langue>.traineddata[.gz] (mode hors ligne)
+      --ocr-only            Ignore la couche texte des PDF natifs (OCR sur toutes les pages)
+      --preprocess <étapes> Nettoyage des scans avant l'OCR : all, ou parmi
+                            ${PreprocessService.STEPS.join(',')}
+      --ocr-max-size <px>   Plus grand côté de la copie lue par l'OCR, 0 : sans limite (${ImageService.OCR_RESOLUTION.maxDimension})
+      --ocr-dpi <dpi>       Résolution de cette copie si le fichier la déclare, 0 : ignorée (${ImageService.OCR_RESOLUTION.dpi})
+      --ocr-tile-mp <n>     Lecture par tuiles au-delà de n mégapixels, 0 : jamais (${OCRService.TILING.maxPixels / 1e6})
+      --rotate <mode>       Pages de côté ou à l'envers : auto (lues redressées), upright
+                            (fichiers produits redressés) ou off (auto)
+      --searchable          PDF produits recherchables (couche texte invisible)
+      --redacted-text <m>   Texte caviardé dans cette couche : label ou omit (label)
+  -c, --concurrency <n>     Nombre de fichiers traités en parallèle (1)
+      --ocr-workers <n>     Workers Tesseract en parallèle, 1-16 (cœurs du poste, ${OCRService.POOL.maxWorkers} au plus)
+  -q, --quiet               N'affiche que les erreurs
+  -h, --help                Affiche cette aide`;
+
+/**
+ * Erreur de ligne de commande (code de sortie 2)
+ */
+class UsageError extends Error {}
+
+async function main(argv) {
+    const { values, positionals } = parseCommandLine(argv);
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const [command, ...patterns] = positionals;
+    if (command !== 'redact') {
+        throw new UsageError(command ? `Commande inconnue : ${command}` : 'Commande manquante');
+    }
+    if (patterns.length === 0) {
+        throw new UsageError('Aucun fichier en entrée');
+    }
+
+    const options = validateOptions(values);
+    const policy = values.policy ? await loadPolicy(values.policy) : null;
+    const inputs = await expandInputs(patterns);
+    if (inputs.length === 0) {
+        throw new UsageError('Aucun fichier supporté ne correspond aux entrées');
+    }
+
+    const outputFor = await resolveOutputs(inputs, values.output);
+    const log = values.quiet ? () => {} : (message) => console.log(message);
+
+    // Mode auto : la langue de chaque fichier est choisie parmi les modèles installés
+    const languageCandidates = values.lang === LanguageManager.AUTO
+        ? await installedLanguages(values['lang-path'])
+        : undefined;
+
+    const platform = await NodePlatform.create();
+    const engine = new LocalSealEngine(null, {
+        platform,
+        language: values.lang,
+        ocrWorkers: options.ocrWorkers,
+        workerOptions: await workerOptionsFor(languageCandidates?.join('+') ?? values.lang, values['lang-path'])
+    });
+
+    engine.onError((error, { fileName }) => console.error(`✗ ${fileName}: ${error.message}`));
+
+    // Ctrl+C annule proprement la série (OCR en cours compris)
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort(new DOMException('Interrupted', 'AbortError')));
+
+    const writes = [];
+    let batch;
+
+    try {
+        // Fichiers adossés au disque : chacun n'est lu qu'au moment de son traitement
+        const files = await Promise.all(inputs.map(async (input) =>
+            new File([await openAsBlob(input)], path.basename(input))
+        ));
+
+        batch = await engine.processBatch(files, {
+            anonymize: true,
+            redactionStyle: options.style,
+            policy,
+            pseudonymize: values.pseudonymize,
+            vault: options.vault,
+            textExports: options.textExports,
+            blurIntensity: options.intensity,
+            quality: options.quality,
+            audit: Boolean(values.report),
+            useTextLayer: !values['ocr-only'],
+            preprocess: options.preprocess,
+            ocrResolution: options.ocrResolution,
+            ocrTiling: options.ocrTiling,
+            autoRotate: options.autoRotate,
+            languageCandidates,
+            searchable: values.searchable,
+            redactedText: options.redactedText,
+            concurrency: options.concurrency,
+            archive: false,
+            signal: controller.signal,
+            onFileComplete: (file, index, result) => {
+                const target = outputFor(inputs[index], result.file.name);
+                if (result.vault) {
+                    writes.push(writeOutput(`${target}.vault.json`, result.vault));
+                }
+                Object.entries(result.exports || {}).forEach(([format, exported]) => {
+                    writes.push(writeOutput(target.replace(/\.\w+$/, `.${format}`), exported));
+                });
+                writes.push(writeOutput(target, result.file).then(() => {
+                    log(`✓ ${inputs[index]} → ${target} (${result.entitiesFound} entité(s) masquée(s))`);
+                    if (result.lowConfidence > 0) {
+                        log(`  ${result.lowConfidence} zone(s) sous le seuil de confiance du profil, masquée(s) : à vérifier`);
+                    }
+                    if (result.metadata?.entries.length > 0) {
+                        log(`  métadonnées retirées : ${result.metadata.categories.join(', ')}`);
+                    }
+                    if (languageCandidates) {
+                        const detected = [...new Set(result.pages.map(page => page.language).filter(Boolean))];
+                        if (detected.length > 0) log(`  langue OCR : ${detected.join(', ')}`);
+                    }
+                    result.pages.filter(page => page.orientation?.angle).forEach(page => {
+                        log(`  page ${page.pageNumber} tournée de ${page.orientation.angle}° avant l'OCR`);
+                    });
+                }));
+            }
+        });
+
+        await Promise.all(writes);
+
+        if (values.report && batch.audit) {
+            const report = path.extname(values.report).toLowerCase() === '.csv'
+                ? engine.auditService.exportAsCSV(batch.audit)
+                : engine.auditService.exportAsJSON(batch.audit);
+            await writeOutput(values.report, report);
+            log(`Rapport d'audit : ${values.report}`);
+        }
+    } finally {
+        await engine.destroy();
+    }
+
+    const cancelled = batch.failures.filter(failure => failure.cancelled).length;
+    if (cancelled > 0) {
+        console.error(`${cancelled} fichier(s) annulé(s)`);
+    }
+
+    log(`${batch.results.length}/${inputs.length} fichier(s) traité(s)`);
+    return batch.failures.length > 0 ? 1 : 0;
+}
+
+/**
+ * Lit les arguments de la ligne de commande
+ */
+function parseCommandLine(argv) {
+    try {
+        return parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                output: { type: 'string', short: 'o' },
+                style: { type: 'string', short: 's', default: 'pixelate' },
+                policy: { type: 'string', short: 'p' },
+                pseudonymize: { type: 'boolean', default: false },
+                vault: { type: 'boolean', default: false },
+                text: { type: 'string' },
+                intensity: { type: 'string', default: '20' },
+                quality: { type: 'string', default: '0.92' },
+                report: { type: 'string', short: 'r' },
+                lang: { type: 'string', short: 'l', default: 'fra+eng' },
+                'lang-path': { type: 'string' },
+                'ocr-only': { type: 'boolean', default: false },
+                preprocess: { type: 'string' },
+                'ocr-max-size': { type: 'string', default: String(ImageService.OCR_RESOLUTION.maxDimension) },
+                'ocr-dpi': { type: 'string', default: String(ImageService.OCR_RESOLUTION.dpi) },
+                'ocr-tile-mp': { type: 'string', default: String(OCRService.TILING.maxPixels / 1e6) },
+                rotate: { type: 'string', default: 'auto' },
+                searchable: { type: 'boolean', default: false },
+                'redacted-text': { type: 'string', default: 'label' },
+                concurrency: { type: 'string', short: 'c', default: '1' },
+                'ocr-workers': { type: 'string' },
+                quiet: { type: 'boolean', short: 'q', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+/**
+ * Vérifie et convertit les options numériques
+ */
+function validateOptions(values) {
+    if (!ImageService.REDACTION_STYLES.includes(values.style)) {
+        throw new UsageError(`Style inconnu : ${values.style} (${ImageService.REDACTION_STYLES.join(', ')})`);
+    }
+
+    if (!['label', 'omit'].includes(values['redacted-text'])) {
+        throw new UsageError(`--redacted-text doit valoir label ou omit`);
+    }
+
+    const rotateModes = { auto: true, upright: 'upright', off: false };
+    if (!(values.rotate in rotateModes)) {
+        throw new UsageError(`--rotate doit valoir auto, upright ou off`);
+    }
+
+    const number = (name, min, max, integer = false) => {
+        const value = Number(values[name]);
+        if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+            throw new UsageError(`--${name} doit être compris entre ${min} et ${max}`);
+        }
+        return value;
+    };
+
+    // La phrase secrète ne transite pas par la ligne de commande (historique, liste des processus)
+    const passphrase = process.env.LOCALSEAL_VAULT_PASSPHRASE;
+    if (values.vault && !passphrase) {
+        throw new UsageError('--vault nécessite la variable d\'environnement LOCALSEAL_VAULT_PASSPHRASE');
+    }
+    if (values.vault) {
+        try {
+            new VaultService().checkPassphrase(passphrase);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+
+    const textExports = values.text ? values.text.split(',').map(f => f.trim().toLowerCase()) : [];
+    const unknownExports = textExports.filter(f => !TextExportService.FORMATS.includes(f));
+    if (unknownExports.length > 0) {
+        throw new UsageError(`Format d'export texte inconnu : ${unknownExports.join(', ')} (${TextExportService.FORMATS.join(', ')})`);
+    }
+
+    let preprocess = false;
+    if (values.preprocess) {
+        try {
+            preprocess = PreprocessService.normalize(values.preprocess === 'all'
+                ? true
+                : values.preprocess.split(',').map(step => step.trim().toLowerCase()));
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+
+    // 0 désactive une limite ; sans aucune limite, l'OCR lit la pleine résolution
+    const maxDimension = number('ocr-max-size', 0, 100000, true);
+    const dpi = number('ocr-dpi', 0, 2400, true);
+    const ocrResolution = maxDimension || dpi ? { maxDimension: maxDimension || null, dpi: dpi || null } : null;
+    const tileMegapixels = number('ocr-tile-mp', 0, 1000);
+    if (tileMegapixels > 0 && tileMegapixels < 1) {
+        throw new UsageError('--ocr-tile-mp doit valoir 0 ou au moins 1');
+    }
+    const ocrTiling = tileMegapixels ? { ...OCRService.TILING, maxPixels: Math.round(tileMegapixels * 1e6) } : null;
+
+    return {
+        style: values.style,
+        textExports,
+        preprocess,
+        ocrResolution,
+        ocrTiling,
+        autoRotate: rotateModes[values.rotate],
+        vault: values.vault ? { passphrase } : null,
+        redactedText: values['redacted-text'],
+        intensity: number('intensity', 1, 50),
+        quality: number('quality', 0, 1),
+        concurrency: number('concurrency', 1, 16, true),
+        ocrWorkers: values['ocr-workers'] ? number('ocr-workers', 1, 16, true) : undefined
+    };
+}
+
+/**
+ * Charge un profil de caviardage : identifiant d'un profil intégré ou fichier JSON
+ */
+async function loadPolicy(value) {
+    const builtIn = new PolicyManager(null).get(value);
+    if (builtIn) return builtIn;
+
+    let json;
+    try {
+        json = await readFile(value, 'utf8');
+    } catch {
+        throw new UsageError(`Profil inconnu : ${value} (${PolicyManager.BUILT_IN.map(p => p.id).join(', ')} ou fichier .json)`);
+    }
+
+    try {
+        return PolicyManager.validate(JSON.parse(json));
+    } catch (error) {
+        throw new UsageError(`${value} : ${error.message}`);
+    }
+}
+
+/**
+ * Langues candidates du mode auto : modèles présents dans --lang-path (hors osd),
+ * catalogue de l'application sans --lang-path
+ */
+async function installedLanguages(langPath) {
+    if (!langPath) return LanguageManager.PACKS.map(pack => pack.code);
+
+    const dir = path.resolve(langPath);
+    let entries;
+    try {
+        entries = await readdir(dir);
+    } catch {
+        throw new UsageError(`Dossier de langues illisible : ${dir}`);
+    }
+
+    const codes = [...new Set(entries
+        .map(name => /^(.+)\.traineddata(\.gz)?$/.exec(name)?.[1])
+        .filter(code => code && code !== 'osd' && LanguageManager.CODE_PATTERN.test(code)))].sort();
+
+    if (codes.length === 0) {
+        throw new UsageError(`Aucun modèle de langue dans ${dir}`);
+    }
+    return codes;
+}
+
+/**
+ * Options du worker Tesseract : avec --lang-path, les modèles sont lus sur disque
+ * et jamais téléchargés ni recopiés dans le cache
+ */
+async function workerOptionsFor(languages, langPath) {
+    if (!langPath) return {};
+
+    const dir = path.resolve(langPath);
+    const codes = languages.split('+');
+    const hasFile = (name) => access(path.join(dir, name)).then(() => true, () => false);
+
+    const found = await Promise.all(codes.map(async (code) => ({
+        code,
+        gzip: await hasFile(`${code}.traineddata.gz`),
+        raw: await hasFile(`${code}.traineddata`)
+    })));
+
+    const missing = found.filter(lang => !lang.gzip && !lang.raw).map(lang => lang.code);
+    if (missing.length > 0) {
+        throw new UsageError(`Modèle de langue introuvable dans ${dir} : ${missing.join(', ')}`);
+    }
+
+    return {
+        langPath: dir,
+        gzip: found.every(lang => lang.gzip),
+        cacheMethod: 'none'
+    };
+}
+
+/**
+ * Développe les entrées (fichiers, dossiers parcourus récursivement, globs)
+ * en une liste triée et dédoublonnée de fichiers supportés
+ */
+async function expandInputs(patterns) {
+    const files = new Set();
+
+    for (const pattern of patterns) {
+        if (!/[*?[{]/.test(pattern)) {
+            const info = await stat(pattern).catch(() => null);
+            if (!info) throw new UsageError(`Entrée introuvable : ${pattern}`);
+
+            if (info.isDirectory()) {
+                (await walk(pattern)).filter(isSupported).forEach(file => files.add(file));
+            } else {
+                files.add(pattern);
+            }
+            continue;
+        }
+
+        // Le parcours démarre au plus long préfixe sans caractère spécial
+        const segments = pattern.split(/[\\/]/);
+        const firstGlob = segments.findIndex(segment => /[*?[{]/.test(segment));
+        const base = segments.slice(0, firstGlob).join('/') || '.';
+        const matcher = globToRegExp(path.posix.normalize(pattern.replace(/\\/g, '/')));
+
+        const candidates = await walk(base).catch(() => []);
+        candidates
+            .filter(file => matcher.test(path.posix.normalize(file.split(path.sep).join('/'))))
+            .filter(isSupported)
+            .forEach(file => files.add(file));
+    }
+
+    return [...files].sort();
+}
+
+/**
+ * Liste récursivement les fichiers d'un dossier
+ */
+async function walk(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    const nested = await Promise.all(entries.map(entry => {
+        const full = path.join(dir, entry.name);
+        return entry.isDirectory() ? walk(full) : [full];
+    }));
+    return nested.flat();
+}
+
+/**
+ * Convertit un glob (*, **, ?, [abc], {a,b}) en expression régulière
+ */
+function globToRegExp(glob) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/" couvre zéro ou plusieurs dossiers
+            const slash = glob[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += `[${glob.slice(i + 1, end).replace(/^!/, '^')}]`;
+                i = end;
+            }
+        } else if (char === '{') {
+            const end = glob.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+            } else {
+                source += `(?:${glob.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+                i = end;
+            }
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+
+    return new RegExp(`^${source}$`, 'i');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.+^$()|\\]/g, '\\$&');
+}
+
+function isSupported(file) {
+    return SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+/**
+ * Détermine où écrire chaque fichier produit
+ * -o désigne un fichier pour une entrée unique (avec extension et hors dossier existant),
+ * un dossier sinon ; sans -o, la sortie est écrite à côté de l'entrée
+ * @returns {Function} - (input, outputName) => chemin de sortie
+ */
+async function resolveOutputs(inputs, output) {
+    const info = output ? await stat(output).catch(() => null) : null;
+    const isDirectory = !output || info?.isDirectory() || /[\\/]$/.test(output) || !path.extname(output);
+
+    if (!isDirectory) {
+        if (inputs.length > 1) {
+            throw new UsageError('--output doit être un dossier lorsque plusieurs fichiers sont traités');
+        }
+
+        // Le fichier produit est un PDF pour un PDF, un JPEG pour une image
+        const expected = path.extname(inputs[0]).toLowerCase() === '.pdf' ? ['.pdf'] : ['.jpg', '.jpeg'];
+        if (!expected.includes(path.extname(output).toLowerCase())) {
+            throw new UsageError(`--output doit porter l'extension ${expected.join(' ou ')} pour ${path.basename(inputs[0])}`);
+        }
+        return () => output;
+    }
+
+    // Deux entrées peuvent produire le même nom ("scan.jpg" et "scan.png", ou deux dossiers
+    // vers un même -o) : suffixe _2, _3... Une entrée n'est jamais écrasée
+    const used = new Set(inputs.map(input => path.resolve(input)));
+    return (input, outputName) => {
+        const dir = output ?? path.dirname(input);
+        const { name, ext } = path.parse(outputName);
+        let target = path.join(dir, outputName);
+        for (let i = 2; used.has(path.resolve(target)); i++) {
+            target = path.join(dir, `${name}_${i}${ext}`);
+        }
+        used.add(path.resolve(target));
+        return target;
+    };
+}
+
+/**
+ * Écrit un Blob sur disque en créant le dossier parent si besoin
+ */
+async function writeOutput(target, blob) {
+    await mkdir(path.dirname(path.resolve(target)), { recursive: true });
+    await writeFile(target, Buffer.from(await blob.arrayBuffer()));
+}
+
+main(process.argv.slice(2)).then(
+    (code) => {
+        process.exitCode = code;
+    },
+    (error) => {
+        if (error instanceof UsageError) {
+            console.error(`localseal: ${error.message}\n\n${USAGE}`);
+            process.exitCode = 2;
+        } else {
+            console.error(`localseal: ${error.message}`);
+            process.exitCode = 1;
+        }
+    }
+);
@@ -7,13 +7,46 @@
 import { OCRService } from './services/OCRService.js';
 import { NLPProcessor } from './services/NLPProcessor.js';
 import { ImageService } from './services/ImageService.js';
+import { ZipService } from './services/ZipService.js';
+import { AuditService } from './services/AuditService.js';
+import { PolicyManager } from './services/PolicyManager.js';
+import { Pseudonymizer } from './services/Pseudonymizer.js';
+import { VaultService } from './services/VaultService.js';
+import { TextExportService } from './services/TextExportService.js';
+import { MetadataService } from './services/MetadataService.js';
+import { PreprocessService } from './services/PreprocessService.js';
+import { LanguageManager } from './services/LanguageManager.js';
+import { BrowserPlatform } from './platform/BrowserPlatform.js';
 
 export class LocalSealEngine {
-    constructor(licenseStatus = null) {
+    /**
+     * @param {Object} licenseStatus - Statut de licence (watermark requis par défaut)
+     * @param {Object} options
+     *   - platform {Object} : plateforme d'exécution (BrowserPlatform par défaut, NodePlatform en headless)
+     *   - language {String} : langues OCR ('fra+eng' par défaut), 'auto' : détectées sur chaque document
+     *   - workerOptions {Object} : options du worker Tesseract (ex. langPath local pour le mode hors ligne)
+     *   - ocrWorkers {Number} : taille du pool de workers Tesseract (selon les cœurs du poste par défaut)
+     *   - ocrCache {OCRCache} : cache chiffré des résultats OCR (aucun par défaut)
+     */
+    constructor(licenseStatus = null, options = {}) {
+        this.platform = options.platform || new BrowserPlatform();
+        this.language = options.language || LanguageManager.DEFAULT_LANGUAGE;
+
         // Initialisation des services
-        this.ocrService = new OCRService({ language: 'fra+eng' });
-        this.nlpProcessor = new NLPProcessor();
-        this.imageService = new ImageService();
+        this.ocrService = new OCRService({
+            language: this.language === LanguageManager.AUTO ? LanguageManager.DEFAULT_LANGUAGE : this.language,
+            workerOptions: options.workerOptions,
+            platform: this.platform,
+            poolSize: options.ocrWorkers,
+            cache: options.ocrCache
+        });
+        this.nlpProcessor = new NLPProcessor(this.platform);
+        this.auditService = new AuditService(this.platform);
+        this.vaultService = new VaultService();
+        this.textExportService = new TextExportService(this.nlpProcessor);
+        this.metadataService = new MetadataService();
+        this.preprocessService = new PreprocessService(this.platform);
+        // Chaque job dispose de son propre ImageService (canvas isolé), voir _createContext()
 
         // Le SecurityManager n'est plus utilisé dans le Worker
         // La licence est passée depuis le thread principal
@@ -22,24 +55,54 @@ export class LocalSealEngine {
             requiresWatermark: true
         };
 
-        // État du traitement
-        this.state = {
-            currentStep: null,
-            progress: 0,
-            isProcessing: false
-        };
+        // Jobs en cours (jobId → contexte), plusieurs documents peuvent être traités en parallèle
+        this.jobs = new Map();
+        this.jobCounter = 0;
 
         // Callbacks pour communication avec l'UI
         this.listeners = {
             onProgress: [],
             onComplete: [],
-            onError: []
+            onError: [],
+            onCancel: []
         };
+
+        // Pipeline de traitement : étapes ordonnées et hooks "before:<étape>" / "after:<étape>"
+        this.stages = this._createBuiltInStages();
+        this.hooks = {};
+    }
+
+    /**
+     * Change les langues OCR par défaut des prochains traitements
+     * @param {String} language - Langues Tesseract ('deu', 'fra+eng') ou 'auto'
+     */
+    async setLanguage(language) {
+        this.language = language || LanguageManager.DEFAULT_LANGUAGE;
+
+        if (this.language !== LanguageManager.AUTO) {
+            await this.ocrService.setLanguage(this.language);
+        }
+    }
+
+    /**
+     * État du traitement : un état de progression par job en cours
+     * @returns {Object} - { isProcessing, jobs: [{ jobId, fileName, currentStep, progress }] }
+     */
+    get state() {
+        const jobs = [...this.jobs.values()].map(job => ({
+            jobId: job.id,
+            fileName: job.file.name,
+            ...job.state
+        }));
+
+        return { isProcessing: jobs.length > 0, jobs };
     }
 
     /**
      * Enregistre un callback pour les mises à jour de progression
-     * @param {Function} callback - (step, progress, message) => void
+     * @param {Function} callback - (step, progress, message, details) => void
+     *                              details: { jobId, fileName } et { pageNumber, pageCount }
+     *                              pour les étapes par page
      */
     onProgress(callback) {
         this.listeners.onProgress.push(callback);
@@ -48,7 +111,7 @@ export class LocalSealEngine {
 
     /**
      * Enregistre un callback de fin de traitement
-     * @param {Function} callback - (result) => void
+     * @param {Function} callback - (result) => void, result.jobId identifie le job
      */
     onComplete(callback) {
         this.listeners.onComplete.push(callback);
@@ -57,7 +120,7 @@ export class LocalSealEngine {
 
     /**
      * Enregistre un callback d'erreur
-     * @param {Function} callback - (error) => void
+     * @param {Function} callback - (error, { jobId, fileName }) => void
      */
     onError(callback) {
         this.listeners.onError.push(callback);
@@ -65,24 +128,52 @@ export class LocalSealEngine {
     }
 
     /**
-     * Émet un événement de progression
+     * Enregistre un callback d'annulation (distinct des erreurs)
+     * @param {Function} callback - ({ jobId, fileName, reason }) => void
+     */
+    onCancel(callback) {
+        this.listeners.onCancel.push(callback);
+        return this;
+    }
+
+    /**
+     * Émet un événement de progression pour un job
      * @private
      */
-    _emitProgress(step, progress, message) {
-        this.state.currentStep = step;
-        this.state.progress = progress;
+    _emitProgress(job, step, progress, message, details = {}) {
+        job.state.currentStep = step;
+        job.state.progress = progress;
+
+        const eventDetails = { jobId: job.id, fileName: job.file.name, ...details };
 
         this.listeners.onProgress.forEach(cb => {
-            cb(step, progress, message);
+            cb(step, progress, message, eventDetails);
         });
     }
 
+    /**
+     * Émet la progression d'une étape propre à une page
+     * La plage de la phase (15%-90% par défaut) est répartie équitablement entre les pages
+     * @private
+     * @param {Object} job - Contexte du job
+     * @param {String} step - Étape en cours
+     * @param {Object} page - { pageNumber, pageCount, range: [début, fin] }
+     * @param {Number} pageProgress - Avancement dans la page (0-1)
+     * @param {String} message - Message de progression
+     */
+    _emitPageProgress(job, step, page, pageProgress, message) {
+        const { pageNumber, pageCount, range: [start, end] = [0.15, 0.9] } = page;
+        const progress = start + ((pageNumber - 1 + pageProgress) / pageCount) * (end - start);
+
+        this._emitProgress(job, step, progress, message, { pageNumber, pageCount });
+    }
+
     /**
      * Émet un événement de complétion
      * @private
      */
-    _emitComplete(result) {
-        this.state.isProcessing = false;
+    _emitComplete(job, result) {
+        result.jobId = job.id;
         this.listeners.onComplete.forEach(cb => cb(result));
     }
 
@@ -90,153 +181,1284 @@ export class LocalSealEngine {
      * Émet un événement d'erreur
      * @private
      */
-    _emitError(error) {
-        this.state.isProcessing = false;
-        this.listeners.onError.forEach(cb => cb(error));
+    _emitError(job, error) {
+        this.listeners.onError.forEach(cb => cb(error, { jobId: job.id, fileName: job.file.name }));
+    }
+
+    /**
+     * Émet un événement d'annulation
+     * @private
+     */
+    _emitCancel(job, reason) {
+        this.listeners.onCancel.forEach(cb => cb({ jobId: job.id, fileName: job.file.name, reason }));
+    }
+
+    /**
+     * Enregistre un hook exécuté avant ou après une étape du pipeline
+     * Le hook reçoit le contexte du job (ctx.canvas, ctx.ocrResult, ctx.boxes, ctx.page...)
+     * et peut le modifier ; ctx.reportProgress(fraction, message) relaie sa progression
+     * @param {String} name - "before:<étape>" ou "after:<étape>" (ex: "before:ocr", "after:nlp")
+     * @param {Function} hook - async (ctx) => void
+     */
+    addHook(name, hook) {
+        if (!/^(before|after):.+/.test(name)) {
+            throw new Error(`Invalid hook name: ${name} (expected "before:<stage>" or "after:<stage>")`);
+        }
+
+        if (!this.hooks[name]) {
+            this.hooks[name] = [];
+        }
+        this.hooks[name].push(hook);
+        return this;
+    }
+
+    /**
+     * Retire un hook précédemment enregistré
+     * @param {String} name - Nom du hook
+     * @param {Function} hook - Fonction à retirer
+     */
+    removeHook(name, hook) {
+        this.hooks[name] = (this.hooks[name] || []).filter(h => h !== hook);
+        return this;
+    }
+
+    /**
+     * Insère une étape personnalisée dans le pipeline, avant ou après une étape existante
+     * L'étape hérite de la portée (document ou page) et de la phase de son ancre
+     * @param {String} name - Nom unique de l'étape (utilisé comme step de progression)
+     * @param {Function} run - async (ctx) => void
+     * @param {Object} position - { before: '<étape>' } ou { after: '<étape>' }
+     */
+    registerStage(name, run, position = {}) {
+        if (this.stages.some(stage => stage.name === name)) {
+            throw new Error(`Stage already registered: ${name}`);
+        }
+
+        const anchorName = position.before || position.after;
+        const anchorIndex = this.stages.findIndex(stage => stage.name === anchorName);
+        if (anchorIndex === -1) {
+            throw new Error(`Unknown anchor stage: ${anchorName}`);
+        }
+
+        const anchor = this.stages[anchorIndex];
+        const edge = position.before ? anchor.window[0] : anchor.window[1];
+
+        this.stages.splice(position.before ? anchorIndex : anchorIndex + 1, 0, {
+            name,
+            scope: anchor.scope,
+            phase: anchor.phase,
+            window: [edge, edge],
+            run
+        });
+        return this;
+    }
+
+    /**
+     * Retire une étape personnalisée du pipeline
+     * @param {String} name - Nom de l'étape
+     */
+    removeStage(name) {
+        const stage = this.stages.find(s => s.name === name);
+        if (stage?.builtIn) {
+            throw new Error(`Built-in stage cannot be removed: ${name}`);
+        }
+
+        this.stages = this.stages.filter(s => s !== stage);
+        return this;
+    }
+
+    /**
+     * Liste les étapes du pipeline dans l'ordre d'exécution
+     * @returns {Array<String>}
+     */
+    getStages() {
+        return this.stages.map(stage => stage.name);
+    }
+
+    /**
+     * Étapes intégrées du pipeline
+     * - scope : "document" (exécutée une fois) ou "page" (exécutée pour chaque page)
+     * - phase : "detect" (avant relecture) ou "render" (après relecture)
+     * - window : plage de progression (globale pour un document, relative à la page sinon)
+     * @private
+     */
+    _createBuiltInStages() {
+        return [
+            { name: 'mime', scope: 'document', phase: 'detect', window: [0.1, 0.1], run: this._stageMime },
+            { name: 'load', scope: 'document', phase: 'detect', window: [0.15, 0.15], run: this._stageLoad },
+            { name: 'ocr', scope: 'page', phase: 'detect', window: [0.05, 0.6], run: this._stageOcr },
+            { name: 'nlp', scope: 'page', phase: 'detect', window: [0.65, 0.7], run: this._stageNlp },
+            { name: 'redact', scope: 'page', phase: 'render', window: [0.75, 0.85], run: this._stageRedact },
+            { name: 'watermark', scope: 'page', phase: 'render', window: [0.9, 0.9], run: this._stageWatermark },
+            { name: 'export', scope: 'document', phase: 'render', window: [0.95, 1.0], run: this._stageExport }
+        ].map(stage => ({ ...stage, builtIn: true }));
     }
 
     /**
      * Point d'entrée principal : traite un fichier selon les options
      * @param {File} file - Fichier à traiter
      * @param {Object} options - Configuration du traitement
-     * @returns {Promise<File>} - Fichier traité prêt pour téléchargement
+     *                            options.signal (AbortSignal) annule le traitement entre chaque étape
+     *                            et interrompt l'OCR en cours ; l'événement onCancel est alors émis
+     *                            et la promesse est rejetée avec signal.reason
+     *                            options.review (async (analysis) => pages|null) met le traitement en
+     *                            pause après la détection ; les zones retournées (une liste par page)
+     *                            sont appliquées, null annule le traitement
+     * @returns {Promise<Object>} - { file, thumbnail, text, confidence, entitiesFound, pageCount, pages[] }
+     *                             pages: [{ pageNumber, text, confidence, entitiesFound }]
      */
     async processFile(file, options = {}) {
+        const settings = this._resolveOptions(options);
+
+        // Mode relecture : détection → validation humaine → application des zones
+        if (settings.review && settings.anonymize && !settings.extractTextOnly) {
+            const analysis = await this.analyze(file, options);
+
+            let editedPages;
+            try {
+                editedPages = await settings.review(analysis);
+                if (!editedPages) {
+                    throw new DOMException('Review cancelled', 'AbortError');
+                }
+            } catch (error) {
+                this.releaseAnalysis(analysis);
+                this._handleFailure({ id: analysis.jobId, file, signal: settings.signal }, error);
+                throw error;
+            }
+
+            return this.applyRedactions(analysis, editedPages, options);
+        }
+
+        const ctx = this._createContext(file, settings);
+
+        return this._track(ctx, async () => {
+            try {
+                // Les pages sont traitées de bout en bout une à une pour limiter la mémoire
+                await this._runPipeline(ctx, ['detect', 'render'], {
+                    setupPage: async (page) => this._loadPage(ctx, page),
+                    teardownPage: async (page) => this._capturePage(ctx, page)
+                });
+            } finally {
+                ctx.doc?.close();
+            }
+
+            this._emitComplete(ctx, ctx.result);
+            return ctx.result;
+        });
+    }
+
+    /**
+     * Phase 1 du mode relecture : OCR et détection des zones sensibles, sans modifier l'image
+     * Les pages d'origine sont conservées jusqu'à applyRedactions() ou releaseAnalysis()
+     * @param {File} file - Fichier à analyser
+     * @param {Object} options - Options de processFile
+     * @returns {Promise<Object>} - { jobId, file, mimeType, isPdf, language, pageCount, pages: [{ pageNumber, canvas,
+     *                               width, height, text, confidence, entitiesFound, boxes }] }
+     */
+    async analyze(file, options = {}) {
+        const settings = { ...this._resolveOptions(options), anonymize: true };
+        const ctx = this._createContext(file, settings);
+
+        return this._track(ctx, async () => {
+            try {
+                await this._runPipeline(ctx, ['detect'], {
+                    range: [0.15, 0.6],
+                    setupPage: async (page) => this._loadPage(ctx, page),
+                    teardownPage: async (page) => {
+                        // Le canvas d'origine (non caviardé) est conservé pour l'aperçu et l'application
+                        page.canvas = ctx.imageService.detachCanvas();
+                        page.width = page.canvas.width;
+                        page.height = page.canvas.height;
+                    }
+                });
+            } catch (error) {
+                this.releaseAnalysis(ctx);
+                throw error;
+            } finally {
+                ctx.doc?.close();
+                ctx.doc = null;
+            }
+
+            this._emitProgress(ctx, 'analysis_complete', 0.6, 'Waiting for review...');
+
+            return {
+                jobId: ctx.id,
+                file,
+                mimeType: ctx.mimeType,
+                isPdf: ctx.isPdf,
+                metadata: ctx.metadata,
+                language: ctx.language,
+                pageCount: ctx.pages.length,
+                pages: ctx.pages
+            };
+        });
+    }
+
+    /**
+     * Phase 2 du mode relecture : applique les zones (éventuellement modifiées) et exporte
+     * Les ressources de l'analyse sont libérées dans tous les cas
+     * @param {Object} analysis - Résultat de analyze()
+     * @param {Array|null} editedPages - Zones à caviarder, une liste de { bbox, type, label } par page
+     *                                   (null: zones détectées)
+     * @param {Object} options - Options de processFile
+     * @returns {Promise<Object>} - Même résultat que processFile()
+     */
+    async applyRedactions(analysis, editedPages = null, options = {}) {
+        const settings = { ...this._resolveOptions(options), anonymize: true };
+        // L'application reprend l'identifiant du job d'analyse
+        const ctx = this._createContext(analysis.file, settings, analysis.jobId);
+
+        ctx.mimeType = analysis.mimeType;
+        ctx.isPdf = analysis.isPdf;
+        ctx.metadata = analysis.metadata;
+        ctx.language = analysis.language ?? null;
+        ctx.pages = analysis.pages;
+
+        if (editedPages) {
+            ctx.pages.forEach((page, i) => {
+                page.boxes = editedPages[i] ?? page.boxes;
+            });
+        }
+
+        try {
+            return await this._track(ctx, async () => {
+                await this._runPipeline(ctx, ['render'], {
+                    range: [0.6, 0.9],
+                    setupPage: async (page) => ctx.imageService.initCanvas(page.canvas),
+                    teardownPage: async (page) => this._capturePage(ctx, page)
+                });
+
+                this._emitComplete(ctx, ctx.result);
+                return ctx.result;
+            });
+        } finally {
+            this.releaseAnalysis(analysis);
+        }
+    }
+
+    /**
+     * Libère les pages conservées par analyze()
+     * @param {Object} analysis - Résultat de analyze()
+     */
+    releaseAnalysis(analysis) {
+        analysis.pages.forEach(page => {
+            if (page.canvas) {
+                // Réduire le canvas libère immédiatement sa mémoire
+                page.canvas.width = 0;
+                page.canvas.height = 0;
+                page.canvas = null;
+            }
+        });
+    }
+
+    /**
+     * Applique les valeurs par défaut des options de traitement
+     * @private
+     */
+    _resolveOptions(options) {
         const {
             anonymize = false,          // Activer l'anonymisation
             blurIntensity = 20,          // Intensité du flou (1-50)
+            redactionStyle = 'pixelate', // Style de caviardage (pixelate, blur, fill, label)
             outputFormat = 'image/jpeg', // Format de sortie
             quality = 0.92,              // Qualité de compression
-            extractTextOnly = false      // Extraction texte sans modification image
+            extractTextOnly = false,     // Extraction texte sans modification image
+            audit = false,               // Génère un rapport d'audit du caviardage
+            useTextLayer = true,         // Lit la couche texte des PDF natifs au lieu de l'OCR
+            searchable = false,          // PDF de sortie recherchable (couche texte invisible)
+            redactedText = 'label',      // Texte caviardé dans cette couche : 'label' ou 'omit'
+            policy = null,               // Profil de caviardage (voir PolicyManager), null : toutes les entités
+            pseudonymize = false,        // Pseudonymes cohérents ("Person A") dans le texte et sur l'image
+            pseudonymizer = null,        // Table de pseudonymes partagée (processBatch en crée une par série)
+            vault = null,                // Coffre de ré-identification chiffré : { passphrase }
+            textExports = [],            // Exports texte anonymisés : 'txt', 'json', 'md'
+            preprocess = false,          // Prétraitement avant l'OCR : true ou liste d'étapes (voir PreprocessService)
+            ocrResolution = ImageService.OCR_RESOLUTION, // Copie réduite pour l'OCR { maxDimension, dpi }, null : pleine résolution
+            ocrTiling = OCRService.TILING, // Lecture par tuiles au-delà d'un budget { maxPixels, overlap }, null : jamais
+            autoRotate = true,           // Orientation détectée avant l'OCR : true (boxes reportées), 'upright' (sortie redressée), false
+            language = this.language,    // Langues OCR ('deu', 'fra+eng') ou 'auto' (détectées sur la première page lue par OCR)
+            languageCandidates = LanguageManager.PACKS.map(pack => pack.code), // Langues envisagées en mode 'auto' (packs disponibles)
+            review = null,               // Relecture humaine avant export
+            signal = null                // AbortSignal pour annuler le traitement
         } = options;
 
         // La vérification de licence est maintenant faite dans le thread principal
         // et passée via les options ou le constructeur
 
+        return {
+            // La pseudonymisation et les exports texte impliquent la détection des entités
+            anonymize: anonymize || pseudonymize || textExports.length > 0,
+            blurIntensity, redactionStyle, outputFormat, quality,
+            extractTextOnly, audit, useTextLayer, searchable, redactedText, policy,
+            pseudonymizer: pseudonymize ? pseudonymizer || new Pseudonymizer() : null,
+            vault, textExports, preprocess, ocrResolution, ocrTiling, autoRotate,
+            language, languageCandidates, review, signal
+        };
+    }
+
+    /**
+     * Crée le contexte d'un job, transmis aux étapes et aux hooks
+     * Chaque job possède son canvas (ImageService dédié) et son état de progression,
+     * ce qui permet de traiter plusieurs documents en parallèle avec le même moteur
+     * ctx.canvas, ctx.ocrResult et ctx.boxes désignent la page en cours de traitement
+     * @private
+     */
+    _createContext(file, options, id = `job_${++this.jobCounter}`) {
+        const imageService = new ImageService(this.platform);
+
+        return {
+            id,
+            file,
+            options,
+            imageService,
+            state: { currentStep: null, progress: 0 },
+            signal: options.signal,
+            mimeType: null,
+            isPdf: false,
+            doc: null,
+            metadata: null,
+            language: null,
+            pages: [],
+            page: null,
+            output: { pages: [], thumbnail: null },
+            result: null,
+            reportProgress: () => {},
+
+            get canvas() {
+                return imageService.canvas;
+            },
+            set canvas(value) {
+                imageService.initCanvas(value);
+            },
+            get ocrResult() {
+                return this.page?.ocrResult ?? null;
+            },
+            set ocrResult(value) {
+                this.page.ocrResult = value;
+            },
+            get boxes() {
+                return this.page?.boxes ?? [];
+            },
+            set boxes(value) {
+                this.page.boxes = value;
+            }
+        };
+    }
+
+    /**
+     * Exécute les étapes des phases demandées
+     * Les étapes de document précédant les étapes de page s'exécutent d'abord, puis chaque page
+     * passe par toutes les étapes de page, enfin les étapes de document restantes
+     * @private
+     * @param {Object} ctx - Contexte du job
+     * @param {Array<String>} phases - Phases à exécuter ("detect", "render")
+     * @param {Object} pageLifecycle - { range, setupPage(page), teardownPage(page) }
+     */
+    async _runPipeline(ctx, phases, { range = [0.15, 0.9], setupPage, teardownPage }) {
+        const stages = this.stages.filter(stage => phases.includes(stage.phase));
+        const firstPageStage = stages.findIndex(stage => stage.scope === 'page');
+        const split = firstPageStage === -1 ? stages.length : firstPageStage;
+
+        const documentBefore = stages.slice(0, split).filter(stage => stage.scope === 'document');
+        const pageStages = stages.filter(stage => stage.scope === 'page');
+        const documentAfter = stages.slice(split).filter(stage => stage.scope === 'document');
+
+        for (const stage of documentBefore) {
+            await this._runStage(stage, ctx);
+        }
+
+        // En mode détection les pages sont créées à partir du document, sinon elles existent déjà
+        const pageCount = ctx.doc ? ctx.doc.pageCount : ctx.pages.length;
+
+        for (let index = 0; index < pageCount; index++) {
+            if (!ctx.pages[index]) {
+                ctx.pages[index] = { pageNumber: index + 1, pageCount, entitiesFound: 0, boxes: [] };
+            }
+
+            const page = ctx.pages[index];
+            page.range = range;
+            ctx.page = page;
+
+            ctx.signal?.throwIfAborted();
+            await setupPage(page);
+
+            for (const stage of pageStages) {
+                await this._runStage(stage, ctx);
+            }
+
+            await teardownPage(page);
+        }
+
+        ctx.page = null;
+
+        for (const stage of documentAfter) {
+            await this._runStage(stage, ctx);
+        }
+    }
+
+    /**
+     * Exécute une étape entourée de ses hooks "before:" et "after:"
+     * @private
+     */
+    async _runStage(stage, ctx) {
+        const [start, end] = stage.window;
+
+        // La progression est rapportée dans la plage de l'étape, sous son nom par défaut
+        ctx.reportProgress = (fraction, message, step = stage.name) => {
+            const progress = start + (end - start) * Math.min(1, Math.max(0, fraction));
+
+            if (stage.scope === 'page') {
+                this._emitPageProgress(ctx, step, ctx.page, progress, message);
+            } else {
+                this._emitProgress(ctx, step, progress, message);
+            }
+        };
+
+        for (const hook of this.hooks[`before:${stage.name}`] || []) {
+            ctx.signal?.throwIfAborted();
+            await hook(ctx);
+        }
+
+        ctx.signal?.throwIfAborted();
+        await stage.run.call(this, ctx);
+
+        for (const hook of this.hooks[`after:${stage.name}`] || []) {
+            ctx.signal?.throwIfAborted();
+            await hook(ctx);
+        }
+    }
+
+    /**
+     * Exécute une tâche de traitement et émet les événements d'erreur ou d'annulation
+     * @private
+     */
+    async _track(ctx, task) {
         try {
-            this.state.isProcessing = true;
+            this.jobs.set(ctx.id, ctx);
+            ctx.signal?.throwIfAborted();
+            return await task();
+        } catch (error) {
+            this._handleFailure(ctx, error);
+            throw error;
+        } finally {
+            // Nettoyage des ressources du job
+            ctx.imageService.destroy();
+            this.jobs.delete(ctx.id);
+        }
+    }
+
+    /**
+     * Distingue une annulation (signal ou relecture abandonnée) d'une erreur de traitement
+     * @private
+     */
+    _handleFailure(job, error) {
+        if (job.signal?.aborted || error?.name === 'AbortError') {
+            this._emitCancel(job, job.signal?.reason || error);
+        } else {
+            this._emitError(job, error);
+        }
+    }
+
+    /**
+     * Charge une page du document sur le canvas de travail
+     * @private
+     */
+    async _loadPage(ctx, page) {
+        const { pageNumber, pageCount } = page;
+
+        if (pageCount > 1) {
+            this._emitPageProgress(ctx, 'page_load', page, 0, `Loading page ${pageNumber}/${pageCount}...`);
+        }
+
+        const { image, pageSize, textLayer, dpi } = await ctx.doc.loadPage(pageNumber);
+        ctx.signal?.throwIfAborted();
+
+        ctx.imageService.initCanvas(image);
+        page.pageSize = pageSize;
+        page.textLayer = textLayer;
+        page.dpi = dpi ?? null;
+    }
+
+    /**
+     * Termine le rendu d'une page : miniature (première page) et capture pour l'export PDF
+     * @private
+     */
+    async _capturePage(ctx, page) {
+        if (ctx.options.extractTextOnly) {
+            ctx.imageService.destroy();
+            return;
+        }
+
+        // Génère une miniature pour l'aperçu (surtout pour les PDF qui ne s'affichent pas dans <img>)
+        if (page.pageNumber === 1) {
+            ctx.output.thumbnail = await ctx.imageService.exportAsBlob('image/jpeg', 0.5);
+        }
+
+        // Les pages PDF sont capturées une à une, le canvas est libéré entre deux pages
+        if (ctx.isPdf) {
+            ctx.output.pages.push(ctx.imageService.capturePage(
+                page.pageSize,
+                ctx.options.quality,
+                ctx.options.searchable ? this._searchableWords(ctx, page) : null
+            ));
+            ctx.imageService.destroy();
+        }
+    }
+
+    /**
+     * Mots de la couche texte invisible d'une page
+     * Un mot est retiré s'il appartient à une entité caviardée (correspondance mots ↔ entités de
+     * mapEntitiesToWords) ou, pour une zone ajoutée à la main lors de la relecture, s'il est
+     * couvert en majorité : les mots voisins, dont la boîte touche la zone, restent cherchables.
+     * En mode 'label', un libellé par entité prend la place de ses mots (à la position du premier),
+     * la couche texte ne révèle donc jamais ce que l'image cache
+     * @private
+     * @returns {Array} - [{ text, bbox }] en pixels du canvas
+     */
+    _searchableWords(ctx, page) {
+        const regions = page.redacted || [];
+        const words = page.ocrResult?.words || [];
+        const labelled = new Set();
+        const result = [];
+
+        const hiddenBy = words.map(() => []);
+        regions.forEach(region => {
+            if (hiddenBy[region.wordIndex]) {
+                hiddenBy[region.wordIndex].push(region);
+                return;
+            }
+
+            words.forEach((word, index) => {
+                if (this._coverage(word.bbox, region.bbox) > 0.5) hiddenBy[index].push(region);
+            });
+        });
+
+        // Une entité de plusieurs mots a une zone par mot : un seul libellé par entité,
+        // et par zone pour les zones ajoutées à la main
+        const addLabel = (region) => {
+            const { bbox } = region;
+            const key = region.spanStart != null ? `span:${region.spanStart}` : `${bbox.x0},${bbox.y0},${bbox.x1},${bbox.y1}`;
+            if (labelled.has(key)) return;
+
+            labelled.add(key);
+            result.push({ text: ImageService.redactionLabel(region), bbox });
+        };
+
+        words.forEach((word, index) => {
+            if (hiddenBy[index].length === 0) {
+                if (word.text.trim()) result.push({ text: word.text, bbox: word.bbox });
+                return;
+            }
+
+            if (ctx.options.redactedText === 'label') hiddenBy[index].forEach(addLabel);
+        });
 
-            // Étape 1: Validation du type MIME
-            this._emitProgress('mime_detection', 0.1, 'Detecting file type...');
-            const mimeType = this._detectMimeType(file);
-            const isPdf = mimeType === 'application/pdf';
+        // Zones sans mot reconnu (ajoutées à la main lors de la relecture)
+        if (ctx.options.redactedText === 'label') {
+            regions.forEach(addLabel);
+        }
+
+        return result;
+    }
+
+    /**
+     * Part de la surface d'une boîte couverte par une zone (0-1)
+     * @private
+     */
+    _coverage(box, region) {
+        const width = Math.min(box.x1, region.x1) - Math.max(box.x0, region.x0);
+        const height = Math.min(box.y1, region.y1) - Math.max(box.y0, region.y0);
+        const area = (box.x1 - box.x0) * (box.y1 - box.y0);
+
+        return width > 0 && height > 0 && area > 0 ? (width * height) / area : 0;
+    }
+
+    /**
+     * Étape "mime" : validation du type MIME et des options
+     * @private
+     */
+    async _stageMime(ctx) {
+        ctx.reportProgress(0, 'Detecting file type...', 'mime_detection');
+        ctx.mimeType = this._detectMimeType(ctx.file);
+        ctx.isPdf = ctx.mimeType === 'application/pdf';
+
+        if (!ctx.mimeType.startsWith('image/') && !ctx.isPdf) {
+            throw new Error(`Unsupported file type: ${ctx.mimeType}`);
+        }
+
+        if (!ImageService.REDACTION_STYLES.includes(ctx.options.redactionStyle)) {
+            throw new Error(`Unsupported redaction style: ${ctx.options.redactionStyle}`);
+        }
+
+        if (ctx.options.policy) {
+            ctx.options.policy = PolicyManager.validate(ctx.options.policy);
+        }
+
+        if (ctx.options.preprocess) {
+            ctx.options.preprocess = PreprocessService.normalize(ctx.options.preprocess);
+        }
+
+        const { ocrResolution } = ctx.options;
+        if (ocrResolution && ['maxDimension', 'dpi'].some(key =>
+            ocrResolution[key] != null && !(Number.isFinite(ocrResolution[key]) && ocrResolution[key] > 0))) {
+            throw new Error('Invalid OCR resolution: maxDimension and dpi must be positive numbers');
+        }
+
+        const { ocrTiling } = ctx.options;
+        const overlap = ocrTiling?.overlap ?? 0;
+        if (ocrTiling && !(Number.isFinite(ocrTiling.maxPixels) && Number.isFinite(overlap)
+            && overlap >= 0 && Math.sqrt(ocrTiling.maxPixels) > 2 * overlap)) {
+            throw new Error('Invalid OCR tiling: maxPixels must exceed the tile overlap on both sides');
+        }
+
+        if (![true, false, 'upright'].includes(ctx.options.autoRotate)) {
+            throw new Error(`Unsupported autoRotate mode: ${ctx.options.autoRotate}`);
+        }
 
-            if (!mimeType.startsWith('image/') && !isPdf) {
-                throw new Error(`Unsupported file type: ${mimeType}`);
+        const { language, languageCandidates } = ctx.options;
+        const isCode = code => LanguageManager.CODE_PATTERN.test(code);
+        if (language === LanguageManager.AUTO) {
+            if (!Array.isArray(languageCandidates) || languageCandidates.length === 0 || !languageCandidates.every(isCode)) {
+                throw new Error('Invalid OCR language candidates: expected a non-empty list of language codes');
             }
+        } else if (LanguageManager.parse(language).length === 0 || !LanguageManager.parse(language).every(isCode)) {
+            throw new Error(`Unsupported OCR language: ${language}`);
+        }
+
+        const unknownExports = ctx.options.textExports.filter(f => !TextExportService.FORMATS.includes(f));
+        if (unknownExports.length > 0) {
+            throw new Error(`Unsupported text export: ${unknownExports.join(', ')}`);
+        }
+
+        // Phrase secrète vérifiée avant l'OCR plutôt qu'au moment de l'export
+        if (ctx.options.vault) {
+            this.vaultService.checkPassphrase(ctx.options.vault.passphrase);
+        }
+    }
+
+    /**
+     * Étape "load" : ouverture du document (une page pour une image, N pour un PDF)
+     * @private
+     */
+    async _stageLoad(ctx) {
+        ctx.reportProgress(0, 'Loading image...', 'image_load');
+        ctx.doc = await ctx.imageService.openDocument(ctx.file, ctx.mimeType, {
+            textLayer: ctx.options.useTextLayer
+        });
+
+        // Métadonnées du fichier d'entrée : rapportées, jamais recopiées dans le fichier produit
+        ctx.metadata = ctx.doc.metadata ?? null;
+        if (ctx.metadata?.entries.length) {
+            ctx.reportProgress(1, `Input metadata found: ${ctx.metadata.categories.join(', ')}`, 'image_metadata');
+        }
+    }
+
+    /**
+     * Étape "ocr" : extraction du texte et des coordonnées de la page
+     * @private
+     */
+    async _stageOcr(ctx) {
+        const { page } = ctx;
+
+        // Page PDF native : le texte exact et la position des glyphes remplacent l'OCR ;
+        // le texte des images de la page (signature, pièce d'identité collée) est lu par OCR
+        if (page.textLayer) {
+            page.ocrResult = page.textLayer;
+            page.source = 'text-layer';
+            page.imageRegions = page.textLayer.images?.length ?? 0;
+
+            if (page.imageRegions > 0) {
+                page.ocrResult = await this._readEmbeddedImages(ctx, page.textLayer);
+            }
+
+            page.text = page.ocrResult.text;
+            page.confidence = page.ocrResult.confidence;
+
+            const images = page.imageRegions > 0 ? `, ${page.imageRegions} embedded image(s) read by OCR` : '';
+            ctx.reportProgress(1, `Text read from the PDF text layer${images}`, 'text_layer');
+            return;
+        }
+
+        // L'OCR lit une copie (réduite, redressée, puis nettoyée) : le canvas caviardé et exporté reste l'original
+        const { options } = ctx;
+
+        const scaled = options.ocrResolution
+            ? ctx.imageService.resizeForOCR({ ...options.ocrResolution, sourceDpi: page.dpi })
+            : { canvas: ctx.imageService.canvas, scale: 1, scaleX: 1, scaleY: 1 };
+
+        // Mode 'auto' : langues de la première lecture tant que celle du document n'est pas détectée
+        const auto = options.language === LanguageManager.AUTO;
+        let language = auto ? ctx.language ?? LanguageManager.fallback(options.languageCandidates) : options.language;
 
-            // Étape 2: Chargement de l'image
-            this._emitProgress('image_load', 0.15, 'Loading image...');
-            const image = await this.imageService.loadImage(file);
-            this.imageService.initCanvas(image);
+        let oriented = null;
+        if (options.autoRotate) {
+            oriented = await this._orientPage(ctx, scaled, language);
+        }
+
+        let prepared = null;
+        if (options.preprocess) {
+            ctx.reportProgress(0, 'Preprocessing image...', 'preprocess');
+            prepared = this.preprocessService.process(oriented?.canvas ?? scaled.canvas, options.preprocess);
+        }
+
+        // Canvas de la page (tourné en mode 'upright') : les coordonnées y sont reportées
+        const { canvas } = ctx.imageService;
+        const input = prepared?.canvas ?? oriented?.canvas ?? scaled.canvas;
+
+        try {
+            if (auto && !ctx.language) {
+                language = await this._detectLanguage(ctx, input, language);
+            }
+            ctx.language = language;
+            page.language = language;
 
-            // Étape 3: OCR - Extraction du texte
-            this._emitProgress('ocr_start', 0.2, 'Reading image...');
+            ctx.reportProgress(0, 'Reading image...', 'ocr_start');
 
             // Utilise le canvas (compatible avec PDF converti) au lieu du fichier original
-            const ocrResult = await this.ocrService.extractText(
-                this.imageService.canvas,
+            page.ocrResult = await this.ocrService.extractText(
+                input,
                 (progress) => {
-                    const baseProgress = 0.2;
-                    const range = 0.4; // OCR prend 20% à 60%
-                    this._emitProgress(
-                        'ocr_processing',
-                        baseProgress + (progress.progress * range),
-                        `OCR Processing... ${Math.round(progress.progress * 100)}%`
+                    ctx.reportProgress(
+                        progress.progress,
+                        `OCR Processing... ${Math.round(progress.progress * 100)}%`,
+                        'ocr_processing'
                     );
-                }
+                },
+                { signal: ctx.signal, tiling: options.ocrTiling, language, owner: ctx.id }
             );
+        } finally {
+            [prepared?.canvas, oriented?.canvas, scaled.canvas]
+                .filter(copy => copy && copy !== canvas)
+                .forEach(copy => {
+                    copy.width = 0;
+                    copy.height = 0;
+                });
+        }
 
-            this._emitProgress('ocr_complete', 0.6, `Text extracted with ${Math.round(ocrResult.confidence)}% confidence`);
+        // Coordonnées reconnues sur la copie → canvas d'origine (redressement fin, orientation, puis échelle)
+        const identity = (x, y) => ({ x, y });
+        const unrotate = prepared?.mapPoint ?? identity;
+        const unorient = oriented?.mapPoint ?? identity;
+        if (prepared || oriented?.mapPoint || scaled.scale !== 1) {
+            page.ocrResult = OCRService.mapCoordinates(page.ocrResult, (x, y) => {
+                const rotated = unrotate(x, y);
+                const point = unorient(rotated.x, rotated.y);
+                return { x: point.x / scaled.scaleX, y: point.y / scaled.scaleY };
+            }, canvas);
+        }
 
-            // Si extraction seule, on retourne directement le texte
-            if (extractTextOnly) {
-                const textBlob = new Blob([ocrResult.text], { type: 'text/plain' });
-                const textFile = new File([textBlob], file.name.replace(/\.\w+$/, '.txt'), {
-                    type: 'text/plain'
-                });
+        page.ocrScale = scaled.scale;
+        page.ocrTiles = page.ocrResult.tiles ?? 1;
+        page.ocrCached = Boolean(page.ocrResult.cached);
+        if (prepared) {
+            page.preprocess = { steps: prepared.steps, skewAngle: prepared.skewAngle };
+        }
 
-                this._emitComplete({ file: textFile, text: ocrResult.text });
-                return textFile;
-            }
+        page.source = 'ocr';
+        page.text = page.ocrResult.text;
+        page.confidence = page.ocrResult.confidence;
+
+        ctx.reportProgress(1, `Text extracted with ${Math.round(page.confidence)}% confidence${page.ocrCached ? ' (cached)' : ''}`, 'ocr_complete');
+    }
+
+    /**
+     * Lit par OCR les images d'une page native et ajoute leurs mots à ceux de la couche texte
+     * Chaque image est découpée du canvas de la page ; ses lignes suivent le texte de la page
+     * @private
+     * @param {Object} textLayer - Couche texte de la page, avec textLayer.images (pixels du canvas)
+     * @returns {Promise<Object>} - Résultat au format OCR (texte, mots positionnés sur la page)
+     */
+    async _readEmbeddedImages(ctx, textLayer) {
+        const { options } = ctx;
+        const { canvas } = ctx.imageService;
+        const language = options.language === LanguageManager.AUTO
+            ? ctx.language ?? LanguageManager.fallback(options.languageCandidates)
+            : options.language;
 
-            // Étape 4: Anonymisation (si activée)
-            let nlpResult = null;
-            if (anonymize) {
-                this._emitProgress('nlp_analysis', 0.65, 'Extracting names...');
+        const texts = [textLayer.text];
+        const words = [...textLayer.words];
+        const lines = [...textLayer.lines];
 
-                nlpResult = this.nlpProcessor.analyze(ocrResult.text);
+        for (const [index, image] of textLayer.images.entries()) {
+            const crop = ctx.imageService.cropRegion(image);
+            if (!crop) continue;
 
-                this._emitProgress(
-                    'nlp_complete',
-                    0.7,
-                    `${nlpResult.total} sensitive entities detected`
+            let result;
+            try {
+                result = await this.ocrService.extractText(
+                    crop.canvas,
+                    (progress) => ctx.reportProgress(
+                        (index + progress.progress) / textLayer.images.length,
+                        `Reading embedded image ${index + 1}/${textLayer.images.length}...`,
+                        'ocr_processing'
+                    ),
+                    { signal: ctx.signal, language, owner: ctx.id }
                 );
+            } finally {
+                crop.canvas.width = 0;
+                crop.canvas.height = 0;
+            }
 
-                if (nlpResult.total > 0) {
-                    this._emitProgress('blur_start', 0.75, 'Anonymizing...');
+            // Image → page
+            const mapped = OCRService.mapCoordinates(result, (x, y) => ({ x: x + crop.x, y: y + crop.y }), canvas);
+            const read = mapped.words.filter(word => word.text.trim());
+            if (read.length === 0) continue;
 
-                    // Mappe les entités NLP aux coordonnées OCR
-                    const boxesToBlur = this.nlpProcessor.mapEntitiesToWords(
-                        nlpResult,
-                        ocrResult.words
-                    );
+            texts.push(mapped.text.trim());
+            words.push(...read);
+            lines.push(...mapped.lines);
+        }
 
-                    // Applique le floutage sur le canvas
-                    this.imageService.blurRegions(boxesToBlur, blurIntensity);
+        const text = texts.join('\n');
+        return {
+            ...textLayer,
+            text,
+            confidence: words.length ? words.reduce((sum, word) => sum + word.confidence, 0) / words.length : textLayer.confidence,
+            words: OCRService.alignWords(text, words.map(({ start, end, ...word }) => word)),
+            lines
+        };
+    }
 
-                    this._emitProgress('blur_complete', 0.85, 'Anonymization complete');
-                } else {
-                    this._emitProgress('blur_skip', 0.8, 'No sensitive data detected');
-                }
+    /**
+     * Détecte l'orientation de la page sur la copie OCR et la redresse
+     * Par défaut seule la copie est tournée (mapPoint reporte les mots sur la page d'origine) ;
+     * en mode 'upright', le canvas de la page l'est aussi et le fichier produit sort redressé
+     * @private
+     * @returns {Object|null} - { canvas, mapPoint } copie tournée, null si la page est droite
+     */
+    async _orientPage(ctx, scaled, language) {
+        const { page } = ctx;
+
+        ctx.reportProgress(0, 'Detecting page orientation...', 'orientation');
+        page.orientation = await this.ocrService.detectOrientation(scaled.canvas, {
+            signal: ctx.signal,
+            maxPixels: ctx.options.ocrTiling?.maxPixels,
+            language,
+            owner: ctx.id
+        });
+
+        const { angle, script } = page.orientation;
+        if (!angle) return null;
+
+        ctx.reportProgress(1, `Page rotated ${angle}° before OCR${script ? ` (${script} script)` : ''}`, 'orientation');
+
+        const isCopy = scaled.canvas !== ctx.imageService.canvas;
+        if (ctx.options.autoRotate !== 'upright') {
+            return ctx.imageService.rotate(scaled.canvas, angle, isCopy);
+        }
+
+        ctx.imageService.rotateCanvas(angle);
+        if (angle !== 180 && page.pageSize) {
+            page.pageSize = { width: page.pageSize.height, height: page.pageSize.width };
+        }
+
+        // Copie réduite tournée elle aussi, sans report de coordonnées (page et copie sont droites)
+        return isCopy
+            ? { canvas: ctx.imageService.rotate(scaled.canvas, angle, true).canvas, mapPoint: null }
+            : { canvas: ctx.imageService.canvas, mapPoint: null };
+    }
+
+    /**
+     * Détecte la langue du document sur sa première page lue par OCR (mode 'auto')
+     * La détection n'est faite qu'une fois par job : les pages suivantes réutilisent ctx.language
+     * @private
+     * @param {String} fallback - Langues retenues si aucune ne se détache (aussi celles de la première lecture)
+     * @returns {String} - Langues de l'OCR
+     */
+    async _detectLanguage(ctx, canvas, fallback) {
+        const candidates = ctx.options.languageCandidates;
+        if (candidates.length === 1) return candidates[0];
+
+        ctx.reportProgress(0, 'Detecting language...', 'language');
+        const { language } = await this.ocrService.detectLanguage(canvas, {
+            signal: ctx.signal,
+            candidates,
+            language: fallback,
+            owner: ctx.id
+        });
+
+        if (!language) {
+            ctx.reportProgress(1, `Language not recognized, using ${fallback}`, 'language');
+            return fallback;
+        }
+
+        const name = LanguageManager.PACKS.find(pack => pack.code === language)?.name ?? language;
+        ctx.reportProgress(1, `Language detected: ${name} (${language})`, 'language');
+        return language;
+    }
+
+    /**
+     * Étape "nlp" : détection des entités et correspondance avec les mots OCR
+     * @private
+     */
+    async _stageNlp(ctx) {
+        const { page, options } = ctx;
+
+        // En extraction seule, la détection sert à masquer ou pseudonymiser le texte rendu
+        if (!options.anonymize) return;
+
+        ctx.reportProgress(0, 'Extracting names...', 'nlp_analysis');
+
+        page.nlpResult = this.nlpProcessor.analyze(page.ocrResult.text);
+
+        // Le profil ne retient que ses types d'entités, les autres restent en clair
+        if (options.policy) {
+            page.nlpResult = PolicyManager.filterResult(options.policy, page.nlpResult);
+        }
+
+        page.entitiesFound = page.nlpResult.total || 0;
+
+        // Pseudonymes partagés par toutes les pages et tous les fichiers de la série
+        if (options.pseudonymizer) {
+            await options.pseudonymizer.pseudonymize(page.nlpResult);
+            page.text = this.nlpProcessor.pseudonymizeText(page.ocrResult.text, page.nlpResult);
+        } else if (options.extractTextOnly) {
+            page.text = this.nlpProcessor.maskText(page.ocrResult.text, page.nlpResult);
+        }
+
+        ctx.reportProgress(1, `${page.entitiesFound} sensitive entities detected`, 'nlp_complete');
+
+        if (page.entitiesFound > 0) {
+            // Mappe les entités NLP aux coordonnées OCR
+            page.boxes = this.nlpProcessor.mapEntitiesToWords(
+                page.nlpResult,
+                page.ocrResult.words,
+                page.ocrResult.text
+            );
+
+            if (options.policy) {
+                page.boxes = PolicyManager.applyToBoxes(options.policy, page.boxes);
             }
 
-            // Étape 5: Application du watermark (version gratuite)
-            if (this.licenseStatus.requiresWatermark) {
-                this._emitProgress('watermark', 0.9, 'Adding watermark...');
-                this.imageService.addSmartWatermark(
-                    'LocalSeal - Demo Version',
-                    { fontSize: 32, opacity: 0.25, angle: -45 }
-                );
+            // Les pseudonymes sont inscrits sur l'image, quel que soit le style choisi
+            if (options.pseudonymizer) {
+                page.boxes = page.boxes.map(box => ({ ...box, style: 'label' }));
             }
+        }
+    }
 
-            // Étape 6: Export et compression
-            this._emitProgress('export', 0.95, 'Generating file...');
+    /**
+     * Étape "redact" : caviardage des zones sur le canvas
+     * @private
+     */
+    async _stageRedact(ctx) {
+        const { page, options } = ctx;
+        if (!options.anonymize || options.extractTextOnly) return;
 
-            let outputFile;
-            const outputName = this._generateOutputFilename(file.name, anonymize, isPdf);
+        if (page.boxes.length > 0) {
+            ctx.reportProgress(0, 'Anonymizing...', 'blur_start');
 
-            if (isPdf) {
-                outputFile = await this.imageService.exportAsPDF(outputName, quality);
-            } else {
-                outputFile = await this.imageService.exportAsFile(outputName, outputFormat, quality);
-            }
+            // Applique le caviardage sur le canvas
+            ctx.imageService.redactRegions(page.boxes, {
+                style: options.redactionStyle,
+                intensity: options.blurIntensity
+            });
+
+            ctx.reportProgress(1, 'Anonymization complete', 'blur_complete');
+        } else {
+            ctx.reportProgress(0.5, 'No sensitive data detected', 'blur_skip');
+        }
+
+        // Zones effectivement caviardées, pour le rapport d'audit
+        page.redacted = page.boxes;
+
+        // Sans relecture, les détections sous le seuil du profil sont caviardées et comptées :
+        // le résultat et le rapport d'audit indiquent les zones à vérifier
+        page.lowConfidence = page.redacted.filter(box => box.lowConfidence).length;
+        if (page.lowConfidence > 0) {
+            ctx.reportProgress(1, `${page.lowConfidence} low-confidence zone(s) redacted, please check`, 'low_confidence');
+        }
+    }
+
+    /**
+     * Étape "watermark" : filigrane de la version gratuite
+     * @private
+     */
+    async _stageWatermark(ctx) {
+        if (ctx.options.extractTextOnly || !this.licenseStatus.requiresWatermark) return;
 
-            this._emitProgress('complete', 1.0, 'Processing complete!');
+        ctx.reportProgress(0, 'Adding watermark...', 'watermark');
+        ctx.imageService.addSmartWatermark(
+            'LocalSeal - Demo Version',
+            { fontSize: 32, opacity: 0.25, angle: -45 }
+        );
+    }
+
+    /**
+     * Étape "export" : génération du fichier, du rapport d'audit et du résultat final
+     * @private
+     */
+    async _stageExport(ctx) {
+        const { file, pages, options } = ctx;
+        const { anonymize, blurIntensity, redactionStyle, outputFormat, quality } = options;
+        const text = pages.map(p => p.text).join('\f');
 
-            // Génère une miniature pour l'aperçu (surtout pour les PDF qui ne s'affichent pas dans <img>)
-            const thumbnail = await this.imageService.exportAsBlob('image/jpeg', 0.5);
+        // Si extraction seule, on retourne directement le texte (masqué ou pseudonymisé avec anonymize)
+        if (options.extractTextOnly) {
+            const textBlob = new Blob([text], { type: 'text/plain' });
+            const textFile = new File([textBlob], file.name.replace(/\.\w+$/, '.txt'), {
+                type: 'text/plain'
+            });
 
-            // Résultat final
-            const result = {
-                file: outputFile,
-                thumbnail: thumbnail, // Ajout de la miniature
-                text: ocrResult.text,
-                confidence: ocrResult.confidence,
-                entitiesFound: anonymize ? nlpResult?.total || 0 : 0,
-                watermarked: this.licenseStatus.requiresWatermark
+            ctx.result = {
+                file: textFile, text, pageCount: pages.length, pages: this._pageSummaries(pages), metadata: ctx.metadata
             };
+            this._addTextExports(ctx);
+            return;
+        }
 
-            this._emitComplete(result);
-            return result;
+        // Export et compression
+        ctx.reportProgress(0, 'Generating file...', 'export');
 
-        } catch (error) {
-            this._emitError(error);
-            throw error;
-        } finally {
-            // Nettoyage des ressources
-            this.imageService.destroy();
+        let outputFile;
+        const outputName = this._generateOutputFilename(file.name, anonymize, ctx.isPdf);
+
+        if (ctx.isPdf) {
+            outputFile = await ctx.imageService.exportAsPDF(outputName, quality, ctx.output.pages);
+        } else {
+            outputFile = await ctx.imageService.exportAsFile(outputName, outputFormat, quality);
+        }
+
+        // Le fichier produit est réencodé depuis le canvas : aucune métadonnée d'entrée ne doit subsister
+        const leaks = await this.metadataService.findLeaks(outputFile);
+        if (leaks.length > 0) {
+            throw new Error(`Output file still carries metadata: ${leaks.join(', ')}`);
+        }
+
+        // Rapport d'audit : zones caviardées et empreintes, sans aucun texte
+        let auditRecord = null;
+        if (options.audit) {
+            auditRecord = await this.auditService.createRecord({
+                inputFile: file,
+                outputFile,
+                options: {
+                    anonymize, blurIntensity, redactionStyle, outputFormat, quality,
+                    searchable: options.searchable && ctx.isPdf,
+                    policy: options.policy?.id ?? null,
+                    pseudonymize: !!options.pseudonymizer,
+                    vault: !!options.vault,
+                    preprocess: options.preprocess ? options.preprocess.map(step => step.name).join(',') : null,
+                    autoRotate: options.autoRotate,
+                    language: ctx.language ?? null,
+                    review: !!options.review
+                },
+                pages: pages.map(page => ({ pageNumber: page.pageNumber, regions: page.redacted || [] })),
+                metadata: ctx.metadata
+            });
+        }
+
+        // Coffre de ré-identification, lié au fichier caviardé par son empreinte
+        let vaultFile = null;
+        if (options.vault && anonymize) {
+            ctx.reportProgress(1, 'Encrypting re-identification vault...', 'vault');
+
+            const content = this.vaultService.buildContent({
+                inputFile: file,
+                outputFile,
+                outputSha256: auditRecord?.outputFile.sha256 ?? await this.auditService.sha256(outputFile),
+                pages
+            });
+            vaultFile = await this.vaultService.seal(content, options.vault.passphrase, `${outputName}.vault.json`);
+        }
+
+        ctx.signal?.throwIfAborted();
+
+        ctx.reportProgress(1, 'Processing complete!', 'complete');
+
+        // Résultat final
+        ctx.result = {
+            file: outputFile,
+            thumbnail: ctx.output.thumbnail, // Ajout de la miniature
+            text,
+            confidence: pages.reduce((sum, p) => sum + p.confidence, 0) / pages.length,
+            entitiesFound: pages.reduce((sum, p) => sum + p.entitiesFound, 0),
+            lowConfidence: pages.reduce((sum, p) => sum + (p.lowConfidence ?? 0), 0),
+            watermarked: this.licenseStatus.requiresWatermark,
+            pageCount: pages.length,
+            pages: this._pageSummaries(pages),
+            metadata: ctx.metadata // Métadonnées du fichier d'entrée, absentes du fichier produit
+        };
+
+        if (auditRecord) {
+            ctx.result.audit = auditRecord;
+        }
+
+        if (vaultFile) {
+            ctx.result.vault = vaultFile;
+        }
+
+        this._addTextExports(ctx);
+    }
+
+    /**
+     * Ajoute au résultat les exports texte anonymisés demandés (result.exports)
+     * @private
+     */
+    _addTextExports(ctx) {
+        const { file, pages, options } = ctx;
+        if (options.textExports.length === 0) return;
+
+        ctx.result.exports = this.textExportService.createExports(options.textExports, {
+            name: file.name,
+            baseName: `${file.name.replace(/\.\w+$/, '')}_redacted`,
+            pages
+        });
+    }
+
+    /**
+     * Résumé public des pages traitées
+     * @private
+     */
+    _pageSummaries(pages) {
+        return pages.map(({ pageNumber, source, text, confidence, entitiesFound, lowConfidence, ocrScale, ocrTiles, ocrCached, preprocess, orientation, language, imageRegions }) => ({
+            pageNumber, source, text, confidence, entitiesFound, lowConfidence, ocrScale, ocrTiles, ocrCached, preprocess, orientation, language, imageRegions
+        }));
+    }
+
+    /**
+     * Traite une série de fichiers avec une concurrence limitée
+     * Les fichiers en parallèle sont des jobs distincts de cette instance (canvas propre,
+     * jobId dans chaque événement) et se partagent le pool de workers OCR, à tour de rôle
+     * @param {Array<File>|FileList} files - Fichiers à traiter
+     * @param {Object} options - Options de processFile, plus :
+     *   - concurrency {Number} : nombre de fichiers traités simultanément (1 par défaut)
+     *   - archive {Boolean} : génère une archive ZIP des résultats (true par défaut)
+     *   - signal {AbortSignal} : annule toute la série
+     *   - onFileStart {Function} : (file, index, controller) => void, controller annule ce fichier seul
+     *   - onFileComplete {Function} : (file, index, result) => void
+     *   - onFileEnd {Function} : (file, index, controller) => void, après chaque fichier démarré
+     *     (traité, en échec ou annulé)
+     *   - pseudonymize {Boolean} : une seule table de pseudonymes (sel aléatoire) pour toute la série
+     * @returns {Promise<Object>} - { results: [{ file, index, result }], failures: [{ file, index, error, cancelled }], archive, audit }
+     */
+    async processBatch(files, options = {}) {
+        const {
+            concurrency = 1,
+            archive = true,
+            signal = null,
+            onFileStart = null,
+            onFileComplete = null,
+            onFileEnd = null,
+            ...processOptions
+        } = options;
+
+        // Une même personne garde le même pseudonyme dans tous les fichiers de la série
+        if (processOptions.pseudonymize && !processOptions.pseudonymizer) {
+            processOptions.pseudonymizer = new Pseudonymizer();
+        }
+
+        const queue = Array.from(files);
+        const results = [];
+        const failures = [];
+        let nextIndex = 0;
+
+        const runnerCount = Math.max(1, Math.min(concurrency, queue.length));
+
+        const runNext = async () => {
+            while (nextIndex < queue.length && !signal?.aborted) {
+                const index = nextIndex++;
+                const file = queue[index];
+
+                // Chaque fichier est annulable seul, ou avec toute la série
+                const controller = new AbortController();
+                const abortFile = () => controller.abort(signal.reason);
+                signal?.addEventListener('abort', abortFile, { once: true });
+                onFileStart?.(file, index, controller);
+
+                try {
+                    const result = await this.processFile(file, { ...processOptions, signal: controller.signal });
+                    results.push({ file, index, result });
+                    onFileComplete?.(file, index, result);
+                } catch (error) {
+                    failures.push({
+                        file,
+                        index,
+                        error,
+                        cancelled: controller.signal.aborted || error?.name === 'AbortError'
+                    });
+                } finally {
+                    signal?.removeEventListener('abort', abortFile);
+                    onFileEnd?.(file, index, controller);
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: runnerCount }, runNext));
+
+        // Les fichiers jamais démarrés après une annulation de la série sont aussi des échecs
+        for (let index = nextIndex; index < queue.length; index++) {
+            failures.push({ file: queue[index], index, error: signal.reason, cancelled: true });
+        }
+
+        results.sort((a, b) => a.index - b.index);
+        failures.sort((a, b) => a.index - b.index);
+
+        const batch = { results, failures, archive: null };
+
+        // Rapport d'audit agrégé sur toute la série
+        if (processOptions.audit) {
+            batch.audit = this.auditService.aggregate(
+                results.map(({ result }) => result.audit).filter(Boolean)
+            );
         }
+
+        if (archive && results.length > 0) {
+            batch.archive = await this.createArchive(batch);
+        }
+
+        return batch;
+    }
+
+    /**
+     * Construit une archive ZIP contenant tous les fichiers anonymisés et un index
+     * (ainsi que les rapports d'audit si la série en contient)
+     * @param {Object} batch - Résultat de processBatch
+     * @param {String} filename - Nom de l'archive
+     * @returns {Promise<File>}
+     */
+    async createArchive(batch, filename = `localseal_batch_${new Date().toISOString().slice(0, 10)}.zip`) {
+        const zip = new ZipService();
+        const index = [];
+
+        batch.results.forEach(({ file, result }) => {
+            // Le coffre (chiffré) et les exports texte accompagnent le fichier caviardé :
+            // renommés ensemble en cas de collision, ils restent appariés
+            const [entryName] = zip.addFiles([
+                result.file,
+                ...(result.vault ? [result.vault] : []),
+                ...Object.values(result.exports || {})
+            ].map(entry => ({ name: entry.name, data: entry })));
+
+            index.push({
+                source: file.name,
+                output: entryName,
+                status: 'success',
+                pageCount: result.pageCount,
+                entitiesFound: result.entitiesFound,
+                confidence: result.confidence != null ? Math.round(result.confidence) : null
+            });
+        });
+
+        batch.failures.forEach(({ file, error, cancelled }) => {
+            index.push({
+                source: file.name,
+                output: null,
+                status: cancelled ? 'cancelled' : 'error',
+                error: cancelled ? null : error?.message || String(error)
+            });
+        });
+
+        zip.addFile('index.json', JSON.stringify({
+            generatedAt: new Date().toISOString(),
+            files: index
+        }, null, 2));
+
+        if (batch.audit) {
+            zip.addFile('audit.json', this.auditService.exportAsJSON(batch.audit));
+            zip.addFile('audit.csv', this.auditService.exportAsCSV(batch.audit));
+        }
+
+        return zip.generate(filename);
     }
 
     /**
@@ -276,7 +1498,7 @@ export class LocalSealEngine {
      * Libère toutes les ressources (à appeler lors de la fermeture de l'app)
      */
     async destroy() {
+        this.jobs.forEach(job => job.imageService.destroy());
         await this.ocrService.terminate();
-        this.imageService.destroy();
     }
 }
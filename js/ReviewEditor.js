@@ -0,0 +1,376 @@
+/**
+ * ReviewEditor.js
+ * Relecture humaine des zones détectées avant export
+ * Affiche chaque page avec des calques colorés par type d'entité :
+ * clic pour activer/désactiver une zone, glisser pour en dessiner une nouvelle,
+ * annuler/rétablir, puis confirmation pour reprendre le traitement
+ */
+
+// Couleurs des calques par type d'entité
+const TYPE_COLORS = {
+    person: '#f43f5e',
+    place: '#f59e0b',
+    organization: '#a855f7',
+    email: '#10b981',
+    phone: '#14b8a6',
+    iban: '#eab308',
+    creditCard: '#eab308',
+    manual: '#22d3ee'
+};
+const DEFAULT_COLOR = '#38bdf8';
+
+// En dessous de cette distance (en pixels écran), un geste est un clic
+const CLICK_TOLERANCE = 4;
+
+export class ReviewEditor {
+    constructor() {
+        this.modal = document.getElementById('review-modal');
+        this.canvas = document.getElementById('review-canvas');
+        this.ctx = this.canvas?.getContext('2d');
+        this.viewport = document.getElementById('review-viewport');
+        this.legend = document.getElementById('review-legend');
+
+        this.analysis = null;
+        this.pages = [];
+        this.pageIndex = 0;
+        this.scale = 1;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.drag = null;
+        this.resolve = null;
+
+        this._bindEvents();
+    }
+
+    /**
+     * Ouvre la relecture pour un document analysé
+     * @param {Object} analysis - Résultat de LocalSealEngine.analyze()
+     * @returns {Promise<Array|null>} - Zones validées (une liste par page) ou null si annulé
+     */
+    open(analysis) {
+        if (!this.modal) return Promise.resolve(analysis.pages.map(page => page.boxes));
+
+        this.analysis = analysis;
+        this.pages = analysis.pages.map(page =>
+            page.boxes.map(box => ({ ...box, enabled: true }))
+        );
+        this.pageIndex = 0;
+        this.undoStack = [];
+        this.redoStack = [];
+
+        document.getElementById('review-title').textContent = `Review detections — ${analysis.file.name}`;
+        this.modal.classList.remove('hidden');
+        document.body.classList.add('modal-active');
+
+        this._render();
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * Ferme la relecture et transmet les zones validées (ou null)
+     * @private
+     */
+    _close(confirmed) {
+        const resolve = this.resolve;
+        const pages = confirmed
+            ? this.pages.map(boxes => boxes
+                .filter(box => box.enabled)
+                .map(({ enabled, ...box }) => box))
+            : null;
+
+        this.resolve = null;
+        this.analysis = null;
+        this.pages = [];
+        this.modal.classList.add('hidden');
+        document.body.classList.remove('modal-active');
+
+        resolve?.(pages);
+    }
+
+    /**
+     * Configure les interactions (souris, clavier, boutons)
+     * @private
+     */
+    _bindEvents() {
+        if (!this.modal) return;
+
+        const on = (id, handler) => document.getElementById(id)?.addEventListener('click', handler);
+
+        on('review-prev', () => this._goTo(this.pageIndex - 1));
+        on('review-next', () => this._goTo(this.pageIndex + 1));
+        on('review-undo', () => this.undo());
+        on('review-redo', () => this.redo());
+        on('review-cancel', () => this._close(false));
+        on('review-confirm', () => this._close(true));
+
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.drag = { start: this._toPage(e), current: this._toPage(e), origin: { x: e.clientX, y: e.clientY } };
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (!this.drag) return;
+            this.drag.current = this._toPage(e);
+            this._render();
+        });
+
+        window.addEventListener('mouseup', (e) => {
+            if (!this.drag) return;
+
+            const { start, current, origin } = this.drag;
+            this.drag = null;
+
+            const moved = Math.hypot(e.clientX - origin.x, e.clientY - origin.y);
+            if (moved < CLICK_TOLERANCE) {
+                this._toggleAt(start);
+            } else {
+                this._addBox(start, current);
+            }
+        });
+
+        window.addEventListener('keydown', (e) => {
+            if (!this.resolve) return;
+
+            const key = e.key.toLowerCase();
+            if ((e.ctrlKey || e.metaKey) && key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((e.ctrlKey || e.metaKey) && (key === 'y' || (key === 'z' && e.shiftKey))) {
+                e.preventDefault();
+                this.redo();
+            } else if (key === 'escape') {
+                this._close(false);
+            }
+        });
+
+        window.addEventListener('resize', () => {
+            if (this.resolve) this._render();
+        });
+    }
+
+    /**
+     * Annule la dernière action
+     */
+    undo() {
+        const action = this.undoStack.pop();
+        if (!action) return;
+
+        this._revert(action);
+        this.redoStack.push(action);
+        this._goTo(action.page);
+    }
+
+    /**
+     * Rétablit la dernière action annulée
+     */
+    redo() {
+        const action = this.redoStack.pop();
+        if (!action) return;
+
+        this._execute(action);
+        this.undoStack.push(action);
+        this._goTo(action.page);
+    }
+
+    /**
+     * Enregistre et exécute une action annulable
+     * @private
+     */
+    _do(action) {
+        this._execute(action);
+        this.undoStack.push(action);
+        this.redoStack = [];
+        this._render();
+    }
+
+    /**
+     * @private
+     */
+    _execute(action) {
+        const boxes = this.pages[action.page];
+        if (action.type === 'toggle') {
+            boxes[action.index].enabled = !boxes[action.index].enabled;
+        } else if (action.type === 'add') {
+            boxes.push(action.box);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _revert(action) {
+        const boxes = this.pages[action.page];
+        if (action.type === 'toggle') {
+            boxes[action.index].enabled = !boxes[action.index].enabled;
+        } else if (action.type === 'add') {
+            boxes.splice(boxes.indexOf(action.box), 1);
+        }
+    }
+
+    /**
+     * Active/désactive la zone la plus haute sous le point cliqué
+     * @private
+     */
+    _toggleAt(point) {
+        const boxes = this.pages[this.pageIndex];
+
+        for (let index = boxes.length - 1; index >= 0; index--) {
+            const { bbox } = boxes[index];
+            if (point.x >= bbox.x0 && point.x <= bbox.x1 && point.y >= bbox.y0 && point.y <= bbox.y1) {
+                this._do({ type: 'toggle', page: this.pageIndex, index });
+                return;
+            }
+        }
+    }
+
+    /**
+     * Ajoute une zone dessinée à la main
+     * @private
+     */
+    _addBox(a, b) {
+        const box = {
+            bbox: {
+                x0: Math.min(a.x, b.x),
+                y0: Math.min(a.y, b.y),
+                x1: Math.max(a.x, b.x),
+                y1: Math.max(a.y, b.y)
+            },
+            type: 'manual',
+            label: '[REDACTED]',
+            confidence: null,
+            enabled: true
+        };
+
+        this._do({ type: 'add', page: this.pageIndex, box });
+    }
+
+    /**
+     * Change de page
+     * @private
+     */
+    _goTo(index) {
+        this.pageIndex = Math.max(0, Math.min(this.pages.length - 1, index));
+        this._render();
+    }
+
+    /**
+     * Convertit une position souris en coordonnées de la page d'origine
+     * @private
+     */
+    _toPage(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const page = this.analysis.pages[this.pageIndex];
+
+        return {
+            x: Math.max(0, Math.min(page.width, (e.clientX - rect.left) / this.scale)),
+            y: Math.max(0, Math.min(page.height, (e.clientY - rect.top) / this.scale))
+        };
+    }
+
+    /**
+     * Redessine la page courante et ses calques
+     * @private
+     */
+    _render() {
+        if (!this.analysis) return;
+
+        const page = this.analysis.pages[this.pageIndex];
+        const boxes = this.pages[this.pageIndex];
+
+        // Ajuste l'échelle d'affichage à la zone disponible
+        const maxWidth = this.viewport.clientWidth - 32;
+        const maxHeight = this.viewport.clientHeight - 32;
+        this.scale = Math.min(1, maxWidth / page.width, maxHeight / page.height);
+
+        this.canvas.width = Math.round(page.width * this.scale);
+        this.canvas.height = Math.round(page.height * this.scale);
+
+        this.ctx.drawImage(page.canvas, 0, 0, this.canvas.width, this.canvas.height);
+
+        boxes.forEach(box => this._drawBox(box.bbox, TYPE_COLORS[box.type] || DEFAULT_COLOR, box.enabled, box.lowConfidence));
+
+        if (this.drag) {
+            const { start, current } = this.drag;
+            this._drawBox({
+                x0: Math.min(start.x, current.x),
+                y0: Math.min(start.y, current.y),
+                x1: Math.max(start.x, current.x),
+                y1: Math.max(start.y, current.y)
+            }, TYPE_COLORS.manual, true);
+        }
+
+        document.getElementById('review-page').textContent = `${this.pageIndex + 1} / ${this.pages.length}`;
+        this._renderLegend();
+    }
+
+    /**
+     * Dessine une zone (pleine si active, pointillée si désactivée)
+     * Une détection sous le seuil de confiance du profil est cerclée de blanc
+     * @private
+     */
+    _drawBox(bbox, color, enabled, lowConfidence = false) {
+        const x = bbox.x0 * this.scale;
+        const y = bbox.y0 * this.scale;
+        const width = (bbox.x1 - bbox.x0) * this.scale;
+        const height = (bbox.y1 - bbox.y0) * this.scale;
+
+        this.ctx.save();
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 2;
+
+        if (enabled) {
+            this.ctx.globalAlpha = 0.35;
+            this.ctx.fillStyle = color;
+            this.ctx.fillRect(x, y, width, height);
+            this.ctx.globalAlpha = 1;
+        } else {
+            this.ctx.setLineDash([4, 3]);
+            this.ctx.globalAlpha = 0.7;
+        }
+
+        this.ctx.strokeRect(x, y, width, height);
+
+        if (lowConfidence) {
+            this.ctx.setLineDash([2, 2]);
+            this.ctx.globalAlpha = 1;
+            this.ctx.strokeStyle = '#FFFFFF';
+            this.ctx.strokeRect(x - 3, y - 3, width + 6, height + 6);
+        }
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Légende des types présents et compteur de zones actives
+     * @private
+     */
+    _renderLegend() {
+        if (!this.legend) return;
+
+        const boxes = this.pages.flat();
+        const types = [...new Set(boxes.map(box => box.type))];
+        const active = boxes.filter(box => box.enabled).length;
+        const uncertain = boxes.filter(box => box.lowConfidence).length;
+
+        this.legend.innerHTML = '';
+        types.forEach(type => {
+            const item = document.createElement('span');
+            item.className = 'flex items-center gap-1.5';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'w-2.5 h-2.5 rounded-sm';
+            swatch.style.background = TYPE_COLORS[type] || DEFAULT_COLOR;
+
+            item.append(swatch, type);
+            this.legend.appendChild(item);
+        });
+
+        const count = document.createElement('span');
+        count.className = 'ml-auto text-slate-300';
+        count.textContent = `${active}/${boxes.length} zone(s) will be redacted`
+            + (uncertain > 0 ? ` · ${uncertain} low-confidence, please check` : '');
+        this.legend.appendChild(count);
+    }
+}
@@ -12,7 +12,8 @@ export class WorkerManager {
         this.callbacks = {
             onProgress: null,
             onComplete: null,
-            onError: null
+            onError: null,
+            onCancel: null
         };
     }
 
@@ -84,6 +85,14 @@ export class WorkerManager {
         });
     }
 
+    /**
+     * Annule le traitement en cours dans le Worker
+     */
+    cancel() {
+        if (!this.isReady) return;
+        this.worker.postMessage({ action: 'cancel' });
+    }
+
     /**
      * Récupère les informations de licence
      */
@@ -125,6 +134,11 @@ export class WorkerManager {
         return this;
     }
 
+    onCancel(callback) {
+        this.callbacks.onCancel = callback;
+        return this;
+    }
+
     /**
      * Gère les messages reçus du Worker
      * @private
@@ -152,6 +166,12 @@ export class WorkerManager {
                 }
                 break;
 
+            case 'cancelled':
+                if (this.callbacks.onCancel) {
+                    this.callbacks.onCancel(data);
+                }
+                break;
+
             case 'licenseInfo':
                 // Peut être géré via un callback dédié si nécessaire
                 console.log('License Info:', data);
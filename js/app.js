@@ -7,15 +7,30 @@
 
 import { LocalSealEngine } from './LocalSealEngine.js';
 import { SecurityManager } from './services/SecurityManager.js';
+import { PolicyManager } from './services/PolicyManager.js';
+import { LanguageManager } from './services/LanguageManager.js';
+import { OCRCache } from './services/OCRCache.js';
+import { ReviewEditor } from './ReviewEditor.js';
 
 // ============================================================================
 // INITIALISATION
 // ============================================================================
 
-const engine = new LocalSealEngine();
+const languageManager = new LanguageManager(); // Packs de langue OCR (dossier lang/ + IndexedDB), sans CDN
+const ocrCache = new OCRCache();               // Résultats OCR chiffrés (IndexedDB), retraitement sans relecture
+const engine = new LocalSealEngine(null, {
+    workerOptions: languageManager.workerOptions(),
+    language: localStorage.getItem('localseal_ocr_language') || LanguageManager.DEFAULT_LANGUAGE, // 'auto' seulement si l'utilisateur le choisit
+    ocrCache
+});
 const securityManager = new SecurityManager(); // Gestion de licence dans le thread principal
+const policyManager = new PolicyManager();     // Profils de caviardage (intégrés + localStorage)
 let currentFile = null;
 let licenseStatus = null;
+let activeControllers = new Set(); // Annulation des fichiers en cours
+let batchController = null;         // Annulation de toute la série
+let archiveUrl = null;              // Archive ZIP de la dernière série
+let reviewQueue = Promise.resolve(); // Les relectures s'enchaînent une par une
 
 // Éléments DOM
 const dropZone = document.getElementById('drop-zone');
@@ -24,6 +39,19 @@ const downloadBtn = document.getElementById('download-btn');
 const previewGallery = document.getElementById('preview-gallery');
 const galleryItems = document.getElementById('gallery-items');
 const galleryCount = document.getElementById('gallery-count');
+const cancelControls = document.getElementById('cancel-controls');
+const downloadAllBtn = document.getElementById('download-all-btn');
+const reviewToggle = document.getElementById('review-toggle');
+const preprocessToggle = document.getElementById('preprocess-toggle');
+const uprightToggle = document.getElementById('upright-toggle');
+const searchableToggle = document.getElementById('searchable-toggle');
+const pseudonymizeToggle = document.getElementById('pseudonymize-toggle');
+const vaultToggle = document.getElementById('vault-toggle');
+const textExportsToggle = document.getElementById('text-exports-toggle');
+const vaultPassphrase = document.getElementById('vault-passphrase');
+const policySelect = document.getElementById('policy-select');
+const languageSelect = document.getElementById('language-select');
+const reviewEditor = new ReviewEditor();
 
 /**
  * Initialise l'application au chargement de la page
@@ -42,7 +70,8 @@ async function init() {
         engine
             .onProgress(handleProgress)
             .onComplete(handleComplete)
-            .onError(handleError);
+            .onError(handleError)
+            .onCancel(handleCancel);
 
         // Met à jour l'interface de licence
         updateLicenseUI();
@@ -70,6 +99,18 @@ async function init() {
 
         // Configure les événements de drag & drop
         setupDragAndDrop();
+        setupCancelControls();
+        setupPolicyControls();
+        setupModals();
+        await setupLanguageControls();
+        setupOcrCacheControls();
+        registerServiceWorker();
+
+        // La phrase secrète du coffre n'est demandée que si l'option est cochée
+        vaultToggle?.addEventListener('change', () => {
+            vaultPassphrase.classList.toggle('hidden', !vaultToggle.checked);
+            if (vaultToggle.checked) vaultPassphrase.focus();
+        });
 
     } catch (error) {
         addLog(`✗ Erreur d'initialisation: ${error.message}`, 'error');
@@ -117,6 +158,168 @@ function setupDragAndDrop() {
     });
 }
 
+/**
+ * Configure les boutons d'annulation (fichier courant / série complète)
+ */
+function setupCancelControls() {
+    document.getElementById('cancel-file-btn')?.addEventListener('click', () => {
+        activeControllers.forEach(controller => controller.abort());
+    });
+
+    document.getElementById('cancel-batch-btn')?.addEventListener('click', () => {
+        batchController?.abort();
+    });
+}
+
+/**
+ * Configure le choix du profil de caviardage et son import/export JSON
+ * Le profil choisi est mémorisé localement pour les sessions suivantes
+ */
+function setupPolicyControls() {
+    if (!policySelect) return;
+
+    const exportBtn = document.getElementById('policy-export-btn');
+
+    const renderOptions = (selectedId) => {
+        policySelect.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+
+        policyManager.list().forEach(policy => {
+            const option = document.createElement('option');
+            option.value = policy.id;
+            option.textContent = policy.builtIn ? policy.name : `${policy.name} (custom)`;
+            option.title = policy.description;
+            policySelect.appendChild(option);
+        });
+
+        policySelect.value = policyManager.get(selectedId) ? selectedId : '';
+        exportBtn.disabled = !policySelect.value;
+    };
+
+    renderOptions(localStorage.getItem('localseal_active_policy'));
+
+    policySelect.addEventListener('change', () => {
+        localStorage.setItem('localseal_active_policy', policySelect.value);
+        exportBtn.disabled = !policySelect.value;
+
+        const policy = policyManager.get(policySelect.value);
+        addLog(policy ? `> Policy: ${policy.name}` : '> Policy: all detected entities', 'info');
+    });
+
+    document.getElementById('policy-import-btn')?.addEventListener('click', () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const policy = await policyManager.importFromJSON(file);
+                localStorage.setItem('localseal_active_policy', policy.id);
+                renderOptions(policy.id);
+                showToast(`Policy "${policy.name}" imported`, 'success');
+            } catch (error) {
+                showToast(`Policy import failed: ${error.message}`, 'error');
+            }
+        };
+        input.click();
+    });
+
+    exportBtn?.addEventListener('click', () => {
+        const file = policyManager.exportAsJSON(policySelect.value);
+        const url = URL.createObjectURL(file);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = file.name;
+        a.click();
+        URL.revokeObjectURL(url);
+    });
+}
+
+/**
+ * Configure le choix de la langue OCR et l'import de packs .traineddata
+ * Les packs non installés restent proposés (l'import les rend utilisables hors ligne)
+ * La langue choisie est mémorisée localement pour les sessions suivantes
+ */
+async function setupLanguageControls() {
+    if (!languageSelect) return;
+
+    const renderOptions = async (selected) => {
+        languageSelect.querySelectorAll('option[data-pack]').forEach(option => option.remove());
+
+        (await languageManager.list()).forEach(pack => {
+            const option = document.createElement('option');
+            option.value = pack.code;
+            option.dataset.pack = pack.code;
+            option.textContent = pack.cached || pack.bundled ? pack.name : `${pack.name} (not installed)`;
+            languageSelect.appendChild(option);
+        });
+
+        languageSelect.value = selected;
+        if (!languageSelect.value) languageSelect.value = LanguageManager.DEFAULT_LANGUAGE;
+    };
+
+    await renderOptions(engine.language);
+
+    languageSelect.addEventListener('change', async () => {
+        localStorage.setItem('localseal_ocr_language', languageSelect.value);
+        await engine.setLanguage(languageSelect.value);
+
+        const option = languageSelect.selectedOptions[0];
+        addLog(`> OCR language: ${option?.textContent ?? languageSelect.value}`, 'info');
+    });
+
+    document.getElementById('language-import-btn')?.addEventListener('click', () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.traineddata,.gz';
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const code = await languageManager.import(file);
+                localStorage.setItem('localseal_ocr_language', code);
+                await renderOptions(code);
+                await engine.setLanguage(code);
+                showToast(`Language pack "${code}" imported`, 'success');
+            } catch (error) {
+                showToast(`Language import failed: ${error.message}`, 'error');
+            }
+        };
+        input.click();
+    });
+}
+
+/**
+ * Bouton de vidage du cache OCR (occupation affichée au survol)
+ */
+function setupOcrCacheControls() {
+    const button = document.getElementById('ocr-cache-clear-btn');
+    if (!button) return;
+
+    if (!ocrCache.enabled) {
+        button.disabled = true;
+        return;
+    }
+
+    button.addEventListener('mouseenter', async () => {
+        const { entries, bytes, maxBytes } = await ocrCache.stats().catch(() => ({ entries: 0, bytes: 0, maxBytes: ocrCache.maxBytes }));
+        button.title = `${entries} cached OCR result(s), ${formatFileSize(bytes)} of ${formatFileSize(maxBytes)}`;
+    });
+
+    button.addEventListener('click', async () => {
+        try {
+            const { entries } = await ocrCache.stats();
+            await ocrCache.clear();
+            addLog(`> OCR cache cleared (${entries} result(s))`, 'info');
+            showToast('OCR cache cleared', 'success');
+        } catch (error) {
+            showToast(`Could not clear OCR cache: ${error.message}`, 'error');
+        }
+    });
+}
+
 function preventDefaults(e) {
     e.preventDefault();
     e.stopPropagation();
@@ -133,6 +336,7 @@ async function handleFiles(files) {
 
     // Réinitialise l'UI globale au début d'une nouvelle série
     clearLogs();
+    setDownloadAll(null);
     if (downloadBtn) {
         downloadBtn.disabled = true;
         downloadBtn.classList.add('opacity-60', 'grayscale', 'cursor-not-allowed');
@@ -143,15 +347,33 @@ async function handleFiles(files) {
     // previewGallery.classList.add('hidden');
     // galleryItems.innerHTML = '';
 
+    // Langue OCR : packs présents hors ligne uniquement (jamais de téléchargement depuis un CDN)
+    let languageCandidates;
+    try {
+        if (engine.language === LanguageManager.AUTO) {
+            languageCandidates = await languageManager.available();
+            if (languageCandidates.length === 0) {
+                throw new Error('aucun pack de langue installé (importez un fichier .traineddata)');
+            }
+        } else {
+            await languageManager.ensure(engine.language);
+        }
+    } catch (error) {
+        showToast(`OCR language: ${error.message}`, 'error');
+        addLog(`✗ ${error.message}`, 'error');
+        return;
+    }
+
     addLog(`> Starting processing of ${files.length} file(s)...`, 'info');
 
     let successCount = 0;
     let errorCount = 0;
     let skippedCount = 0;
 
+    const accepted = [];
+
     for (let i = 0; i < files.length; i++) {
         const file = files[i];
-        addLog(`--- File ${i + 1}/${files.length}: ${file.name} ---`, 'info');
 
         // 1. Validation du type
         if (!file.type.startsWith('image/') && file.type !== 'application/pdf') {
@@ -182,32 +404,87 @@ async function handleFiles(files) {
             break; // On arrête tout si plus de crédits
         }
 
-        // Met à jour l'interface de licence
-        updateLicenseUI();
-        currentFile = file;
+        accepted.push(file);
+    }
 
-        addLog(`> Processing ${file.name} (${formatFileSize(file.size)})...`, 'info');
+    // Met à jour l'interface de licence
+    updateLicenseUI();
+
+    // Options de traitement
+    const options = {
+        anonymize: true,
+        blurIntensity: 20,
+        outputFormat: 'image/jpeg',
+        quality: 0.92,
+        audit: true, // Rapports d'audit (JSON + CSV) inclus dans l'archive ZIP
+        preprocess: Boolean(preprocessToggle?.checked), // Redressement et nettoyage des scans avant l'OCR
+        autoRotate: uprightToggle?.checked ? 'upright' : true, // Pages à l'envers ou de côté : lues redressées, ou exportées redressées
+        languageCandidates, // Mode 'auto' : langue détectée parmi les packs installés
+        searchable: Boolean(searchableToggle?.checked), // Couche texte invisible (zones caviardées remplacées par leur libellé)
+        policy: policySelect?.value ? policyManager.get(policySelect.value) : null, // Profil de caviardage
+        pseudonymize: Boolean(pseudonymizeToggle?.checked), // Mêmes pseudonymes dans toute la série
+        textExports: textExportsToggle?.checked ? ['txt', 'json', 'md'] : [], // Texte anonymisé (index, LLM)
+        concurrency: Math.min(2, navigator.hardwareConcurrency || 1)
+    };
 
-        // Options de traitement
-        const options = {
-            anonymize: true,
-            blurIntensity: 20,
-            outputFormat: 'image/jpeg',
-            quality: 0.92
-        };
+    // Coffre de ré-identification chiffré, produit à côté de chaque fichier
+    if (vaultToggle?.checked) {
+        options.vault = { passphrase: vaultPassphrase.value };
+    }
 
-        // Configure le moteur
-        engine.licenseStatus = licenseStatus;
+    // Relecture humaine des détections avant export
+    if (reviewToggle?.checked) {
+        options.review = requestReview;
+    }
 
-        try {
-            const result = await engine.processFile(file, options);
-            addToGallery(result, file.name);
-            successCount++;
-        } catch (error) {
+    // Configure le moteur
+    engine.licenseStatus = licenseStatus;
+
+    batchController = new AbortController();
+    cancelControls?.classList.remove('hidden');
+
+    let batch;
+    try {
+        batch = await engine.processBatch(accepted, {
+            ...options,
+            signal: batchController.signal,
+            onFileStart: (file, index, controller) => {
+                currentFile = file;
+                activeControllers.add(controller);
+                addLog(`--- File ${index + 1}/${accepted.length}: ${file.name} (${formatFileSize(file.size)}) ---`, 'info');
+            },
+            onFileEnd: (file, index, controller) => {
+                activeControllers.delete(controller);
+            },
+            onFileComplete: (file, index, result) => {
+                addToGallery(result, file.name);
+            }
+        });
+    } catch (error) {
+        // Échec de la série elle-même (archive ZIP, rapport d'audit) : les fichiers déjà
+        // traités restent dans la galerie
+        addLog(`✗ Batch error: ${error.message}`, 'error');
+        showToast(`Batch processing failed: ${error.message}`, 'error');
+        return;
+    } finally {
+        batchController = null;
+        activeControllers.clear();
+        cancelControls?.classList.add('hidden');
+    }
+
+    batch.failures.forEach(({ file, error, cancelled }) => {
+        if (!cancelled) {
             addLog(`✗ Error on ${file.name}: ${error.message}`, 'error');
-            errorCount++;
         }
-    }
+    });
+
+    successCount += batch.results.length;
+    errorCount += batch.failures.filter(f => !f.cancelled).length;
+
+    // Les fichiers annulés sont comptés avec les fichiers ignorés
+    skippedCount += batch.failures.filter(f => f.cancelled).length;
+
+    setDownloadAll(batch.archive);
 
     addLog(`✅ Batch processing complete. Success: ${successCount}, Errors: ${errorCount}, Skipped: ${skippedCount}`, 'success');
 
@@ -244,7 +521,7 @@ async function handleFiles(files) {
             iconPath.setAttribute('d', 'M5 13l4 4L19 7');
         } else {
             // ERROR/WARNING STATE
-            modalText.textContent = `${successCount} document(s) processed. ${errorCount} errors, ${skippedCount} skipped (limit reached). Check logs for details.`;
+            modalText.textContent = `${successCount} document(s) processed. ${errorCount} errors, ${skippedCount} skipped (limit reached or cancelled). Check logs for details.`;
             title.textContent = "Attention Needed";
 
             // Red/Orange style (Orange if only skipped, Red if errors)
@@ -265,6 +542,98 @@ async function handleFiles(files) {
     }
 }
 
+/**
+ * Ouvre la relecture d'un document analysé
+ * Avec un traitement concurrent, les relectures sont mises en file d'attente
+ * @param {Object} analysis - Résultat de engine.analyze()
+ * @returns {Promise<Array|null>}
+ */
+function requestReview(analysis) {
+    const review = reviewQueue.then(() => {
+        addLog(`👀 Review ${analysis.file.name}: ${analysis.pages.reduce((n, p) => n + p.boxes.length, 0)} zone(s) detected`, 'info');
+        return reviewEditor.open(analysis);
+    });
+
+    reviewQueue = review.catch(() => {});
+    return review;
+}
+
+/**
+ * Configure le bouton "Download all" avec l'archive ZIP de la série
+ * @param {File|null} archive - Archive à proposer, null pour masquer le bouton
+ */
+function setDownloadAll(archive) {
+    if (archiveUrl) {
+        URL.revokeObjectURL(archiveUrl);
+        archiveUrl = null;
+    }
+
+    if (!downloadAllBtn) return;
+
+    if (!archive) {
+        downloadAllBtn.classList.add('hidden');
+        downloadAllBtn.onclick = null;
+        return;
+    }
+
+    archiveUrl = URL.createObjectURL(archive);
+    downloadAllBtn.classList.remove('hidden');
+    downloadAllBtn.onclick = (e) => {
+        e.stopPropagation(); // Le bouton est dans la zone de dépôt
+        const a = document.createElement('a');
+        a.href = archiveUrl;
+        a.download = archive.name;
+        a.click();
+
+        addLog('📥 Archive download started', 'success');
+    };
+}
+
+/**
+ * Configure les boutons des fenêtres modales (aperçu, fin de traitement, carte Pro)
+ */
+function setupModals() {
+    document.querySelectorAll('[data-close-preview]').forEach(element => {
+        element.addEventListener('click', closePreview);
+    });
+
+    document.getElementById('complete-close-btn')?.addEventListener('click', () => {
+        document.getElementById('complete-modal').classList.add('hidden');
+    });
+
+    document.getElementById('pro-card-btn')?.addEventListener('click', () => {
+        document.getElementById('buy-license-btn')?.click();
+    });
+}
+
+/**
+ * Affiche un fichier produit en grand, avec son bouton de téléchargement
+ */
+function openPreview(src, name) {
+    const modal = document.getElementById('preview-modal');
+    const img = document.getElementById('modal-image');
+    const title = document.getElementById('modal-title');
+    const download = document.getElementById('modal-download');
+
+    img.src = src;
+    title.textContent = name;
+
+    download.onclick = () => {
+        const a = document.createElement('a');
+        a.href = src;
+        a.download = name;
+        a.click();
+    };
+
+    modal.classList.remove('hidden');
+    document.body.classList.add('modal-active');
+}
+
+function closePreview() {
+    document.getElementById('preview-modal').classList.add('hidden');
+    document.body.classList.remove('modal-active');
+}
+
 /**
  * Ajoute un résultat à la galerie de prévisualisation
  */
@@ -279,7 +648,7 @@ function addToGallery(result, originalName) {
     card.className = 'glass-panel rounded-xl overflow-hidden shadow-lg border border-slate-700/50 flex flex-col group hover:border-sky-500/50 transition-all duration-300';
 
     card.innerHTML = `
-        <div class="relative aspect-video bg-slate-900 overflow-hidden cursor-pointer" onclick="window.openPreview('${imageUrl}', '${result.file.name}')">
+        <div class="relative aspect-video bg-slate-900 overflow-hidden cursor-pointer" data-preview>
             <img src="${imageUrl}" class="w-full h-full object-contain transition-transform duration-500 group-hover:scale-105" alt="Aperçu">
             <div class="absolute inset-0 bg-slate-950/40 opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center">
                 <div class="p-3 bg-white/10 backdrop-blur rounded-full text-white shadow-xl border border-white/20">
@@ -292,17 +661,17 @@ function addToGallery(result, originalName) {
         </div>
         <div class="p-3 flex items-center justify-between gap-2 overflow-hidden bg-slate-950/30">
             <div class="flex flex-col min-w-0">
-                <span class="text-[10px] text-slate-400 font-medium truncate" title="${originalName}">${originalName}</span>
+                <span data-name class="text-[10px] text-slate-400 font-medium truncate"></span>
                 <span class="text-[9px] text-emerald-400 uppercase font-bold tracking-tight">Anonymized</span>
             </div>
-            <div class="flex items-center space-x-1">
-                <button onclick="window.openPreview('${imageUrl}', '${result.file.name}')" class="p-1.5 hover:bg-white/5 rounded text-slate-400 hover:text-white transition-colors" title="Aperçu">
+            <div data-actions class="flex items-center space-x-1">
+                <button data-preview class="p-1.5 hover:bg-white/5 rounded text-slate-400 hover:text-white transition-colors" title="Aperçu">
                     <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
                     </svg>
                 </button>
-                <a href="${imageUrl}" download="${result.file.name}" class="p-2 bg-sky-600/20 text-sky-400 rounded-lg hover:bg-sky-600 hover:text-white transition-all active:scale-95 shadow-lg shadow-sky-600/5">
+                <a data-download class="p-2 bg-sky-600/20 text-sky-400 rounded-lg hover:bg-sky-600 hover:text-white transition-all active:scale-95 shadow-lg shadow-sky-600/5">
                     <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
                     </svg>
@@ -311,6 +680,42 @@ function addToGallery(result, originalName) {
         </div>
     `;
 
+    // Les noms de fichiers viennent de l'utilisateur : jamais interprétés comme du HTML
+    const name = card.querySelector('[data-name]');
+    name.textContent = originalName;
+    name.setAttribute('title', originalName);
+    setDownloadLink(card.querySelector('[data-download]'), imageUrl, result.file.name);
+
+    // Exports texte et coffre, avant le bouton d'aperçu
+    const actions = card.querySelector('[data-actions]');
+    const previewButton = actions.querySelector('[data-preview]');
+
+    Object.entries(result.exports || {}).forEach(([format, exported]) => {
+        const link = document.createElement('a');
+        link.className = 'px-1.5 py-1 hover:bg-white/5 rounded text-[9px] font-bold uppercase text-slate-400 hover:text-white transition-colors';
+        link.textContent = format;
+        link.setAttribute('title', `Redacted text (${format})`);
+        setDownloadLink(link, URL.createObjectURL(exported), exported.name);
+        actions.insertBefore(link, previewButton);
+    });
+
+    if (result.vault) {
+        const link = document.createElement('a');
+        link.className = 'p-1.5 hover:bg-white/5 rounded text-slate-400 hover:text-white transition-colors';
+        link.setAttribute('title', 'Re-identification vault (encrypted)');
+        link.innerHTML = `
+                    <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                    </svg>`;
+        setDownloadLink(link, URL.createObjectURL(result.vault), result.vault.name);
+        actions.insertBefore(link, previewButton);
+    }
+
+    // Pas d'attribut onclick : la CSP n'autorise aucun script en ligne
+    card.querySelectorAll('[data-preview]').forEach(element => {
+        element.addEventListener('click', () => openPreview(imageUrl, result.file.name));
+    });
+
     galleryItems.insertBefore(card, galleryItems.firstChild);
 
     // Mise à jour compteur
@@ -318,6 +723,14 @@ function addToGallery(result, originalName) {
     if (galleryCount) galleryCount.textContent = `${count} Fichier${count > 1 ? 's' : ''}`;
 }
 
+/**
+ * Lien de téléchargement d'un fichier produit (nom fixé par attribut, jamais par du HTML)
+ */
+function setDownloadLink(link, url, name) {
+    link.setAttribute('href', url);
+    link.setAttribute('download', name);
+}
+
 // ============================================================================
 // CALLBACKS DU WORKER
 // ============================================================================
@@ -325,7 +738,7 @@ function addToGallery(result, originalName) {
 /**
  * Gère les mises à jour de progression
  */
-function handleProgress(step, progress, message) {
+function handleProgress(step, progress, message, details = {}) {
     const percentage = Math.round(progress * 100);
 
     // Mapping des étapes vers des messages user-friendly
@@ -333,20 +746,39 @@ function handleProgress(step, progress, message) {
         'license_check': '🔐 Checking license...',
         'mime_detection': '📄 Detecting file type...',
         'image_load': '🖼️ Loading image...',
+        'image_metadata': `🧾 ${message}`,
+        'page_load': `📑 ${message}`,
+        'preprocess': '🧽 Cleaning up scan...',
+        'orientation': message ? `🔄 ${message}` : '🔄 Detecting page orientation...',
+        'language': `🌐 ${message}`,
         'ocr_start': '👁️ Reading image...',
         'ocr_processing': message || '🔍 OCR Processing...',
         'ocr_complete': '✓ Text extracted',
+        'text_layer': `📝 ${message}`,
         'nlp_analysis': '🧠 Extracting names...',
         'nlp_complete': message || '✓ Analysis complete',
+        'analysis_complete': '👀 Waiting for review...',
         'blur_start': '🎭 Anonymizing...',
         'blur_complete': '✓ Sensitive data masked',
         'blur_skip': 'ℹ️ No sensitive data detected',
         'watermark': '🏷️ Adding watermark...',
         'export': '💾 Generating file...',
+        'vault': '🔑 Encrypting re-identification vault...',
         'complete': '✅ Processing complete'
     };
 
-    const displayMessage = messageMap[step] || message;
+    let displayMessage = messageMap[step] || message;
+
+    // Préfixe les étapes propres à une page pour les documents multi-pages
+    if (details.pageCount > 1 && step !== 'page_load') {
+        displayMessage = `[${details.pageNumber}/${details.pageCount}] ${displayMessage}`;
+    }
+
+    // Plusieurs fichiers en parallèle : le nom du fichier identifie la ligne de log
+    if (details.fileName && engine.state.jobs.length > 1) {
+        displayMessage = `${details.fileName} — ${displayMessage}`;
+    }
+
     addLog(displayMessage, step === 'complete' ? 'success' : 'info');
 }
 
@@ -357,9 +789,27 @@ function handleComplete(result) {
     addLog(`✓ Report generated successfully`, 'success');
     addLog(`OCR Confidence: ${Math.round(result.confidence)}%`, 'info');
 
+    if (result.pageCount > 1) {
+        addLog(`${result.pageCount} pages processed`, 'info');
+    }
+
     if (result.entitiesFound > 0) {
         addLog(`${result.entitiesFound} sensitive entity(ies) masked`, 'warning');
     }
+    if (result.lowConfidence > 0) {
+        addLog(`${result.lowConfidence} low-confidence zone(s) redacted, please check them`, 'warning');
+    }
+
+    // Pages numérisées de côté ou à l'envers, redressées avant l'OCR
+    const rotated = (result.pages || []).filter(page => page.orientation?.angle);
+    if (rotated.length > 0) {
+        addLog(`🔄 ${rotated.length} page(s) read after rotation (${rotated.map(page => `p.${page.pageNumber}: ${page.orientation.angle}°`).join(', ')})`, 'info');
+    }
+
+    // GPS, appareil, auteur... : présents dans le fichier d'origine, jamais dans le fichier produit
+    if (result.metadata?.entries.length > 0) {
+        addLog(`🧹 ${result.metadata.entries.length} metadata field(s) removed (${result.metadata.categories.join(', ')})`, 'info');
+    }
 
     // Active le bouton de téléchargement (s'il existe)
     if (downloadBtn) {
@@ -384,11 +834,18 @@ function handleComplete(result) {
 /**
  * Gère les erreurs
  */
-function handleError(error) {
-    addLog(`✗ Erreur: ${error.message}`, 'error');
+function handleError(error, { fileName } = {}) {
+    addLog(`✗ Erreur${fileName ? ` (${fileName})` : ''}: ${error.message}`, 'error');
     if (downloadBtn) downloadBtn.disabled = true;
 }
 
+/**
+ * Gère l'annulation d'un fichier
+ */
+function handleCancel({ fileName }) {
+    addLog(`⏹ ${fileName}: processing cancelled`, 'warning');
+}
+
 // ============================================================================
 // UTILITAIRES UI
 // ============================================================================
@@ -447,7 +904,8 @@ function showToast(message, type = 'info') {
     const icon = type === 'success' ? '✓' : type === 'error' ? '✗' : 'ℹ️';
 
     toast.className = `fixed top-6 right-6 ${colors[type] || colors.info} px-6 py-4 rounded-xl shadow-2xl flex items-center gap-3 z-50 animate-bounce-in transition-all duration-300 transform font-medium`;
-    toast.innerHTML = `<span class="text-xl font-bold">${icon}</span><span>${message}</span>`;
+    toast.innerHTML = `<span class="text-xl font-bold">${icon}</span><span></span>`;
+    toast.lastElementChild.textContent = message; // Peut contenir un nom de fichier
 
     document.body.appendChild(toast);
 
@@ -506,6 +964,18 @@ function formatFileSize(bytes) {
 // DÉMARRAGE
 // ============================================================================
 
+/**
+ * Enregistre le service worker : application installable et utilisable hors ligne
+ * (sans effet en file:// ou si le navigateur ne le permet pas)
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    navigator.serviceWorker.register('./sw.js').catch((error) => {
+        addLog(`⚠️ Offline mode unavailable: ${error.message}`, 'warning');
+    });
+}
+
 // Lance l'initialisation au chargement de la page
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
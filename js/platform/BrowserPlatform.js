@@ -0,0 +1,136 @@
+/**
+ * BrowserPlatform.js
+ * Accès aux API propres au navigateur (canvas DOM, images, bibliothèques servies depuis vendor/)
+ * Les services passent par une plateforme plutôt que par document/window : le même
+ * moteur fonctionne ainsi dans un Web Worker ou sous Node.js (voir NodePlatform)
+ */
+
+export class BrowserPlatform {
+    /**
+     * Dépendances copiées depuis node_modules par `npm run build` (scripts/vendor.js),
+     * servies par la même origine que l'application : aucune requête vers un CDN
+     */
+    static VENDOR_URL = new URL('../../vendor/', import.meta.url).href;
+
+    /**
+     * Bibliothèques exposées en globales par les balises <script> de index.html
+     */
+    get Tesseract() {
+        return globalThis.Tesseract;
+    }
+
+    get nlp() {
+        return globalThis.nlp;
+    }
+
+    get pdfjs() {
+        const pdfjs = globalThis.pdfjsLib;
+
+        if (pdfjs && !pdfjs.GlobalWorkerOptions.workerSrc) {
+            pdfjs.GlobalWorkerOptions.workerSrc = `${BrowserPlatform.VENDOR_URL}pdfjs/pdf.worker.min.js`;
+        }
+
+        return pdfjs;
+    }
+
+    get jsPDF() {
+        return globalThis.jspdf?.jsPDF;
+    }
+
+    /**
+     * Options supplémentaires transmises à PDF.js (getDocument et render)
+     */
+    get pdfOptions() {
+        // La politique de sécurité du contenu interdit eval (polices compilées par PDF.js)
+        return { isEvalSupported: false };
+    }
+
+    /**
+     * Nombre de cœurs logiques du poste (taille par défaut du pool de workers OCR)
+     */
+    get hardwareConcurrency() {
+        return globalThis.navigator?.hardwareConcurrency || 1;
+    }
+
+    /**
+     * Options supplémentaires transmises à createWorker de Tesseract
+     * Worker et moteur WebAssembly vendorisés (sinon téléchargés depuis jsDelivr) ; le worker
+     * est chargé depuis son URL plutôt qu'une URL blob:, que la CSP refuse
+     */
+    get ocrOptions() {
+        return {
+            workerPath: `${BrowserPlatform.VENDOR_URL}tesseract/worker.min.js`,
+            corePath: `${BrowserPlatform.VENDOR_URL}tesseract-core`,
+            workerBlobURL: false
+        };
+    }
+
+    /**
+     * Crée un canvas vierge
+     * @param {Number} width
+     * @param {Number} height
+     * @returns {HTMLCanvasElement}
+     */
+    createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * Décode une image depuis un Blob
+     * @param {Blob} blob
+     * @returns {Promise<HTMLImageElement>}
+     */
+    loadImage(blob) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const url = URL.createObjectURL(blob);
+
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Impossible de charger l\'image'));
+            };
+
+            img.src = url;
+        });
+    }
+
+    /**
+     * Encode un canvas dans le format demandé
+     * @param {HTMLCanvasElement} canvas
+     * @param {String} format - Type MIME
+     * @param {Number} quality - Qualité de compression (0-1)
+     * @returns {Promise<Blob>}
+     */
+    canvasToBlob(canvas, format, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(
+                (blob) => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('Échec de la conversion en Blob'));
+                    }
+                },
+                format,
+                quality
+            );
+        });
+    }
+
+    /**
+     * Source d'image acceptée par Tesseract (le canvas est lu directement dans le navigateur)
+     * @param {HTMLCanvasElement|Blob} source
+     * @returns {Promise<HTMLCanvasElement|Blob>}
+     */
+    async toOCRInput(source) {
+        return source;
+    }
+}
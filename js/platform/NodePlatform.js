@@ -0,0 +1,199 @@
+/**
+ * NodePlatform.js
+ * Plateforme headless pour Node.js (traitements par lot sur serveur, CLI)
+ * Le backend canvas et les bibliothèques PDF sont injectables ; à défaut ils sont
+ * importés depuis node_modules : @napi-rs/canvas (ou canvas), pdfjs-dist, jspdf,
+ * tesseract.js et compromise
+ */
+
+import { createRequire } from 'node:module';
+import os from 'node:os';
+import path from 'node:path';
+
+export class NodePlatform {
+    /**
+     * @param {Object} modules
+     * @param {Object} modules.canvas - Backend canvas ({ createCanvas, loadImage }), API de node-canvas
+     * @param {Object} modules.pdfjs - Module PDF.js (build "legacy" pour Node)
+     * @param {Function} modules.jsPDF - Constructeur jsPDF
+     * @param {Object} modules.Tesseract - Module tesseract.js
+     * @param {Function} modules.nlp - Compromise
+     * @param {String} modules.standardFontDataUrl - Dossier des polices standard de PDF.js
+     */
+    constructor({ canvas, pdfjs = null, jsPDF = null, Tesseract = null, nlp = null, standardFontDataUrl = null }) {
+        if (!canvas?.createCanvas || !canvas?.loadImage) {
+            throw new Error('Backend canvas invalide : createCanvas() et loadImage() sont requis');
+        }
+
+        this.canvas = canvas;
+        this.pdfjs = pdfjs;
+        this.jsPDF = jsPDF;
+        this.Tesseract = Tesseract;
+        this.nlp = nlp;
+        this.standardFontDataUrl = standardFontDataUrl;
+    }
+
+    /**
+     * Crée une plateforme en important les modules non fournis
+     * Les modules absents restent à null : seule la fonctionnalité correspondante échoue
+     * (ex. pas de pdfjs-dist : les images sont traitées, les PDF refusés)
+     * @param {Object} overrides - Modules à injecter (voir constructeur)
+     * @returns {Promise<NodePlatform>}
+     */
+    static async create(overrides = {}) {
+        const modules = { ...overrides };
+
+        modules.canvas ??= await importFirst(['@napi-rs/canvas', 'canvas']);
+
+        // PDF.js attend les classes géométriques du DOM, fournies par @napi-rs/canvas
+        ['DOMMatrix', 'Path2D', 'ImageData'].forEach(name => {
+            if (!globalThis[name] && modules.canvas?.[name]) {
+                globalThis[name] = modules.canvas[name];
+            }
+        });
+
+        modules.pdfjs ??= await importFirst(['pdfjs-dist/legacy/build/pdf.mjs', 'pdfjs-dist/legacy/build/pdf.js']);
+        modules.Tesseract ??= await importFirst(['tesseract.js']);
+        modules.nlp ??= await importFirst(['compromise']);
+
+        if (!modules.jsPDF) {
+            const jspdf = await importFirst(['jspdf']);
+            modules.jsPDF = jspdf?.jsPDF ?? jspdf;
+        }
+
+        // Polices standard (Helvetica, Times...) utilisées par les PDF qui ne les embarquent pas
+        modules.standardFontDataUrl ??= resolvePackageDir('pdfjs-dist', 'standard_fonts');
+
+        if (!modules.canvas) {
+            throw new Error('Aucun backend canvas disponible : installez @napi-rs/canvas ou canvas');
+        }
+
+        return new NodePlatform(modules);
+    }
+
+    /**
+     * Options transmises à PDF.js : les canvas internes (motifs, masques) sont créés
+     * avec le même backend que les pages
+     */
+    get pdfOptions() {
+        const platform = this;
+
+        return {
+            disableFontFace: true,
+            isEvalSupported: false,
+            standardFontDataUrl: this.standardFontDataUrl ?? undefined,
+            canvasFactory: {
+                create(width, height) {
+                    const canvas = platform.createCanvas(width, height);
+                    return { canvas, context: canvas.getContext('2d') };
+                },
+                reset(canvasAndContext, width, height) {
+                    canvasAndContext.canvas.width = width;
+                    canvasAndContext.canvas.height = height;
+                },
+                destroy(canvasAndContext) {
+                    canvasAndContext.canvas.width = 0;
+                    canvasAndContext.canvas.height = 0;
+                    canvasAndContext.canvas = null;
+                    canvasAndContext.context = null;
+                }
+            }
+        };
+    }
+
+    /**
+     * Nombre de cœurs utilisables (taille par défaut du pool de workers OCR)
+     */
+    get hardwareConcurrency() {
+        return os.availableParallelism?.() ?? os.cpus().length;
+    }
+
+    /**
+     * Options transmises à createWorker de Tesseract : worker et moteur lus dans node_modules
+     */
+    get ocrOptions() {
+        return {};
+    }
+
+    /**
+     * Crée un canvas vierge
+     * @param {Number} width
+     * @param {Number} height
+     */
+    createCanvas(width, height) {
+        return this.canvas.createCanvas(Math.max(1, Math.round(width)), Math.max(1, Math.round(height)));
+    }
+
+    /**
+     * Décode une image depuis un Blob
+     * @param {Blob} blob
+     */
+    async loadImage(blob) {
+        try {
+            return await this.canvas.loadImage(Buffer.from(await blob.arrayBuffer()));
+        } catch (error) {
+            throw new Error(`Impossible de charger l'image: ${error.message}`);
+        }
+    }
+
+    /**
+     * Encode un canvas dans le format demandé
+     * toDataURL() est commun à node-canvas et @napi-rs/canvas, contrairement à toBuffer()
+     * @param {Object} canvas
+     * @param {String} format - Type MIME
+     * @param {Number} quality - Qualité de compression (0-1)
+     * @returns {Promise<Blob>}
+     */
+    async canvasToBlob(canvas, format, quality) {
+        const dataUrl = canvas.toDataURL(format, quality);
+        const [header, base64] = dataUrl.split(',');
+        const type = header.slice(5, header.indexOf(';'));
+
+        return new Blob([Buffer.from(base64, 'base64')], { type });
+    }
+
+    /**
+     * Tesseract sous Node attend un Buffer (PNG sans perte pour ne pas dégrader l'OCR)
+     * @param {Object|Blob} source - Canvas ou Blob
+     * @returns {Promise<Buffer>}
+     */
+    async toOCRInput(source) {
+        if (source instanceof Blob) {
+            return Buffer.from(await source.arrayBuffer());
+        }
+
+        return Buffer.from(await (await this.canvasToBlob(source, 'image/png')).arrayBuffer());
+    }
+}
+
+/**
+ * Chemin d'un sous-dossier d'un paquet installé (avec séparateur final, attendu par PDF.js)
+ * @private
+ */
+function resolvePackageDir(name, subdir) {
+    try {
+        const packageJson = createRequire(import.meta.url).resolve(`${name}/package.json`);
+        return path.join(path.dirname(packageJson), subdir) + path.sep;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Importe le premier module disponible (export par défaut pour les modules CommonJS)
+ * @private
+ */
+async function importFirst(specifiers) {
+    for (const specifier of specifiers) {
+        try {
+            const module = await import(specifier);
+            return module.default ?? module;
+        } catch (error) {
+            if (error.code !== 'ERR_MODULE_NOT_FOUND' && error.code !== 'MODULE_NOT_FOUND') {
+                throw error;
+            }
+        }
+    }
+
+    return null;
+}
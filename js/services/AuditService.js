@@ -0,0 +1,205 @@
+/**
+ * AuditService.js
+ * Génération des rapports d'audit de caviardage (preuve de ce qui a été masqué)
+ * Un enregistrement ne contient jamais le texte détecté : uniquement le type,
+ * la position et la confiance de chaque zone, ainsi que les empreintes des fichiers
+ */
+
+import { BrowserPlatform } from '../platform/BrowserPlatform.js';
+
+export class AuditService {
+    /**
+     * Version de LocalSeal inscrite dans les rapports
+     */
+    static VERSION = '1.0.0';
+
+    /**
+     * Colonnes de l'export CSV (une ligne par zone caviardée)
+     */
+    static CSV_COLUMNS = [
+        'document', 'page', 'type', 'x0', 'y0', 'x1', 'y1', 'confidence',
+        'style', 'input_sha256', 'output_sha256', 'timestamp', 'low_confidence'
+    ];
+
+    /**
+     * @param {Object} platform - Plateforme d'exécution, pour les versions des bibliothèques
+     */
+    constructor(platform = new BrowserPlatform()) {
+        this.platform = platform;
+    }
+
+    /**
+     * Crée l'enregistrement d'audit d'un document
+     * @param {Object} params
+     * @param {File} params.inputFile - Fichier d'origine
+     * @param {File} params.outputFile - Fichier produit
+     * @param {Object} params.options - Options de traitement utilisées
+     * @param {Array} params.pages - [{ pageNumber, regions: [{ type, bbox, confidence, style }] }]
+     * @param {Object} params.metadata - Métadonnées du fichier d'entrée (voir MetadataService)
+     * @returns {Promise<Object>}
+     */
+    async createRecord({ inputFile, outputFile, options = {}, pages = [], metadata = null }) {
+        const [inputSha256, outputSha256] = await Promise.all([
+            this.sha256(inputFile),
+            outputFile ? this.sha256(outputFile) : null
+        ]);
+
+        const regions = pages.flatMap(page => page.regions.map(region => ({
+            page: page.pageNumber,
+            type: region.type,
+            bbox: {
+                x0: Math.round(region.bbox.x0),
+                y0: Math.round(region.bbox.y0),
+                x1: Math.round(region.bbox.x1),
+                y1: Math.round(region.bbox.y1)
+            },
+            confidence: region.confidence != null ? Math.round(region.confidence * 100) / 100 : null,
+            // Un profil peut fixer un style par type d'entité
+            style: region.style || options.redactionStyle || null,
+            // Sous le seuil de confiance du profil : caviardée, à vérifier
+            lowConfidence: Boolean(region.lowConfidence)
+        })));
+
+        return {
+            document: inputFile.name,
+            output: outputFile?.name || null,
+            timestamp: new Date().toISOString(),
+            input: { sha256: inputSha256, size: inputFile.size, type: inputFile.type },
+            outputFile: outputFile ? { sha256: outputSha256, size: outputFile.size, type: outputFile.type } : null,
+            options: this._serializableOptions(options),
+            libraries: this.getLibraryVersions(),
+            // Champs présents dans le fichier d'entrée et retirés du fichier produit (noms seuls, sans valeur)
+            inputMetadata: metadata ? {
+                categories: metadata.categories,
+                fields: [...new Set(metadata.entries.map(entry => `${entry.source}:${entry.name}`))],
+                removed: true
+            } : null,
+            pageCount: pages.length,
+            regionCount: regions.length,
+            lowConfidenceCount: regions.filter(region => region.lowConfidence).length,
+            regions
+        };
+    }
+
+    /**
+     * Agrège plusieurs enregistrements (traitement par lot)
+     * @param {Array} records - Enregistrements créés par createRecord()
+     * @returns {Object}
+     */
+    aggregate(records) {
+        const byType = {};
+        records.forEach(record => {
+            record.regions.forEach(({ type }) => {
+                byType[type] = (byType[type] || 0) + 1;
+            });
+        });
+
+        return {
+            generatedAt: new Date().toISOString(),
+            libraries: this.getLibraryVersions(),
+            totals: {
+                documents: records.length,
+                regions: records.reduce((sum, r) => sum + r.regionCount, 0),
+                lowConfidence: records.reduce((sum, r) => sum + (r.lowConfidenceCount ?? 0), 0),
+                byType
+            },
+            documents: records
+        };
+    }
+
+    /**
+     * Exporte un enregistrement ou un agrégat au format JSON
+     * @param {Object} report - Enregistrement ou agrégat
+     * @param {String} filename
+     * @returns {File}
+     */
+    exportAsJSON(report, filename = 'audit.json') {
+        return new File([JSON.stringify(report, null, 2)], filename, { type: 'application/json' });
+    }
+
+    /**
+     * Exporte un ou plusieurs enregistrements au format CSV
+     * @param {Object|Array} records - Enregistrement, liste ou agrégat
+     * @param {String} filename
+     * @returns {File}
+     */
+    exportAsCSV(records, filename = 'audit.csv') {
+        const list = Array.isArray(records) ? records : records.documents || [records];
+        const rows = [AuditService.CSV_COLUMNS];
+
+        list.forEach(record => {
+            record.regions.forEach(region => {
+                rows.push([
+                    record.document,
+                    region.page,
+                    region.type,
+                    region.bbox.x0,
+                    region.bbox.y0,
+                    region.bbox.x1,
+                    region.bbox.y1,
+                    region.confidence ?? '',
+                    region.style ?? record.options.redactionStyle ?? '',
+                    record.input.sha256,
+                    record.outputFile?.sha256 ?? '',
+                    record.timestamp,
+                    region.lowConfidence ? 1 : 0
+                ]);
+            });
+        });
+
+        const csv = rows.map(row => row.map(cell => this._csvCell(cell)).join(',')).join('\r\n');
+        return new File([csv], filename, { type: 'text/csv' });
+    }
+
+    /**
+     * Calcule l'empreinte SHA-256 (hexadécimale) d'un Blob
+     * @param {Blob} blob
+     * @returns {Promise<String>}
+     */
+    async sha256(blob) {
+        const buffer = await blob.arrayBuffer();
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Versions des bibliothèques chargées (null si indisponible)
+     * @returns {Object}
+     */
+    getLibraryVersions() {
+        const { Tesseract, nlp, pdfjs, jsPDF } = this.platform;
+
+        return {
+            localseal: AuditService.VERSION,
+            tesseract: Tesseract?.version || null,
+            compromise: nlp?.version || null,
+            pdfjs: pdfjs?.version || null,
+            jspdf: jsPDF?.version || null
+        };
+    }
+
+    /**
+     * Ne conserve que les options sérialisables (pas de signal ni de callbacks)
+     * @private
+     */
+    _serializableOptions(options) {
+        const result = {};
+        Object.entries(options).forEach(([key, value]) => {
+            if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+                result[key] = value;
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Échappe une cellule CSV
+     * @private
+     */
+    _csvCell(value) {
+        const str = String(value);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }
+}
@@ -4,8 +4,51 @@
  * Permet le traitement client-side des images sans envoi serveur
  */
 
+import { BrowserPlatform } from '../platform/BrowserPlatform.js';
+import { TextLayerService } from './TextLayerService.js';
+import { MetadataService } from './MetadataService.js';
+
+/**
+ * JPEG 2×1 px portant l'orientation EXIF 6 (rotation de 90°) : décodé en 1×2 px
+ * lorsque le décodeur applique lui-même l'orientation (navigateurs récents, @napi-rs/canvas)
+ */
+const ORIENTATION_PROBE = '/9j/4QAgRXhpZgAATU0AKgAAAAgAAQESAAMAAAABAAYAAAAA/9sAQwBQNzxGPDJQRkFGWlVQX3jIgnhubnj1r7mRyP///////////////////////////////////////////////////9sAQwFVWlp4aXjrgoLr/////////////////////////////////////////////////////////////////////////8AAEQgAAQACAwEiAAIRAQMRAf/EABUAAQEAAAAAAAAAAAAAAAAAAAAE/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/EABQBAQAAAAAAAAAAAAAAAAAAAAD/xAAUEQEAAAAAAAAAAAAAAAAAAAAA/9oADAMBAAIRAxEAPwCIAH//2Q==';
+
 export class ImageService {
-    constructor() {
+    /**
+     * Styles de caviardage supportés par redactRegions()
+     */
+    static REDACTION_STYLES = ['pixelate', 'blur', 'fill', 'label'];
+
+    /**
+     * Résolution de la copie lue par l'OCR (voir resizeForOCR)
+     * - maxDimension : plus grand côté, en pixels
+     * - dpi          : résolution cible, appliquée si celle de la page est connue
+     */
+    static OCR_RESOLUTION = { maxDimension: 3500, dpi: 300 };
+
+    /**
+     * Échelle de rendu des pages PDF (2 × 72 points par pouce = 144 DPI)
+     */
+    static PDF_RENDER_SCALE = 2.0;
+
+    /**
+     * Libellé affiché à la place d'une zone caviardée (ex: [PERSON], [IBAN])
+     * @param {Object} box - { type, label }
+     * @returns {String}
+     */
+    static redactionLabel(box) {
+        return box.label || `[${String(box.type || 'redacted').toUpperCase()}]`;
+    }
+
+    /**
+     * @param {Object} platform - Accès au canvas et aux bibliothèques PDF (navigateur par défaut)
+     */
+    constructor(platform = new BrowserPlatform()) {
+        this.platform = platform;
+        this.textLayerService = null; // Créé au premier PDF (voir _renderPDFPage)
+        this.metadataService = new MetadataService();
+        this.orientationProbe = null; // Voir _decoderAppliesOrientation()
         this.canvas = null;
         this.ctx = null;
     }
@@ -13,89 +56,253 @@ export class ImageService {
     /**
      * Charge une image depuis un File/Blob et retourne un HTMLImageElement
      * Supporte aussi les PDF (convertit la 1ère page en image)
+     * L'orientation EXIF est appliquée : une photo prise de côté est redressée (canvas retourné)
      * @param {File|Blob} file - Fichier image ou PDF
-     * @returns {Promise<HTMLImageElement>}
+     * @param {Number|null} orientation - Orientation EXIF (1-8), lue dans le fichier si non fournie
+     * @returns {Promise<HTMLImageElement|HTMLCanvasElement>}
      */
-    async loadImage(file) {
+    async loadImage(file, orientation) {
         // Détecte si c'est un PDF
         if (file.type === 'application/pdf') {
             return this.loadPDF(file);
         }
 
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            const url = URL.createObjectURL(file);
+        if (orientation === undefined) {
+            orientation = this.metadataService.inspectImage(new Uint8Array(await file.arrayBuffer())).orientation;
+        }
 
-            img.onload = () => {
-                URL.revokeObjectURL(url);
-                resolve(img);
-            };
+        const image = await this.platform.loadImage(file);
+        return this.applyOrientation(image, orientation);
+    }
 
-            img.onerror = () => {
-                URL.revokeObjectURL(url);
-                reject(new Error('Impossible de charger l\'image'));
-            };
+    /**
+     * Redresse une image selon son orientation EXIF
+     * Sans effet si l'orientation est normale ou si le décodeur l'a déjà appliquée
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     * @param {Number} orientation - Orientation EXIF (1-8)
+     * @returns {Promise<HTMLImageElement|HTMLCanvasElement>}
+     */
+    async applyOrientation(image, orientation) {
+        if (!orientation || orientation === 1 || orientation > 8) return image;
+        if (await this._decoderAppliesOrientation()) return image;
 
-            img.src = url;
-        });
+        return this._transformed(image, orientation);
+    }
+
+    /**
+     * Copie d'une image tournée d'un quart de tour, d'un demi-tour ou de trois quarts de tour
+     * dans le sens horaire (page numérisée de côté ou à l'envers)
+     * @param {HTMLCanvasElement} source - Canvas à tourner (non modifié)
+     * @param {Number} angle - 0, 90, 180 ou 270 (degrés, sens horaire)
+     * @param {Boolean} release - Libère le canvas source (copie intermédiaire)
+     * @returns {Object} - { canvas, mapPoint } ; mapPoint(x, y) reporte un point de la copie sur la source
+     */
+    rotate(source, angle, release = false) {
+        const { width, height } = source;
+        const orientations = { 90: 6, 180: 3, 270: 8 }; // Rotations équivalentes de la spécification EXIF
+        const inverses = {
+            90: (x, y) => ({ x: y, y: height - x }),
+            180: (x, y) => ({ x: width - x, y: height - y }),
+            270: (x, y) => ({ x: width - y, y: x })
+        };
+
+        if (!orientations[angle]) throw new Error(`Rotation non supportée: ${angle}°`);
+
+        const canvas = this._transformed(source, orientations[angle]);
+        if (release) {
+            source.width = 0;
+            source.height = 0;
+        }
+
+        return { canvas, mapPoint: inverses[angle] };
+    }
+
+    /**
+     * Tourne le canvas courant (sens horaire) : la page caviardée et exportée est redressée
+     * @param {Number} angle - 90, 180 ou 270
+     */
+    rotateCanvas(angle) {
+        if (!this.canvas) throw new Error('Canvas non initialisé');
+
+        const { canvas } = this.rotate(this.canvas, angle, true);
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+
+    /**
+     * Dessine une image selon une orientation EXIF (2-8)
+     * @private
+     */
+    _transformed(image, orientation) {
+        const { width, height } = image;
+        const swap = orientation >= 5; // 5 à 8 : largeur et hauteur sont échangées
+        const canvas = this.platform.createCanvas(swap ? height : width, swap ? width : height);
+        const ctx = canvas.getContext('2d');
+
+        // Transformations de la spécification EXIF (miroirs et rotations)
+        const transforms = {
+            2: [-1, 0, 0, 1, width, 0],
+            3: [-1, 0, 0, -1, width, height],
+            4: [1, 0, 0, -1, 0, height],
+            5: [0, 1, 1, 0, 0, 0],
+            6: [0, 1, -1, 0, height, 0],
+            7: [0, -1, -1, 0, height, width],
+            8: [0, -1, 1, 0, 0, width]
+        };
+
+        ctx.transform(...transforms[orientation]);
+        ctx.drawImage(image, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Indique si le décodeur d'images de la plateforme applique déjà l'orientation EXIF
+     * (résultat mis en cache : un seul décodage de l'image témoin)
+     * @private
+     */
+    _decoderAppliesOrientation() {
+        this.orientationProbe ??= (async () => {
+            const bytes = Uint8Array.from(atob(ORIENTATION_PROBE), c => c.charCodeAt(0));
+            const image = await this.platform.loadImage(new Blob([bytes], { type: 'image/jpeg' }));
+            return image.width === 1 && image.height === 2;
+        })().catch(() => false);
+
+        return this.orientationProbe;
     }
 
     /**
-     * Charge un PDF et convertit la première page en HTMLImageElement
+     * Charge un PDF et convertit une page en HTMLImageElement
      * @param {File|Blob} pdfFile - Fichier PDF
+     * @param {Number} pageNumber - Numéro de la page (1 par défaut)
      * @returns {Promise<HTMLImageElement>}
      */
-    async loadPDF(pdfFile) {
+    async loadPDF(pdfFile, pageNumber = 1) {
         try {
-            // Charge le PDF avec PDF.js
-            const arrayBuffer = await pdfFile.arrayBuffer();
-            const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-
-            // Récupère la première page
-            const page = await pdf.getPage(1);
-
-            // Configure le viewport (résolution)
-            const viewport = page.getViewport({ scale: 2.0 }); // 2x pour meilleure qualité OCR
-
-            // Crée un canvas temporaire pour le rendu
-            const canvas = document.createElement('canvas');
-            canvas.width = viewport.width;
-            canvas.height = viewport.height;
-            const ctx = canvas.getContext('2d');
-
-            // Rend la page PDF sur le canvas
-            await page.render({
-                canvasContext: ctx,
-                viewport: viewport
-            }).promise;
-
-            // Convertit le canvas en Image
-            return new Promise((resolve, reject) => {
-                canvas.toBlob((blob) => {
-                    if (!blob) {
-                        reject(new Error('Échec de conversion PDF'));
-                        return;
-                    }
-
-                    const img = new Image();
-                    const url = URL.createObjectURL(blob);
+            const pdf = await this._openPDF(pdfFile);
 
-                    img.onload = () => {
-                        URL.revokeObjectURL(url);
-                        resolve(img);
-                    };
+            try {
+                const { canvas } = await this._renderPDFPage(pdf, pageNumber);
+                return await this._canvasToImage(canvas);
+            } finally {
+                pdf.destroy();
+            }
+        } catch (error) {
+            throw new Error(`Échec du chargement PDF: ${error.message}`);
+        }
+    }
 
-                    img.onerror = () => {
-                        URL.revokeObjectURL(url);
-                        reject(new Error('Impossible de charger l\'image PDF'));
+    /**
+     * Ouvre un document (image ou PDF multi-pages) pour un rendu page par page
+     * Les pages sont rendues à la demande pour limiter l'empreinte mémoire
+     * @param {File|Blob} file - Fichier image ou PDF
+     * @param {String} type - Type MIME détecté (par défaut file.type)
+     * @param {Object} options - { textLayer } : extrait aussi la couche texte des pages PDF natives
+     * @returns {Promise<Object>} - { pageCount, metadata, loadPage(n) → { image, pageSize, textLayer, dpi }, close() }
+     *                              textLayer est null pour une image ou une page numérisée
+     *                              dpi : résolution de l'image (null si le fichier ne la déclare pas)
+     *                              metadata : métadonnées du fichier d'entrée (voir MetadataService)
+     */
+    async openDocument(file, type = file.type, options = {}) {
+        if (type !== 'application/pdf') {
+            const metadata = this.metadataService.inspectImage(new Uint8Array(await file.arrayBuffer()));
+
+            return {
+                pageCount: 1,
+                metadata,
+                loadPage: async () => {
+                    const image = await this.loadImage(file, metadata.orientation);
+                    return {
+                        image,
+                        pageSize: { width: image.width, height: image.height },
+                        textLayer: null,
+                        dpi: metadata.dpi
                     };
+                },
+                close: () => {}
+            };
+        }
 
-                    img.src = url;
-                });
-            });
+        let pdf;
+        try {
+            pdf = await this._openPDF(file);
         } catch (error) {
             throw new Error(`Échec du chargement PDF: ${error.message}`);
         }
+
+        // Dictionnaire Info et XMP ; des métadonnées illisibles n'empêchent pas le traitement
+        const metadata = this.metadataService.inspectPDF(await pdf.getMetadata().catch(() => null));
+
+        return {
+            pageCount: pdf.numPages,
+            metadata,
+            loadPage: async (pageNumber) => {
+                try {
+                    const { canvas, pageSize, textLayer } = await this._renderPDFPage(pdf, pageNumber, options);
+                    return { image: canvas, pageSize, textLayer, dpi: 72 * ImageService.PDF_RENDER_SCALE };
+                } catch (error) {
+                    throw new Error(`Échec du rendu de la page ${pageNumber}: ${error.message}`);
+                }
+            },
+            close: () => pdf.destroy()
+        };
+    }
+
+    /**
+     * Ouvre un PDF avec PDF.js
+     * @private
+     */
+    async _openPDF(pdfFile) {
+        const pdfjs = this.platform.pdfjs;
+        if (!pdfjs) throw new Error('PDF.js n\'est pas chargé');
+
+        const arrayBuffer = await pdfFile.arrayBuffer();
+        return pdfjs.getDocument({ ...this.platform.pdfOptions, data: new Uint8Array(arrayBuffer) }).promise;
+    }
+
+    /**
+     * Rend une page PDF sur un canvas
+     * @private
+     * @param {Object} options - { textLayer } : extrait la couche texte (positions en pixels du canvas)
+     * @returns {Promise<Object>} - { canvas, pageSize, textLayer } (pageSize en points PDF)
+     */
+    async _renderPDFPage(pdf, pageNumber, options = {}) {
+        const page = await pdf.getPage(pageNumber);
+
+        // Dimensions d'origine de la page (en points) pour l'export
+        const { width, height } = page.getViewport({ scale: 1.0 });
+
+        // Configure le viewport (résolution)
+        const viewport = page.getViewport({ scale: ImageService.PDF_RENDER_SCALE }); // 2x pour meilleure qualité OCR
+
+        // Crée un canvas temporaire pour le rendu
+        const canvas = this.platform.createCanvas(viewport.width, viewport.height);
+        const ctx = canvas.getContext('2d');
+
+        // Rend la page PDF sur le canvas
+        await page.render({
+            ...this.platform.pdfOptions,
+            canvasContext: ctx,
+            viewport: viewport
+        }).promise;
+
+        let textLayer = null;
+        if (options.textLayer) {
+            this.textLayerService ??= new TextLayerService(this.platform.createCanvas(1, 1).getContext('2d'));
+            textLayer = await this.textLayerService.extract(page, viewport, this.platform.pdfjs.OPS);
+        }
+
+        page.cleanup();
+
+        return { canvas, pageSize: { width, height }, textLayer };
+    }
+
+    /**
+     * Convertit un canvas en HTMLImageElement
+     * @private
+     */
+    async _canvasToImage(canvas) {
+        const blob = await this.platform.canvasToBlob(canvas, 'image/png');
+        return this.platform.loadImage(blob);
     }
 
     /**
@@ -103,9 +310,7 @@ export class ImageService {
      * @param {HTMLImageElement} image
      */
     initCanvas(image) {
-        this.canvas = document.createElement('canvas');
-        this.canvas.width = image.width;
-        this.canvas.height = image.height;
+        this.canvas = this.platform.createCanvas(image.width, image.height);
         this.ctx = this.canvas.getContext('2d');
 
         // Dessine l'image originale sur le canvas
@@ -119,25 +324,173 @@ export class ImageService {
      * @param {Number} blurIntensity - Intensité du flou (1-50)
      */
     blurRegions(boxes, blurIntensity = 20) {
+        this.redactRegions(boxes, { style: 'pixelate', intensity: blurIntensity });
+    }
+
+    /**
+     * Masque des zones spécifiques selon le style de caviardage choisi
+     * - pixelate : pixelisation (historique, réversible en partie sur les textes courts)
+     * - blur     : flou gaussien (approximé par trois passes de flou boîte)
+     * - fill     : aplat noir opaque, aucun pixel d'origine ne subsiste
+     * - label    : aplat noir avec le type d'entité (ex: [PERSON], [IBAN])
+     * @param {Array} boxes - Tableau de { bbox: {x0, y0, x1, y1}, type, label, style }
+     *                        (box.style, fixé par un profil, prime sur options.style)
+     * @param {Object} options - { style, intensity }
+     */
+    redactRegions(boxes, options = {}) {
         if (!this.ctx) {
             throw new Error('Canvas non initialisé');
         }
 
-        boxes.forEach(({ bbox }) => {
-            const width = bbox.x1 - bbox.x0;
-            const height = bbox.y1 - bbox.y0;
+        const { style: defaultStyle = 'pixelate', intensity = 20 } = options;
+
+        boxes.forEach((box) => {
+            const style = box.style || defaultStyle;
 
-            // Extrait la région à flouter
-            const imageData = this.ctx.getImageData(bbox.x0, bbox.y0, width, height);
+            if (!ImageService.REDACTION_STYLES.includes(style)) {
+                throw new Error(`Style de caviardage inconnu: ${style}`);
+            }
 
-            // Applique un effet de pixelisation pour anonymiser
-            this._pixelate(imageData, blurIntensity);
+            const region = this._clampRegion(box.bbox);
+            if (!region) return;
+
+            switch (style) {
+                case 'fill':
+                    this._fillRegion(region);
+                    break;
+                case 'label':
+                    this._fillRegion(region);
+                    this._drawLabel(region, ImageService.redactionLabel(box));
+                    break;
+                default: {
+                    // Extrait la région à flouter
+                    const imageData = this.ctx.getImageData(region.x, region.y, region.width, region.height);
+
+                    if (style === 'blur') {
+                        this._gaussianBlur(imageData, intensity);
+                    } else {
+                        // Applique un effet de pixelisation pour anonymiser
+                        this._pixelate(imageData, intensity);
+                    }
 
-            // Redessine la région floutée
-            this.ctx.putImageData(imageData, bbox.x0, bbox.y0);
+                    // Redessine la région floutée
+                    this.ctx.putImageData(imageData, region.x, region.y);
+                }
+            }
         });
     }
 
+    /**
+     * Convertit une bbox en région entière, bornée au canvas
+     * Les coordonnées sont arrondies vers l'extérieur pour couvrir les pixels partiels
+     * @private
+     * @returns {Object|null} - { x, y, width, height } ou null si la zone est vide
+     */
+    _clampRegion(bbox) {
+        const x0 = Math.max(0, Math.floor(bbox.x0));
+        const y0 = Math.max(0, Math.floor(bbox.y0));
+        const x1 = Math.min(this.canvas.width, Math.ceil(bbox.x1));
+        const y1 = Math.min(this.canvas.height, Math.ceil(bbox.y1));
+
+        if (x1 <= x0 || y1 <= y0) return null;
+
+        return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+    }
+
+    /**
+     * Remplit une région d'un aplat opaque
+     * Le contexte est réinitialisé pour garantir qu'aucun pixel d'origine ne transparaisse
+     * @private
+     */
+    _fillRegion({ x, y, width, height }) {
+        this.ctx.save();
+        this.ctx.globalAlpha = 1;
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.ctx.filter = 'none';
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.restore();
+    }
+
+    /**
+     * Dessine le libellé d'une entité, ajusté à la taille de la région
+     * @private
+     */
+    _drawLabel({ x, y, width, height }, label) {
+        this.ctx.save();
+
+        // Le texte ne déborde jamais de l'aplat
+        this.ctx.beginPath();
+        this.ctx.rect(x, y, width, height);
+        this.ctx.clip();
+
+        let fontSize = Math.max(6, Math.floor(height * 0.7));
+        this.ctx.font = `bold ${fontSize}px Arial`;
+
+        const textWidth = this.ctx.measureText(label).width;
+        if (textWidth > width * 0.95) {
+            fontSize = Math.max(6, Math.floor(fontSize * (width * 0.95) / textWidth));
+            this.ctx.font = `bold ${fontSize}px Arial`;
+        }
+
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(label, x + width / 2, y + height / 2);
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Flou gaussien approximé par trois passes de flou boîte (horizontal puis vertical)
+     * Le rayon est limité par la taille de la région
+     * @private
+     */
+    _gaussianBlur(imageData, radius) {
+        const { width, height, data } = imageData;
+        const r = Math.max(1, Math.min(Math.round(radius), Math.max(width, height)));
+        const buffer = new Uint8ClampedArray(data.length);
+
+        for (let pass = 0; pass < 3; pass++) {
+            this._boxBlurPass(data, buffer, width, height, r, true);
+            this._boxBlurPass(buffer, data, width, height, r, false);
+        }
+    }
+
+    /**
+     * Passe de flou boîte (moyenne glissante) sur une direction, bords étendus
+     * @private
+     */
+    _boxBlurPass(src, dst, width, height, radius, horizontal) {
+        const length = horizontal ? width : height;
+        const lines = horizontal ? height : width;
+        const windowSize = radius * 2 + 1;
+
+        for (let line = 0; line < lines; line++) {
+            const indexOf = (pos) => {
+                const p = Math.min(length - 1, Math.max(0, pos));
+                return horizontal ? (line * width + p) * 4 : (p * width + line) * 4;
+            };
+
+            for (let c = 0; c < 3; c++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    sum += src[indexOf(k) + c];
+                }
+
+                for (let pos = 0; pos < length; pos++) {
+                    dst[indexOf(pos) + c] = sum / windowSize;
+                    sum += src[indexOf(pos + radius + 1) + c] - src[indexOf(pos - radius) + c];
+                }
+            }
+
+            // Alpha reste inchangé
+            for (let pos = 0; pos < length; pos++) {
+                dst[indexOf(pos) + 3] = src[indexOf(pos) + 3];
+            }
+        }
+    }
+
     /**
      * Effet de pixelisation (alternative au flou gaussien, plus performant)
      * @private
@@ -229,24 +582,9 @@ export class ImageService {
      * @returns {Promise<Blob>}
      */
     async exportAsBlob(format = 'image/jpeg', quality = 0.92) {
-        return new Promise((resolve, reject) => {
-            if (!this.canvas) {
-                reject(new Error('Canvas non initialisé'));
-                return;
-            }
+        if (!this.canvas) throw new Error('Canvas non initialisé');
 
-            this.canvas.toBlob(
-                (blob) => {
-                    if (blob) {
-                        resolve(blob);
-                    } else {
-                        reject(new Error('Échec de la conversion en Blob'));
-                    }
-                },
-                format,
-                quality
-            );
-        });
+        return this.platform.canvasToBlob(this.canvas, format, quality);
     }
 
     /**
@@ -262,27 +600,74 @@ export class ImageService {
     }
 
     /**
-     * Exporte l'image actuelle dans un fichier PDF unique
+     * Capture la page courante (compressée en JPEG) pour un export PDF ultérieur
+     * Permet de libérer le canvas entre deux pages d'un document multi-pages
+     * @param {Object} pageSize - Dimensions de la page d'origine { width, height }
+     * @param {Number} quality - Qualité de l'image dans le PDF
+     * @param {Array} words - Couche texte invisible (optionnel) : [{ text, bbox }] en pixels du canvas
+     * @returns {Object} - { imageData, width, height, words } (words en points de la page)
+     */
+    capturePage(pageSize = null, quality = 0.92, words = null) {
+        if (!this.canvas) throw new Error('Canvas non initialisé');
+
+        const width = pageSize?.width || this.canvas.width;
+        const height = pageSize?.height || this.canvas.height;
+        const scaleX = width / this.canvas.width;
+        const scaleY = height / this.canvas.height;
+
+        return {
+            imageData: this.canvas.toDataURL('image/jpeg', quality),
+            width,
+            height,
+            words: words?.map(({ text, bbox }) => ({
+                text,
+                x: bbox.x0 * scaleX,
+                y: bbox.y0 * scaleY,
+                width: (bbox.x1 - bbox.x0) * scaleX,
+                height: (bbox.y1 - bbox.y0) * scaleY
+            })) || null
+        };
+    }
+
+    /**
+     * Exporte une ou plusieurs pages dans un fichier PDF
+     * Sans pages fournies, exporte le canvas courant aux dimensions de l'image
+     * Les pages capturées avec des mots reçoivent une couche texte invisible (PDF recherchable)
      * @param {String} filename - Nom du fichier de sortie
      * @param {Number} quality - Qualité de l'image dans le PDF
+     * @param {Array} pages - Pages capturées via capturePage() (optionnel)
      * @returns {Promise<File>}
      */
-    async exportAsPDF(filename, quality = 0.92) {
-        if (!this.canvas) throw new Error('Canvas non initialisé');
+    async exportAsPDF(filename, quality = 0.92, pages = null) {
+        if (!pages) {
+            // Ici on adapte le PDF à la taille de l'image pour préserver la qualité 1:1
+            pages = [this.capturePage(null, quality)];
+        }
+
+        if (pages.length === 0) throw new Error('Aucune page à exporter');
 
-        const { jsPDF } = window.jspdf;
-        const orientation = this.canvas.width > this.canvas.height ? 'l' : 'p';
+        const jsPDF = this.platform.jsPDF;
+        if (!jsPDF) throw new Error('jsPDF n\'est pas chargé');
 
-        // Crée le PDF aux dimensions de l'image (en points, approximation A4 non requise mais meilleure pour print)
-        // Ici on adapte le PDF à la taille de l'image pour préserver la qualité 1:1
+        const orientationOf = ({ width, height }) => (width > height ? 'l' : 'p');
+
+        // Chaque page conserve les dimensions de la page d'origine
         const pdf = new jsPDF({
-            orientation: orientation,
-            unit: 'px',
-            format: [this.canvas.width, this.canvas.height]
+            orientation: orientationOf(pages[0]),
+            unit: 'pt',
+            format: [pages[0].width, pages[0].height]
         });
 
-        const imgData = this.canvas.toDataURL('image/jpeg', quality);
-        pdf.addImage(imgData, 'JPEG', 0, 0, this.canvas.width, this.canvas.height);
+        pages.forEach((page, index) => {
+            if (index > 0) {
+                pdf.addPage([page.width, page.height], orientationOf(page));
+            }
+            pdf.addImage(page.imageData, 'JPEG', 0, 0, page.width, page.height);
+
+            if (page.words?.length) {
+                this._addTextLayer(pdf, page.words);
+            }
+        });
 
         // Utilisation d'ArrayBuffer pour une meilleure compatibilité Blob
         const arrayBuffer = pdf.output('arraybuffer');
@@ -291,6 +676,42 @@ export class ImageService {
         return new File([blob], filename, { type: 'application/pdf' });
     }
 
+    /**
+     * Ajoute une couche de texte invisible, chaque mot étant ajusté à sa boîte
+     * (le texte est sélectionnable et indexable, mais jamais dessiné)
+     * @private
+     */
+    _addTextLayer(pdf, words) {
+        pdf.setFont('helvetica', 'normal');
+
+        words.forEach(({ text, x, y, width, height }) => {
+            if (!text || width <= 0 || height <= 0) return;
+
+            pdf.setFontSize(height);
+            const naturalWidth = pdf.getTextWidth(text);
+
+            pdf.text(text, x, y, {
+                baseline: 'top',
+                renderingMode: 'invisible',
+                horizontalScale: naturalWidth > 0 ? width / naturalWidth : 1
+            });
+        });
+    }
+
+    /**
+     * Détache le canvas courant du service et le retourne
+     * Le canvas n'est plus modifié par le service (utile pour conserver une page intacte)
+     * @returns {HTMLCanvasElement}
+     */
+    detachCanvas() {
+        if (!this.canvas) throw new Error('Canvas non initialisé');
+
+        const canvas = this.canvas;
+        this.canvas = null;
+        this.ctx = null;
+        return canvas;
+    }
+
     /**
      * Libère les ressources du canvas
      */
@@ -302,34 +723,75 @@ export class ImageService {
     }
 
     /**
-     * Redimensionne l'image pour optimiser les performances OCR
-     * (Tesseract fonctionne mieux avec des images de résolution moyenne)
-     * @param {Number} maxWidth - Largeur maximale
-     * @param {Number} maxHeight - Hauteur maximale
+     * Copie réduite du canvas pour l'OCR (Tesseract est plus rapide, et souvent plus fiable,
+     * autour de 300 DPI qu'à la pleine résolution d'une photo de 20 mégapixels)
+     * Le canvas courant n'est pas modifié : caviardage et export restent en pleine résolution.
+     * Les coordonnées reconnues sur la copie se reportent sur le canvas en divisant par scaleX
+     * et scaleY : l'arrondi des dimensions de la copie rend les deux échelles légèrement différentes
+     * @param {Object} options
+     * @param {Number} options.maxDimension - Plus grand côté de la copie, en pixels
+     * @param {Number} options.dpi - Résolution cible
+     * @param {Number} options.sourceDpi - Résolution du canvas (null : inconnue, seul maxDimension s'applique)
+     * @returns {Object} - { canvas, scale, scaleX, scaleY } ; scale : échelle demandée, scaleX/scaleY :
+     *                     échelles effectives de chaque axe. Sans réduction nécessaire, le canvas courant et 1
      */
-    resizeForOCR(maxWidth = 2000, maxHeight = 2000) {
-        if (!this.canvas) return;
+    resizeForOCR({ maxDimension, dpi, sourceDpi = null } = ImageService.OCR_RESOLUTION) {
+        const { width, height } = this.canvas;
+
+        // L'image n'est jamais agrandie : seule une réduction fait gagner du temps
+        let scale = 1;
+        if (maxDimension) scale = Math.min(scale, maxDimension / Math.max(width, height));
+        if (dpi && sourceDpi) scale = Math.min(scale, dpi / sourceDpi);
+
+        if (scale >= 1) return { canvas: this.canvas, scale: 1, scaleX: 1, scaleY: 1 };
+
+        // Réduction par paliers de moitié : un seul drawImage au-delà de 2× crénelle les traits fins
+        let current = this.canvas;
+        let currentScale = 1;
+        while (currentScale / 2 > scale) {
+            currentScale /= 2;
+            current = this._drawScaled(current, width * currentScale, height * currentScale, current !== this.canvas);
+        }
 
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+        const canvas = this._drawScaled(current, width * scale, height * scale, current !== this.canvas);
 
-        if (width <= maxWidth && height <= maxHeight) return;
+        // Échelles effectives, après arrondi des dimensions
+        return { canvas, scale, scaleX: canvas.width / width, scaleY: canvas.height / height };
+    }
+
+    /**
+     * Copie d'une zone du canvas (ex: image d'une page PDF native, lue par l'OCR)
+     * @param {Object} bbox - { x0, y0, x1, y1 }, arrondie vers l'extérieur et bornée au canvas
+     * @returns {Object|null} - { canvas, x, y } : copie et position de son coin sur le canvas,
+     *                          null si la zone est vide
+     */
+    cropRegion(bbox) {
+        const region = this._clampRegion(bbox);
+        if (!region) return null;
 
-        const ratio = Math.min(maxWidth / width, maxHeight / height);
-        const newWidth = Math.floor(width * ratio);
-        const newHeight = Math.floor(height * ratio);
+        const canvas = this.platform.createCanvas(region.width, region.height);
+        canvas.getContext('2d').drawImage(this.canvas, region.x, region.y, region.width, region.height, 0, 0, region.width, region.height);
 
-        // Crée un canvas temporaire pour le redimensionnement
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = newWidth;
-        tempCanvas.height = newHeight;
-        const tempCtx = tempCanvas.getContext('2d');
+        return { canvas, x: region.x, y: region.y };
+    }
 
-        tempCtx.drawImage(this.canvas, 0, 0, newWidth, newHeight);
+    /**
+     * Dessine un canvas à une nouvelle taille
+     * @private
+     * @param {Boolean} release - Libère le canvas source (copie intermédiaire)
+     */
+    _drawScaled(source, width, height, release) {
+        const canvas = this.platform.createCanvas(Math.max(1, Math.round(width)), Math.max(1, Math.round(height)));
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        if (release) {
+            source.width = 0;
+            source.height = 0;
+        }
 
-        // Remplace le canvas actuel
-        this.canvas.width = newWidth;
-        this.canvas.height = newHeight;
-        this.ctx.drawImage(tempCanvas, 0, 0);
+        return canvas;
     }
 }
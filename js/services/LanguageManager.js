@@ -0,0 +1,292 @@
+/**
+ * LanguageManager.js
+ * Packs de langue OCR (modèles Tesseract <code>.traineddata) disponibles sans réseau
+ * Deux sources, jamais un CDN :
+ * - les packs livrés avec l'application (dossier lang/ servi par la même origine)
+ * - les packs importés par l'utilisateur, conservés dans IndexedDB
+ * Le stockage est le cache IndexedDB de tesseract.js (idb-keyval) : un pack importé y est lu
+ * directement par le worker Tesseract, un pack livré y est recopié à son premier chargement
+ * Identifie aussi la langue d'un texte (mode de détection automatique)
+ */
+
+export class LanguageManager {
+    /**
+     * Packs proposés dans l'interface, avec les mots outils servant à identifier la langue
+     * (mots fréquents et propres à chaque langue : "de" ou "en", communs à plusieurs, sont exclus)
+     */
+    static PACKS = [
+        {
+            code: 'fra', name: 'French',
+            stopwords: ['le', 'la', 'les', 'des', 'et', 'est', 'une', 'pour', 'dans', 'qui', 'sur', 'avec', 'du', 'au', 'pas', 'par', 'ce', 'nous', 'vous']
+        },
+        {
+            code: 'eng', name: 'English',
+            stopwords: ['the', 'and', 'of', 'to', 'is', 'in', 'for', 'with', 'that', 'this', 'on', 'are', 'be', 'by', 'from', 'you', 'we', 'it']
+        },
+        {
+            code: 'deu', name: 'German',
+            stopwords: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'den', 'von', 'zu', 'ein', 'eine', 'für', 'auf', 'dem', 'sich', 'auch', 'wir', 'sie']
+        },
+        {
+            code: 'spa', name: 'Spanish',
+            stopwords: ['el', 'los', 'las', 'y', 'es', 'del', 'para', 'con', 'una', 'por', 'que', 'se', 'como', 'su', 'al', 'lo', 'está', 'muy']
+        },
+        {
+            code: 'ita', name: 'Italian',
+            stopwords: ['il', 'di', 'che', 'gli', 'della', 'per', 'con', 'una', 'sono', 'non', 'del', 'alla', 'nel', 'è', 'questo', 'anche', 'essere']
+        },
+        {
+            code: 'nld', name: 'Dutch',
+            stopwords: ['het', 'een', 'van', 'niet', 'dat', 'op', 'voor', 'met', 'zijn', 'te', 'aan', 'ook', 'wij', 'bij', 'naar', 'deze', 'worden']
+        },
+        {
+            code: 'por', name: 'Portuguese',
+            stopwords: ['o', 'os', 'da', 'do', 'das', 'dos', 'não', 'uma', 'para', 'com', 'em', 'que', 'é', 'por', 'ao', 'na', 'no', 'você']
+        }
+    ];
+
+    /**
+     * Langues OCR par défaut
+     */
+    static DEFAULT_LANGUAGE = 'fra+eng';
+
+    /**
+     * Valeur de langue déclenchant la détection automatique
+     */
+    static AUTO = 'auto';
+
+    /**
+     * Cache de tesseract.js : base et magasin d'idb-keyval, préfixe des clés (option cachePath)
+     */
+    static CACHE = { database: 'keyval-store', store: 'keyval', path: 'localseal-lang' };
+
+    /**
+     * Dossier des packs livrés avec l'application (<code>.traineddata.gz)
+     */
+    static BUNDLED_PATH = './lang';
+
+    /**
+     * Identifiant d'un modèle Tesseract (ex: deu, chi_sim)
+     */
+    static CODE_PATTERN = /^[a-z]{3}(_[a-z]+)?$/;
+
+    /**
+     * Nombre minimal de mots outils reconnus pour retenir une langue
+     */
+    static MIN_MATCHES = 3;
+
+    /**
+     * Codes d'une valeur de langue Tesseract ('fra+eng' → ['fra', 'eng'])
+     * @param {String} language
+     * @returns {Array<String>}
+     */
+    static parse(language) {
+        return String(language).split('+').map(code => code.trim()).filter(Boolean);
+    }
+
+    /**
+     * Langues de la première lecture en mode automatique, retenues aussi si la détection échoue :
+     * les langues par défaut disponibles parmi les candidates, sinon la première candidate
+     * @param {Array<String>} candidates - Codes disponibles
+     * @returns {String}
+     */
+    static fallback(candidates) {
+        const preferred = LanguageManager.parse(LanguageManager.DEFAULT_LANGUAGE).filter(code => candidates.includes(code));
+        return preferred.length > 0 ? preferred.join('+') : candidates[0];
+    }
+
+    /**
+     * Identifie la langue d'un texte parmi des candidates, par fréquence des mots outils
+     * @param {String} text - Texte lu par une première passe OCR
+     * @param {Array<String>} candidates - Codes autorisés (tous les packs par défaut)
+     * @returns {Object} - { language, matches } ; language null si aucune langue ne se détache
+     */
+    static identify(text, candidates = LanguageManager.PACKS.map(pack => pack.code)) {
+        const words = String(text).toLowerCase().match(/\p{L}+/gu) || [];
+        const counts = new Map();
+        words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+
+        const scores = LanguageManager.PACKS
+            .filter(pack => candidates.includes(pack.code))
+            .map(pack => ({
+                language: pack.code,
+                matches: pack.stopwords.reduce((sum, word) => sum + (counts.get(word) || 0), 0)
+            }))
+            .sort((a, b) => b.matches - a.matches);
+
+        const [best, second] = scores;
+        if (!best || best.matches < LanguageManager.MIN_MATCHES || best.matches === second?.matches) {
+            return { language: null, matches: best?.matches ?? 0 };
+        }
+
+        return best;
+    }
+
+    /**
+     * @param {Object} options
+     *   - indexedDB {IDBFactory} : stockage des packs (null sous Node : --lang-path lit les fichiers)
+     *   - bundledPath {String} : dossier des packs livrés, relatif à la page
+     *   - fetch {Function} : requêtes vers ce dossier
+     */
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB !== undefined ? options.indexedDB : globalThis.indexedDB ?? null;
+        this.bundledPath = options.bundledPath || LanguageManager.BUNDLED_PATH;
+        this.fetch = options.fetch || globalThis.fetch?.bind(globalThis);
+        this.bundled = new Map(); // Présence des packs livrés, vérifiée une fois par code
+    }
+
+    /**
+     * Options du worker Tesseract : modèles lus dans le cache, sinon dans le dossier livré
+     * (chemin absolu : dans le worker Tesseract, un chemin relatif serait résolu depuis
+     * l'adresse de son script, vendor/tesseract/, et non depuis la page)
+     * @returns {Object}
+     */
+    workerOptions() {
+        const base = globalThis.location?.href;
+        return {
+            langPath: base ? new URL(this.bundledPath, base).href.replace(/\/$/, '') : this.bundledPath,
+            cachePath: LanguageManager.CACHE.path,
+            cacheMethod: 'write',
+            gzip: true
+        };
+    }
+
+    /**
+     * État des packs : catalogue, plus les packs importés hors catalogue
+     * @returns {Promise<Array>} - [{ code, name, cached, bundled }]
+     */
+    async list() {
+        const cached = await this._cachedCodes();
+        const extra = cached.filter(code => !LanguageManager.PACKS.some(pack => pack.code === code));
+        const packs = [...LanguageManager.PACKS, ...extra.map(code => ({ code, name: code }))];
+
+        return Promise.all(packs.map(async ({ code, name }) => ({
+            code,
+            name,
+            cached: cached.includes(code),
+            bundled: await this._isBundled(code)
+        })));
+    }
+
+    /**
+     * Codes des packs utilisables hors ligne (importés, déjà chargés ou livrés)
+     * @returns {Promise<Array<String>>}
+     */
+    async available() {
+        return (await this.list()).filter(pack => pack.cached || pack.bundled).map(pack => pack.code);
+    }
+
+    /**
+     * Vérifie que toutes les langues demandées sont disponibles hors ligne
+     * @param {String} language - Valeur de langue Tesseract ('deu', 'fra+eng')
+     * @throws {Error} - Liste des packs manquants
+     */
+    async ensure(language) {
+        const cached = await this._cachedCodes();
+        const missing = [];
+
+        for (const code of LanguageManager.parse(language)) {
+            if (!cached.includes(code) && !(await this._isBundled(code))) missing.push(code);
+        }
+
+        if (missing.length > 0) {
+            throw new Error(`Pack de langue manquant : ${missing.join(', ')} (importez ${missing.map(code => `${code}.traineddata`).join(', ')})`);
+        }
+    }
+
+    /**
+     * Importe un pack depuis un fichier <code>.traineddata[.gz]
+     * @param {File} file
+     * @returns {Promise<String>} - Code de la langue importée
+     */
+    async import(file) {
+        const match = /^([a-z_]+)\.traineddata(\.gz)?$/.exec(file.name.toLowerCase());
+        if (!match || !LanguageManager.CODE_PATTERN.test(match[1])) {
+            throw new Error('Nom de fichier attendu : <code>.traineddata ou <code>.traineddata.gz (ex: deu.traineddata)');
+        }
+
+        const data = new Uint8Array(await file.arrayBuffer());
+        const gzip = data[0] === 0x1f && data[1] === 0x8b;
+        if (Boolean(match[2]) !== gzip || data.length < 1024) {
+            throw new Error('Fichier de langue invalide ou corrompu');
+        }
+
+        // Tesseract décompresse lui-même les données lues dans son cache
+        await this._store('readwrite', store => store.put(data, this._key(match[1])));
+        return match[1];
+    }
+
+    /**
+     * Retire un pack du cache (un pack livré reste disponible)
+     * @param {String} code
+     */
+    async remove(code) {
+        await this._store('readwrite', store => store.delete(this._key(code)));
+    }
+
+    /**
+     * Clé d'un pack dans le cache, telle que la calcule tesseract.js
+     * @private
+     */
+    _key(code) {
+        return `${LanguageManager.CACHE.path}/${code}.traineddata`;
+    }
+
+    /**
+     * Codes présents dans le cache
+     * @private
+     */
+    async _cachedCodes() {
+        if (!this.indexedDB) return [];
+
+        const prefix = `${LanguageManager.CACHE.path}/`;
+        const keys = await this._store('readonly', store => store.getAllKeys());
+
+        return keys
+            .filter(key => typeof key === 'string' && key.startsWith(prefix) && key.endsWith('.traineddata'))
+            .map(key => key.slice(prefix.length, -'.traineddata'.length));
+    }
+
+    /**
+     * Le pack est-il livré avec l'application ? (requête HEAD sur la même origine)
+     * @private
+     */
+    _isBundled(code) {
+        if (!this.bundled.has(code)) {
+            const url = `${this.workerOptions().langPath}/${code}.traineddata.gz`;
+            this.bundled.set(code, this.fetch
+                ? this.fetch(url, { method: 'HEAD' }).then(response => response.ok, () => false)
+                : Promise.resolve(false));
+        }
+
+        return this.bundled.get(code);
+    }
+
+    /**
+     * Exécute une requête sur le magasin du cache (créé s'il n'existe pas, comme idb-keyval)
+     * @private
+     */
+    async _store(mode, operation) {
+        if (!this.indexedDB) throw new Error('IndexedDB indisponible : import de langue impossible');
+
+        const { database, store: storeName } = LanguageManager.CACHE;
+        const db = await new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(database);
+            request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        try {
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, mode);
+                const request = operation(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+}
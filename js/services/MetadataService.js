@@ -0,0 +1,483 @@
+/**
+ * MetadataService.js
+ * Lecture des métadonnées portées par les fichiers d'entrée (EXIF, GPS, XMP, IPTC,
+ * chunks texte PNG, dictionnaire Info et XMP des PDF) et vérification des fichiers produits
+ * L'analyse se fait directement sur les octets, sans bibliothèque : elle fonctionne
+ * à l'identique dans le navigateur, dans un Worker et sous Node.js
+ */
+
+/**
+ * Tags TIFF/EXIF rapportés : tag → [nom, catégorie]
+ * Catégories : gps, device, software, author, date, document
+ */
+const IFD0_TAGS = {
+    0x010E: ['ImageDescription', 'document'],
+    0x010F: ['Make', 'device'],
+    0x0110: ['Model', 'device'],
+    0x0131: ['Software', 'software'],
+    0x0132: ['DateTime', 'date'],
+    0x013B: ['Artist', 'author'],
+    0x8298: ['Copyright', 'author']
+};
+
+const EXIF_TAGS = {
+    0x9003: ['DateTimeOriginal', 'date'],
+    0x9004: ['DateTimeDigitized', 'date'],
+    0x9286: ['UserComment', 'document'],
+    0x927C: ['MakerNote', 'device'],
+    0xA420: ['ImageUniqueID', 'device'],
+    0xA430: ['CameraOwnerName', 'author'],
+    0xA431: ['BodySerialNumber', 'device'],
+    0xA433: ['LensMake', 'device'],
+    0xA434: ['LensModel', 'device']
+};
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_X_RESOLUTION = 0x011A;
+const TAG_RESOLUTION_UNIT = 0x0128;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+
+/**
+ * Propriétés XMP rapportées : préfixe:nom → catégorie
+ */
+const XMP_PROPERTIES = {
+    'dc:creator': 'author',
+    'dc:rights': 'author',
+    'dc:title': 'document',
+    'dc:description': 'document',
+    'xmp:CreatorTool': 'software',
+    'xmp:CreateDate': 'date',
+    'xmp:ModifyDate': 'date',
+    'pdf:Producer': 'software',
+    'pdf:Keywords': 'document',
+    'tiff:Make': 'device',
+    'tiff:Model': 'device',
+    'exif:GPSLatitude': 'gps',
+    'exif:GPSLongitude': 'gps',
+    'photoshop:City': 'gps',
+    'photoshop:Country': 'gps'
+};
+
+/**
+ * Champs du dictionnaire Info d'un PDF → catégorie
+ */
+const PDF_INFO_FIELDS = {
+    Title: 'document',
+    Subject: 'document',
+    Keywords: 'document',
+    Author: 'author',
+    Creator: 'software',
+    Producer: 'software',
+    CreationDate: 'date',
+    ModDate: 'date'
+};
+
+export class MetadataService {
+    /**
+     * Inventaire des métadonnées d'une image
+     * @param {Uint8Array} bytes - Contenu du fichier
+     * @returns {Object} - { format, orientation, dpi, entries: [{ source, category, name, value }], categories }
+     *                     dpi : résolution déclarée (EXIF, JFIF ou pHYs), null si absente
+     */
+    inspectImage(bytes) {
+        const entries = [];
+        const found = { orientation: null, dpi: null };
+        let format = 'unknown';
+
+        const addTIFF = (start) => {
+            const tiff = this._readTIFF(bytes, start);
+            found.orientation ??= tiff.orientation;
+            found.dpi ??= tiff.dpi;
+            entries.push(...tiff.entries);
+        };
+
+        try {
+            if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+                format = 'jpeg';
+                this._jpegSegments(bytes, addTIFF, entries, found);
+            } else if (this._ascii(bytes, 1, 3) === 'PNG') {
+                format = 'png';
+                this._pngChunks(bytes, addTIFF, entries, found);
+            } else if (this._ascii(bytes, 0, 4) === 'RIFF' && this._ascii(bytes, 8, 4) === 'WEBP') {
+                format = 'webp';
+                this._webpChunks(bytes, addTIFF, entries);
+            }
+        } catch (error) {
+            // Fichier tronqué ou métadonnées corrompues : on rapporte ce qui a pu être lu
+            console.warn(`Métadonnées partiellement illisibles: ${error.message}`);
+        }
+
+        return this._report(format, found.orientation, entries, found.dpi);
+    }
+
+    /**
+     * Inventaire des métadonnées d'un PDF
+     * @param {Object} pdfMetadata - Résultat de pdf.getMetadata() (PDF.js) : { info, metadata }
+     * @returns {Object} - Même structure que inspectImage()
+     */
+    inspectPDF(pdfMetadata) {
+        const entries = [];
+        const info = pdfMetadata?.info || {};
+
+        Object.entries(PDF_INFO_FIELDS).forEach(([name, category]) => {
+            if (info[name]) entries.push({ source: 'PDF Info', category, name, value: String(info[name]) });
+        });
+
+        // Champs personnalisés du dictionnaire Info
+        Object.entries(info.Custom || {}).forEach(([name, value]) => {
+            entries.push({ source: 'PDF Info', category: 'document', name, value: String(value?.name ?? value) });
+        });
+
+        const xmp = pdfMetadata?.metadata?.getRaw?.();
+        if (xmp) entries.push(...this._xmpEntries(xmp));
+
+        return this._report('pdf', null, entries);
+    }
+
+    /**
+     * Métadonnées encore présentes dans un fichier produit (doit être vide)
+     * Images : inventaire complet ; PDF : marqueurs XMP/EXIF et champs Info identifiants
+     * @param {Blob} file - Fichier produit
+     * @returns {Promise<Array<String>>} - Sources trouvées (ex: ["EXIF:Make", "PDF Info:/Author"])
+     */
+    async findLeaks(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+
+        if (file.type !== 'application/pdf') {
+            return this.inspectImage(bytes).entries.map(entry => `${entry.source}:${entry.name}`);
+        }
+
+        // Le PDF produit ne contient que des JPEG réencodés et les champs posés par jsPDF
+        // (Producer, CreationDate) : tout autre marqueur trahit une fuite
+        const text = this._latin1(bytes);
+        const markers = {
+            'EXIF': 'Exif\u0000\u0000',
+            'XMP': '<x:xmpmeta',
+            'IPTC': 'Photoshop 3.0',
+            'PDF Info:/Author': '/Author (',
+            'PDF Info:/Title': '/Title (',
+            'PDF Info:/Subject': '/Subject (',
+            'PDF Info:/Keywords': '/Keywords (',
+            'PDF Info:/Creator': '/Creator ('
+        };
+
+        return Object.entries(markers)
+            .filter(([, marker]) => text.includes(marker))
+            .map(([name]) => name);
+    }
+
+    /**
+     * Segments APP d'un JPEG (EXIF, XMP, IPTC, commentaires), jusqu'au début des données (SOS)
+     * @private
+     */
+    _jpegSegments(bytes, addTIFF, entries, found) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 2;
+
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+            const marker = bytes[offset + 1];
+            if (marker === 0xDA || marker === 0xD9) break; // Début des données / fin d'image
+
+            const length = view.getUint16(offset + 2);
+            const start = offset + 4;
+
+            if (marker === 0xE0 && this._ascii(bytes, start, 5) === 'JFIF\u0000') {
+                // Densité JFIF : unité 1 = points par pouce, 2 = points par centimètre
+                const unit = bytes[start + 7];
+                const density = view.getUint16(start + 8);
+                if (unit === 1 || unit === 2) found.dpi ??= this._dpi(density, unit === 2 ? 2.54 : 1);
+            } else if (marker === 0xE1 && this._ascii(bytes, start, 6) === 'Exif\u0000\u0000') {
+                addTIFF(start + 6);
+            } else if (marker === 0xE1 && this._ascii(bytes, start, 29) === 'http://ns.adobe.com/xap/1.0/\u0000') {
+                entries.push(...this._xmpEntries(this._utf8(bytes.subarray(start + 29, offset + 2 + length))));
+            } else if (marker === 0xED && this._ascii(bytes, start, 13) === 'Photoshop 3.0') {
+                entries.push({ source: 'IPTC', category: 'document', name: 'IPTC record', value: `${length} bytes` });
+            } else if (marker === 0xFE) {
+                entries.push({ source: 'Comment', category: 'document', name: 'Comment', value: this._utf8(bytes.subarray(start, offset + 2 + length)) });
+            }
+
+            offset += 2 + length;
+        }
+    }
+
+    /**
+     * Chunks d'un PNG : eXIf, textes (tEXt, iTXt, zTXt)
+     * @private
+     */
+    _pngChunks(bytes, addTIFF, entries, found) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 8;
+
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = this._ascii(bytes, offset + 4, 4);
+            const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+            if (type === 'eXIf') {
+                addTIFF(offset + 8);
+            } else if (type === 'pHYs' && data[8] === 1) {
+                // Pixels par mètre
+                found.dpi ??= this._dpi(view.getUint32(offset + 8), 0.0254);
+            } else if (type === 'tEXt' || type === 'iTXt' || type === 'zTXt') {
+                const separator = data.indexOf(0);
+                const keyword = this._latin1(data.subarray(0, separator));
+                let value = type === 'zTXt' ? '(compressed)' : '';
+
+                if (type === 'tEXt') {
+                    value = this._latin1(data.subarray(separator + 1));
+                } else if (type === 'iTXt') {
+                    // Mot-clé, compression (2 octets), langue, mot-clé traduit, texte
+                    const compressed = data[separator + 1] === 1;
+                    const language = data.indexOf(0, separator + 3);
+                    const translated = data.indexOf(0, language + 1);
+                    value = compressed ? '(compressed)' : this._utf8(data.subarray(translated + 1));
+                }
+
+                if (keyword === 'XML:com.adobe.xmp' && value !== '(compressed)') {
+                    entries.push(...this._xmpEntries(value));
+                } else {
+                    entries.push({ source: 'PNG', category: this._pngCategory(keyword), name: keyword, value });
+                }
+            } else if (type === 'IEND') {
+                break;
+            }
+
+            offset += 12 + length;
+        }
+    }
+
+    /**
+     * Chunks d'un WebP (conteneur RIFF) : EXIF et XMP
+     * @private
+     */
+    _webpChunks(bytes, addTIFF, entries) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 12;
+
+        while (offset + 8 <= bytes.length) {
+            const type = this._ascii(bytes, offset, 4);
+            const length = view.getUint32(offset + 4, true);
+            const start = offset + 8;
+
+            if (type === 'EXIF') {
+                addTIFF(this._ascii(bytes, start, 6) === 'Exif\u0000\u0000' ? start + 6 : start);
+            } else if (type === 'XMP ') {
+                entries.push(...this._xmpEntries(this._utf8(bytes.subarray(start, start + length))));
+            }
+
+            // Les chunks RIFF sont alignés sur 2 octets
+            offset = start + length + (length % 2);
+        }
+    }
+
+    /**
+     * Lit une structure TIFF (IFD0, sous-IFD EXIF et GPS)
+     * @private
+     * @param {Number} start - Position de l'en-tête TIFF ("II" ou "MM")
+     */
+    _readTIFF(bytes, start) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const little = this._ascii(bytes, start, 2) === 'II';
+        const entries = [];
+        let orientation = null;
+
+        const ifd0 = this._readIFD(view, start, view.getUint32(start + 4, little), little);
+
+        // Unité de résolution : 2 = pouce (par défaut), 3 = centimètre
+        const dpi = typeof ifd0[TAG_X_RESOLUTION] === 'number'
+            ? this._dpi(ifd0[TAG_X_RESOLUTION], ifd0[TAG_RESOLUTION_UNIT] === 3 ? 2.54 : 1)
+            : null;
+
+        Object.entries(ifd0).forEach(([tag, value]) => {
+            tag = Number(tag);
+            if (tag === TAG_ORIENTATION) {
+                orientation = value;
+                entries.push({ source: 'EXIF', category: 'document', name: 'Orientation', value: String(value) });
+            } else if (IFD0_TAGS[tag]) {
+                const [name, category] = IFD0_TAGS[tag];
+                entries.push({ source: 'EXIF', category, name, value: this._format(value) });
+            }
+        });
+
+        if (ifd0[TAG_EXIF_IFD]) {
+            const exif = this._readIFD(view, start, ifd0[TAG_EXIF_IFD], little);
+            Object.entries(exif).forEach(([tag, value]) => {
+                const known = EXIF_TAGS[Number(tag)];
+                if (known) entries.push({ source: 'EXIF', category: known[1], name: known[0], value: this._format(value) });
+            });
+        }
+
+        if (ifd0[TAG_GPS_IFD]) {
+            entries.push(...this._gpsEntries(this._readIFD(view, start, ifd0[TAG_GPS_IFD], little)));
+        }
+
+        return { orientation, dpi, entries };
+    }
+
+    /**
+     * Lit les entrées d'un IFD (ASCII, SHORT, LONG, RATIONAL ; octets bruts pour les autres types)
+     * @private
+     * @returns {Object} - tag → valeur (nombre, chaîne, tableau ou octets)
+     */
+    _readIFD(view, tiffStart, ifdOffset, little) {
+        const sizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+        const base = tiffStart + ifdOffset;
+        const count = view.getUint16(base, little);
+        const values = {};
+
+        for (let i = 0; i < count; i++) {
+            const entry = base + 2 + i * 12;
+            const tag = view.getUint16(entry, little);
+            const type = view.getUint16(entry + 2, little);
+            const n = view.getUint32(entry + 4, little);
+            const size = (sizes[type] || 1) * n;
+            const at = size > 4 ? tiffStart + view.getUint32(entry + 8, little) : entry + 8;
+
+            if (at + size > view.byteLength) continue; // Entrée hors du fichier
+
+            const read = (k) => {
+                switch (type) {
+                    case 3: return view.getUint16(at + k * 2, little);
+                    case 4: return view.getUint32(at + k * 4, little);
+                    case 9: return view.getInt32(at + k * 4, little);
+                    case 5: return view.getUint32(at + k * 8, little) / (view.getUint32(at + k * 8 + 4, little) || 1);
+                    case 10: return view.getInt32(at + k * 8, little) / (view.getInt32(at + k * 8 + 4, little) || 1);
+                    default: return view.getUint8(at + k);
+                }
+            };
+
+            if (type === 2) {
+                values[tag] = this._utf8(new Uint8Array(view.buffer, view.byteOffset + at, n)).replace(/\u0000+$/, '');
+            } else if (type === 7 || type === 1) {
+                values[tag] = new Uint8Array(view.buffer, view.byteOffset + at, n);
+            } else {
+                values[tag] = n === 1 ? read(0) : Array.from({ length: n }, (_, k) => read(k));
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Position GPS en degrés décimaux
+     * @private
+     */
+    _gpsEntries(gps) {
+        const entries = [];
+        const decimal = (dms, ref) => {
+            if (!Array.isArray(dms)) return null;
+            const value = dms[0] + (dms[1] || 0) / 60 + (dms[2] || 0) / 3600;
+            return (ref === 'S' || ref === 'W' ? -value : value).toFixed(6);
+        };
+
+        const latitude = decimal(gps[2], gps[1]);
+        const longitude = decimal(gps[4], gps[3]);
+        if (latitude !== null) entries.push({ source: 'GPS', category: 'gps', name: 'GPSLatitude', value: latitude });
+        if (longitude !== null) entries.push({ source: 'GPS', category: 'gps', name: 'GPSLongitude', value: longitude });
+        if (typeof gps[6] === 'number') {
+            entries.push({ source: 'GPS', category: 'gps', name: 'GPSAltitude', value: `${gps[6].toFixed(1)} m` });
+        }
+        if (gps[0x1D]) entries.push({ source: 'GPS', category: 'gps', name: 'GPSDateStamp', value: String(gps[0x1D]) });
+
+        // IFD GPS présent mais sans position exploitable : sa présence est déjà une information
+        if (entries.length === 0 && Object.keys(gps).length > 0) {
+            entries.push({ source: 'GPS', category: 'gps', name: 'GPSInfo', value: `${Object.keys(gps).length} tags` });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Propriétés XMP connues (forme attribut ou élément), et le paquet lui-même
+     * @private
+     */
+    _xmpEntries(xml) {
+        const entries = [{ source: 'XMP', category: 'document', name: 'XMP packet', value: `${xml.length} characters` }];
+
+        Object.entries(XMP_PROPERTIES).forEach(([property, category]) => {
+            const attribute = xml.match(new RegExp(`${property}="([^"]*)"`));
+            const element = xml.match(new RegExp(`<${property}[^>]*>([\\s\\S]*?)</${property}>`));
+            const value = (attribute?.[1] ?? element?.[1] ?? '')
+                .replace(/<[^>]+>/g, ' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+
+            if (value) entries.push({ source: 'XMP', category, name: property, value });
+        });
+
+        return entries;
+    }
+
+    /**
+     * Catégorie d'un mot-clé texte PNG
+     * @private
+     */
+    _pngCategory(keyword) {
+        if (/^(Author|Copyright)$/i.test(keyword)) return 'author';
+        if (/^(Software|Source)$/i.test(keyword)) return 'software';
+        if (/^(Creation Time|date:)/i.test(keyword)) return 'date';
+        return 'document';
+    }
+
+    /**
+     * Assemble le rapport
+     * @private
+     */
+    _report(format, orientation, entries, dpi = null) {
+        return {
+            format,
+            orientation,
+            dpi,
+            entries,
+            categories: [...new Set(entries.map(entry => entry.category))]
+        };
+    }
+
+    /**
+     * Résolution en points par pouce (null si non significative)
+     * @private
+     * @param {Number} density - Densité dans l'unité du fichier
+     * @param {Number} unitsPerInch - Unités par pouce (1 pour le pouce, 2.54 pour le cm, 0.0254 pour le mètre)
+     */
+    _dpi(density, unitsPerInch) {
+        const dpi = Math.round(density * unitsPerInch);
+        return dpi > 1 ? dpi : null;
+    }
+
+    /**
+     * Valeur lisible d'un tag (octets bruts résumés par leur taille)
+     * @private
+     */
+    _format(value) {
+        if (value instanceof Uint8Array) return `${value.length} bytes`;
+        if (Array.isArray(value)) return value.join(', ');
+        return String(value);
+    }
+
+    /**
+     * @private
+     */
+    _ascii(bytes, start, length) {
+        return this._latin1(bytes.subarray(start, start + length));
+    }
+
+    /**
+     * @private
+     */
+    _latin1(bytes) {
+        let result = '';
+        // Par blocs pour ne pas dépasser le nombre maximal d'arguments
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    _utf8(bytes) {
+        return new TextDecoder().decode(bytes);
+    }
+}
@@ -2,11 +2,28 @@
  * NLPProcessor.js
  * Service d'analyse de langage naturel pour identifier les données sensibles
  * Utilise Compromise.js pour détecter les entités nommées (personnes, lieux, organisations)
- * Note: Compromise.js doit être chargé via CDN dans le HTML
+ * Note: dans le navigateur, Compromise.js doit être chargé via CDN dans le HTML
  */
 
+import { BrowserPlatform } from '../platform/BrowserPlatform.js';
+import { OCRService } from './OCRService.js';
+
 export class NLPProcessor {
-    constructor() {
+    /**
+     * Types d'entités détectés : noms (Compromise) puis valeurs reconnues par les patterns
+     */
+    static ENTITY_TYPES = [
+        'person', 'place', 'organization',
+        'email', 'phone', 'iban', 'secu', 'creditCard', 'postalCode', 'invoiceNumber',
+        'amount', 'date', 'siret', 'siren', 'tva'
+    ];
+
+    /**
+     * @param {Object} platform - Plateforme d'exécution fournissant Compromise (navigateur par défaut)
+     */
+    constructor(platform = new BrowserPlatform()) {
+        this.platform = platform;
+
         // Patterns regex pour détecter des valeurs sensibles spécifiques
         this.patterns = {
             email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g,
@@ -30,6 +47,25 @@ export class NLPProcessor {
             // TVA intracommunautaire
             tva: /\bFR\s?\d{2}\s?\d{3}\s?\d{3}\s?\d{3}\b/gi
         };
+
+        // Libellés affichés sur l'image pour le style de caviardage "label"
+        this.labels = {
+            person: 'PERSON',
+            place: 'PLACE',
+            organization: 'ORG',
+            email: 'EMAIL',
+            phone: 'PHONE',
+            iban: 'IBAN',
+            secu: 'SSN',
+            creditCard: 'CARD',
+            postalCode: 'POSTCODE',
+            invoiceNumber: 'INVOICE',
+            amount: 'AMOUNT',
+            date: 'DATE',
+            siret: 'SIRET',
+            siren: 'SIREN',
+            tva: 'VAT'
+        };
     }
 
     /**
@@ -42,45 +78,32 @@ export class NLPProcessor {
             return { entities: [], sensitive: [] };
         }
 
-        // Utilise window.nlp (Compromise.js) chargé via CDN
-        if (typeof window === 'undefined' || !window.nlp) {
+        // Utilise Compromise.js fourni par la plateforme (chargé via CDN dans le navigateur)
+        const nlp = this.platform.nlp;
+        if (!nlp) {
             console.error('Compromise.js (nlp) n\'est pas chargé');
             return { entities: [], sensitive: [] };
         }
 
-        const doc = window.nlp(text);
+        const doc = nlp(text);
         const entities = [];
 
-        // Extraction des personnes (noms propres)
-        doc.people().forEach(person => {
-            const personText = person.text();
-            entities.push({
-                type: 'person',
-                text: personText,
-                offset: text.indexOf(personText),
-                length: personText.length
-            });
-        });
-
-        // Extraction des lieux
-        doc.places().forEach(place => {
-            const placeText = place.text();
-            entities.push({
-                type: 'place',
-                text: placeText,
-                offset: text.indexOf(placeText),
-                length: placeText.length
-            });
-        });
+        // Compromise rend les occurrences dans l'ordre du texte : la n-ième occurrence d'un nom
+        // reçoit la position de la n-ième apparition de ce nom (pas toujours la première)
+        const cursors = new Map();
+        const locate = (entityText) => {
+            const occurrences = this._occurrences(text, entityText);
+            const from = cursors.get(entityText) ?? 0;
+            const found = occurrences.find(occurrence => occurrence.start >= from) ?? occurrences[0];
+            if (found) cursors.set(entityText, found.end);
+            return found ? { offset: found.start, length: found.end - found.start } : { offset: -1, length: entityText.length };
+        };
 
-        // Extraction des organisations
-        doc.organizations().forEach(org => {
-            const orgText = org.text();
-            entities.push({
-                type: 'organization',
-                text: orgText,
-                offset: text.indexOf(orgText),
-                length: orgText.length
+        // Extraction des personnes (noms propres), des lieux et des organisations
+        [['person', doc.people()], ['place', doc.places()], ['organization', doc.organizations()]].forEach(([type, matches]) => {
+            matches.forEach(match => {
+                const entityText = match.text();
+                entities.push({ type, text: entityText, ...locate(entityText) });
             });
         });
 
@@ -118,66 +141,185 @@ export class NLPProcessor {
 
     /**
      * Mappe les entités textuelles aux coordonnées des mots OCR
-     * Retourne les bounding boxes des mots à anonymiser
+     * Alignement par positions : chaque occurrence d'une entité dans le texte (findEntitySpans)
+     * couvre les mots dont la position (word.start, word.end) la chevauche. Un mot qui déborde
+     * de l'entité ("IBAN:FR76...", "Dupont,") est rogné à la partie couverte
      * @param {Object} nlpResult - Résultat de l'analyse NLP
-     * @param {Array} ocrWords - Tableau de mots avec coordonnées (bbox)
-     * @returns {Array} - Tableau de bounding boxes à flouter
+     * @param {Array} ocrWords - Tableau de mots avec coordonnées (bbox) et position dans le texte
+     * @param {String} text - Texte analysé (ocrResult.text) ; sans lui, les mots joints par des espaces
+     * @returns {Array} - Tableau de bounding boxes à flouter, une par mot d'une entité :
+     *                    { bbox, type, label, text, confidence, wordIndex, spanStart } ; wordIndex : indice du
+     *                    mot dans ocrWords, spanStart : position de l'entité (commune à ses mots)
      */
-    mapEntitiesToWords(nlpResult, ocrWords) {
-        const boxesToBlur = [];
-        const allTargets = [...nlpResult.entities, ...nlpResult.sensitive];
+    mapEntitiesToWords(nlpResult, ocrWords, text = null) {
+        const source = text ?? ocrWords.map(word => word.text).join(' ');
 
-        allTargets.forEach(entity => {
-            // Normalise le texte de l'entité pour comparaison
-            const normalizedEntity = this._normalize(entity.text);
+        // Mots sans position (résultat produit par une étape personnalisée) : alignés ici
+        const words = text !== null && ocrWords.every(word => Number.isInteger(word.start))
+            ? ocrWords
+            : OCRService.alignWords(source, ocrWords);
+
+        const spans = this.findEntitySpans(source, nlpResult);
+        const boxesToBlur = [];
 
-            ocrWords.forEach(word => {
-                const normalizedWord = this._normalize(word.text);
+        words.forEach((word, wordIndex) => {
+            spans
+                .filter(span => word.start !== null && span.start < word.end && word.start < span.end)
+                .forEach(({ start, end, entity }) => {
+                    const from = Math.max(start, word.start);
+                    const to = Math.min(end, word.end);
 
-                // Vérifie si le mot fait partie de l'entité sensible
-                if (normalizedEntity.includes(normalizedWord)) {
                     boxesToBlur.push({
-                        bbox: word.bbox,
+                        bbox: this._trimBox(word, from - word.start, to - word.start),
                         type: entity.type,
-                        text: word.text,
-                        confidence: word.confidence
+                        // Pseudonyme éventuel (voir Pseudonymizer), sinon le type d'entité
+                        label: entity.pseudonym ? `[${entity.pseudonym}]` : this.getEntityLabel(entity.type),
+                        text: source.slice(from, to),
+                        confidence: word.confidence,
+                        wordIndex,
+                        spanStart: start
                     });
-                }
-            });
+                });
         });
 
         return boxesToBlur;
     }
 
     /**
-     * Normalise une chaîne pour comparaison (minuscules, sans accents)
+     * Zone d'un mot réduite aux caractères [from, to[ (position proportionnelle au nombre de
+     * caractères). Le sens d'écriture est celui de la ligne de base (page tournée avant l'OCR),
+     * de gauche à droite sans elle. Un demi-caractère de marge est gardé de chaque côté rogné :
+     * avec une police proportionnelle, la coupe ne doit pas laisser dépasser l'entité
      * @private
      */
-    _normalize(str) {
-        return str
-            .toLowerCase()
-            .normalize('NFD')
-            .replace(/[\u0300-\u036f]/g, '')
-            .replace(/[^\w\s]/g, '');
+    _trimBox(word, from, to) {
+        const length = word.end - word.start;
+        if (from <= 0 && to >= length) return word.bbox;
+
+        const t0 = from > 0 ? Math.max(0, (from - 0.5) / length) : 0;
+        const t1 = to < length ? Math.min(1, (to + 0.5) / length) : 1;
+        const { x0, y0, x1, y1 } = word.bbox;
+
+        const dx = word.baseline ? word.baseline.x1 - word.baseline.x0 : 1;
+        const dy = word.baseline ? word.baseline.y1 - word.baseline.y0 : 0;
+
+        // Arrondi vers l'extérieur, comme OCRService.mapCoordinates
+        if (Math.abs(dx) >= Math.abs(dy)) {
+            const width = x1 - x0;
+            const [a, b] = dx >= 0 ? [x0 + width * t0, x0 + width * t1] : [x1 - width * t1, x1 - width * t0];
+            return { x0: Math.floor(a), y0, x1: Math.ceil(b), y1 };
+        }
+
+        const height = y1 - y0;
+        const [a, b] = dy >= 0 ? [y0 + height * t0, y0 + height * t1] : [y1 - height * t1, y1 - height * t0];
+        return { x0, y0: Math.floor(a), x1, y1: Math.ceil(b) };
+    }
+
+    /**
+     * Retourne le libellé d'un type d'entité (ex: "person" → "[PERSON]")
+     * @param {String} type - Type d'entité
+     * @returns {String}
+     */
+    getEntityLabel(type) {
+        return `[${this.labels[type] || String(type).toUpperCase()}]`;
     }
 
     /**
      * Génère un masque d'anonymisation pour le texte
      * (utilisé pour affichage textuel, pas l'image)
+     * Chaque caractère d'entité devient █ : les positions du texte d'origine restent valides
      */
     maskText(text, nlpResult) {
-        let maskedText = text;
-        const allTargets = [...nlpResult.entities, ...nlpResult.sensitive]
-            .sort((a, b) => b.offset - a.offset); // Tri inverse pour remplacement
+        return this.replaceEntities(text, nlpResult, span => '█'.repeat(span.end - span.start)).text;
+    }
+
+    /**
+     * Remplace chaque occurrence des entités par leur pseudonyme (ex: "[Person A]")
+     * @param {String} text - Texte d'origine
+     * @param {Object} nlpResult - Résultat d'analyse dont les entités portent entity.pseudonym
+     * @returns {String}
+     */
+    pseudonymizeText(text, nlpResult) {
+        return this.replaceEntities(text, nlpResult, span => `[${span.entity.pseudonym}]`).text;
+    }
+
+    /**
+     * Localise les entités dans le texte : toutes les occurrences du texte de chaque entité
+     * (voir _occurrences). En cas de chevauchement, l'occurrence la plus longue l'emporte
+     * @param {String} text - Texte d'origine
+     * @param {Object} nlpResult - Résultat de l'analyse NLP
+     * @returns {Array} - [{ start, end, entity }] triées par position, sans chevauchement
+     */
+    findEntitySpans(text, nlpResult) {
+        const spans = [];
 
-        allTargets.forEach(entity => {
-            const before = maskedText.substring(0, entity.offset);
-            const after = maskedText.substring(entity.offset + entity.length);
-            const mask = '█'.repeat(entity.length);
+        [...nlpResult.entities, ...nlpResult.sensitive].forEach(entity => {
+            this._occurrences(text, entity.text).forEach(({ start, end }) => spans.push({ start, end, entity }));
+        });
 
-            maskedText = before + mask + after;
+        // Les plus longues d'abord, puis on écarte celles qui chevauchent une zone déjà retenue
+        spans.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+        const kept = [];
+        spans.forEach(span => {
+            if (!kept.some(k => span.start < k.end && k.start < span.end)) kept.push(span);
         });
 
-        return maskedText;
+        return kept.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Occurrences d'un texte d'entité : les espaces correspondent à tout blanc (un nom coupé
+     * par un retour à la ligne est retrouvé) et une entité commençant ou finissant par une
+     * lettre ou un chiffre n'est pas cherchée à l'intérieur d'un mot ("Jean" dans "Jeanne")
+     * @private
+     * @returns {Array} - [{ start, end }] dans l'ordre du texte
+     */
+    _occurrences(text, entityText) {
+        const trimmed = String(entityText ?? '').trim();
+        if (!trimmed) return [];
+
+        const escaped = trimmed.split(/\s+/).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+');
+        const head = /^[\p{L}\p{N}]/u.test(trimmed) ? '(?<![\\p{L}\\p{N}])' : '';
+        const tail = /[\p{L}\p{N}]$/u.test(trimmed) ? '(?![\\p{L}\\p{N}])' : '';
+
+        return [...text.matchAll(new RegExp(head + escaped + tail, 'gu'))]
+            .map(match => ({ start: match.index, end: match.index + match[0].length }));
+    }
+
+    /**
+     * Remplace les entités d'une portion du texte et indique la position de chaque remplacement
+     * Une entité à cheval sur deux portions est remplacée entièrement dans la première
+     * et sa fin est retirée de la seconde : aucun fragment ne reste en clair
+     * @param {String} text - Texte d'origine
+     * @param {Object|Array} entities - Résultat NLP, ou zones déjà calculées par findEntitySpans()
+     * @param {Function} replacement - (span) => texte de remplacement
+     * @param {Number} start - Début de la portion (0 par défaut)
+     * @param {Number} end - Fin de la portion (fin du texte par défaut)
+     * @returns {Object} - { text, spans: [{ type, offset, length, entity }] } (positions dans le texte produit)
+     */
+    replaceEntities(text, entities, replacement, start = 0, end = text.length) {
+        const spans = Array.isArray(entities) ? entities : this.findEntitySpans(text, entities);
+        const replaced = [];
+        let result = '';
+        let cursor = start;
+
+        // Fin d'une entité commencée avant la portion
+        spans
+            .filter(span => span.start < start && span.end > start)
+            .forEach(span => { cursor = Math.max(cursor, span.end); });
+
+        spans
+            .filter(span => span.start >= start && span.start < end)
+            .forEach(span => {
+                const token = replacement(span);
+                result += text.slice(cursor, span.start);
+                replaced.push({ type: span.entity.type, offset: result.length, length: token.length, entity: span.entity });
+                result += token;
+                cursor = span.end;
+            });
+
+        result += text.slice(cursor, Math.max(cursor, end));
+
+        return { text: result, spans: replaced };
     }
 }
@@ -0,0 +1,253 @@
+/**
+ * OCRCache.js
+ * Cache local des résultats OCR, dans IndexedDB
+ * Clé : empreinte SHA-256 des pixels lus, des langues et des réglages OCR. Retraiter un document
+ * avec un autre profil ou un autre style de caviardage ne relance donc pas Tesseract
+ * Les résultats (texte reconnu, donc données personnelles) sont chiffrés en AES-GCM 256 bits avec
+ * une clé générée sur le poste, non exportable, conservée dans la même base et détruite avec le cache
+ * Taille bornée : les entrées les moins récemment lues sont évincées en premier (LRU)
+ */
+
+export class OCRCache {
+    /**
+     * Base IndexedDB et magasins : résultats chiffrés, index LRU (taille, dernier accès), clé
+     */
+    static DATABASE = 'localseal-ocr-cache';
+    static STORES = { entries: 'entries', index: 'index', keys: 'keys' };
+
+    /**
+     * Version des résultats : l'incrémenter invalide les entrées existantes
+     */
+    static VERSION = 1;
+
+    /**
+     * Limites par défaut
+     * - maxBytes   : taille totale des résultats chiffrés
+     * - maxEntries : nombre de résultats
+     */
+    static LIMITS = { maxBytes: 100 * 1024 * 1024, maxEntries: 2000 };
+
+    /**
+     * @param {Object} options
+     *   - indexedDB {IDBFactory} : stockage (null : cache désactivé, ex. sous Node)
+     *   - maxBytes {Number}, maxEntries {Number} : limites (voir LIMITS)
+     */
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB !== undefined ? options.indexedDB : globalThis.indexedDB ?? null;
+        this.maxBytes = options.maxBytes ?? OCRCache.LIMITS.maxBytes;
+        this.maxEntries = options.maxEntries ?? OCRCache.LIMITS.maxEntries;
+        this.keyPromise = null; // Clé de chiffrement, lue ou générée au premier accès
+    }
+
+    /**
+     * Le cache est-il utilisable ? (IndexedDB et WebCrypto disponibles)
+     */
+    get enabled() {
+        return Boolean(this.indexedDB && globalThis.crypto?.subtle);
+    }
+
+    /**
+     * Clé d'un résultat : empreinte des pixels de l'image et des paramètres de la lecture
+     * @param {String} kind - Nature du résultat ('text', 'orientation', 'language')
+     * @param {Object} image - Pixels lus : { width, height, data } (ImageData) ou Blob
+     * @param {Object} params - Langues et réglages OCR (sérialisés en JSON, ordre des clés compris)
+     * @returns {Promise<String>} - Empreinte SHA-256 hexadécimale
+     */
+    async key(kind, image, params = {}) {
+        // Les pixels sont hachés seuls (sans recopie d'un tampon de plusieurs dizaines de Mo),
+        // puis leur empreinte avec les paramètres
+        const pixels = await crypto.subtle.digest('SHA-256', image.data ?? await image.arrayBuffer());
+        const header = JSON.stringify([
+            OCRCache.VERSION, kind, params, image.width ?? null, image.height ?? null, toHex(pixels)
+        ]);
+
+        return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(header)));
+    }
+
+    /**
+     * Lit un résultat et le marque comme récemment utilisé
+     * @param {String} key
+     * @returns {Promise<Object|null>} - null si absent ou illisible (clé renouvelée, entrée altérée)
+     */
+    async get(key) {
+        const entry = await this._transaction([OCRCache.STORES.entries], 'readonly',
+            ({ entries }) => entries.get(key));
+        if (!entry) return null;
+
+        let value;
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: entry.iv, additionalData: new TextEncoder().encode(key) },
+                await this._getKey(),
+                entry.data
+            );
+            value = JSON.parse(new TextDecoder().decode(plaintext));
+        } catch {
+            await this.delete(key);
+            return null;
+        }
+
+        await this._transaction([OCRCache.STORES.index], 'readwrite',
+            ({ index }) => index.put({ key, size: entry.data.byteLength, lastAccess: Date.now() }));
+
+        return value;
+    }
+
+    /**
+     * Enregistre un résultat puis évince les plus anciens au-delà des limites
+     * @param {String} key
+     * @param {Object} value - Résultat sérialisable en JSON
+     */
+    async set(key, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        // La clé de l'entrée est authentifiée : un résultat déplacé sous une autre clé est rejeté
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(key) },
+            await this._getKey(),
+            new TextEncoder().encode(JSON.stringify(value))
+        );
+
+        // Un résultat plus grand que tout le cache n'est pas conservé
+        if (data.byteLength > this.maxBytes) return;
+
+        await this._transaction([OCRCache.STORES.entries, OCRCache.STORES.index], 'readwrite', ({ entries, index }) => {
+            entries.put({ iv, data }, key);
+            index.put({ key, size: data.byteLength, lastAccess: Date.now() });
+        });
+
+        await this._evict();
+    }
+
+    /**
+     * Retire un résultat
+     * @param {String} key
+     */
+    async delete(key) {
+        await this._transaction([OCRCache.STORES.entries, OCRCache.STORES.index], 'readwrite', ({ entries, index }) => {
+            entries.delete(key);
+            index.delete(key);
+        });
+    }
+
+    /**
+     * Vide le cache et détruit la clé de chiffrement (une nouvelle est générée au prochain usage)
+     */
+    async clear() {
+        this.keyPromise = null;
+        await this._transaction(Object.values(OCRCache.STORES), 'readwrite', (stores) => {
+            Object.values(stores).forEach(store => store.clear());
+        });
+    }
+
+    /**
+     * Occupation du cache
+     * @returns {Promise<Object>} - { entries, bytes, maxBytes, maxEntries }
+     */
+    async stats() {
+        const records = await this._transaction([OCRCache.STORES.index], 'readonly', ({ index }) => index.getAll());
+        return {
+            entries: records.length,
+            bytes: records.reduce((sum, record) => sum + record.size, 0),
+            maxBytes: this.maxBytes,
+            maxEntries: this.maxEntries
+        };
+    }
+
+    /**
+     * Évince les entrées les moins récemment lues jusqu'à respecter les limites
+     * @private
+     */
+    async _evict() {
+        const records = await this._transaction([OCRCache.STORES.index], 'readonly', ({ index }) => index.getAll());
+        records.sort((a, b) => a.lastAccess - b.lastAccess);
+
+        let bytes = records.reduce((sum, record) => sum + record.size, 0);
+        let count = records.length;
+        const evicted = [];
+
+        for (const record of records) {
+            if (bytes <= this.maxBytes && count <= this.maxEntries) break;
+            evicted.push(record.key);
+            bytes -= record.size;
+            count--;
+        }
+
+        if (evicted.length === 0) return;
+
+        await this._transaction([OCRCache.STORES.entries, OCRCache.STORES.index], 'readwrite', ({ entries, index }) => {
+            evicted.forEach((key) => {
+                entries.delete(key);
+                index.delete(key);
+            });
+        });
+    }
+
+    /**
+     * Clé AES-GCM du cache, générée au premier usage (non exportable)
+     * @private
+     */
+    _getKey() {
+        this.keyPromise ??= (async () => {
+            const stored = await this._transaction([OCRCache.STORES.keys], 'readonly', ({ keys }) => keys.get('aes'));
+            if (stored) return stored;
+
+            const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+            await this._transaction([OCRCache.STORES.keys], 'readwrite', ({ keys }) => keys.put(key, 'aes'));
+            return key;
+        })().catch((error) => {
+            this.keyPromise = null;
+            throw error;
+        });
+
+        return this.keyPromise;
+    }
+
+    /**
+     * Exécute des requêtes dans une transaction (base et magasins créés s'ils n'existent pas)
+     * Aucune opération asynchrone (chiffrement) ne doit avoir lieu pendant la transaction
+     * @private
+     * @param {Array<String>} storeNames
+     * @param {String} mode
+     * @param {Function} operation - (stores par nom) => requête dont le résultat est retourné
+     */
+    async _transaction(storeNames, mode, operation) {
+        if (!this.enabled) throw new Error('IndexedDB indisponible : cache OCR désactivé');
+
+        const db = await new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(OCRCache.DATABASE);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                Object.values(OCRCache.STORES)
+                    .filter(name => !database.objectStoreNames.contains(name))
+                    .forEach(name => database.createObjectStore(name, name === OCRCache.STORES.index ? { keyPath: 'key' } : undefined));
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        try {
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeNames, mode);
+                const stores = Object.fromEntries(Object.entries(OCRCache.STORES)
+                    .filter(([, name]) => storeNames.includes(name))
+                    .map(([alias, name]) => [alias, transaction.objectStore(name)]));
+                const request = operation(stores);
+                transaction.oncomplete = () => resolve(request?.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+}
+
+/**
+ * Empreinte en hexadécimal
+ * @private
+ */
+function toHex(digest) {
+    return Array.from(new Uint8Array(digest))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
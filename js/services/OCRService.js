@@ -2,59 +2,275 @@
  * OCRService.js
  * Service dédié à l'extraction de texte via Tesseract.js
  * Gère la reconnaissance optique de caractères avec support multilingue
- * Note: Tesseract.js doit être chargé via CDN dans le HTML
+ * Note: dans le navigateur, Tesseract.js est chargé par une balise <script> (copie locale, voir BrowserPlatform)
  */
 
+import { BrowserPlatform } from '../platform/BrowserPlatform.js';
+import { LanguageManager } from './LanguageManager.js';
+import { OCRWorkerPool } from './OCRWorkerPool.js';
+
 export class OCRService {
+    /**
+     * Listes imbriquées d'un résultat Tesseract portant des coordonnées
+     */
+    static NESTED_KEYS = ['blocks', 'paragraphs', 'lines', 'words', 'symbols'];
+
+    /**
+     * Détection de l'orientation des pages (voir detectOrientation)
+     * - minConfidence      : confiance OSD minimale pour tourner la page
+     * - probeMaxDimension  : plus grand côté de la copie lue par la méthode de repli
+     * - uprightConfidence  : confiance OCR à partir de laquelle la page est considérée droite (repli)
+     * - margin             : avance de confiance exigée d'une autre orientation (repli)
+     */
+    static ORIENTATION = { minConfidence: 2, probeMaxDimension: 1600, uprightConfidence: 60, margin: 15 };
+
+    /**
+     * Rotations testées (degrés, sens horaire)
+     */
+    static ROTATIONS = [0, 90, 180, 270];
+
+    /**
+     * Découpage des très grandes images en tuiles (voir planTiles)
+     * - maxPixels : budget d'une reconnaissance, en pixels ; une image plus grande est découpée
+     * - overlap   : recouvrement entre tuiles voisines, en pixels (supérieur au mot le plus large)
+     */
+    static TILING = { maxPixels: 16_000_000, overlap: 300 };
+
+    /**
+     * Pool de workers Tesseract (voir OCRWorkerPool)
+     * - maxWorkers  : plafond de la taille par défaut (chaque worker garde ses modèles en mémoire)
+     * - idleTimeout : délai (ms) avant de terminer un worker inoccupé
+     */
+    static POOL = { maxWorkers: 4, idleTimeout: 30_000 };
+
+    /**
+     * Taille par défaut du pool : un worker par cœur, moins un pour l'interface et le pipeline
+     * @param {Number} hardwareConcurrency - Nombre de cœurs logiques
+     * @returns {Number}
+     */
+    static defaultPoolSize(hardwareConcurrency) {
+        return Math.max(1, Math.min(OCRService.POOL.maxWorkers, (hardwareConcurrency || 1) - 1));
+    }
+
+    /**
+     * Découpe une image en tuiles qui se recouvrent, chacune dans le budget de pixels
+     * Chaque tuile possède une zone propre (core) : les zones propres pavent l'image sans
+     * se recouvrir, la frontière passant au milieu de chaque recouvrement
+     * @param {Object} size - { width, height } de l'image
+     * @param {Object} tiling - { maxPixels, overlap }
+     * @returns {Array} - [{ x, y, width, height, core: { x0, y0, x1, y1 } }], une seule tuile si l'image tient dans le budget
+     */
+    static planTiles({ width, height }, { maxPixels, overlap = 0 }) {
+        if (width * height <= maxPixels) {
+            return [{ x: 0, y: 0, width, height, core: { x0: 0, y0: 0, x1: width, y1: height } }];
+        }
+
+        const side = Math.floor(Math.sqrt(maxPixels));
+
+        // Positions et zones propres le long d'un axe
+        const axis = (length) => {
+            const count = Math.max(1, Math.ceil((length - overlap) / (side - overlap)));
+            const size = Math.min(length, Math.ceil((length + (count - 1) * overlap) / count));
+            const starts = Array.from({ length: count }, (_, i) => Math.min(i * (size - overlap), length - size));
+
+            return starts.map((start, i) => ({
+                start,
+                size,
+                core0: i === 0 ? 0 : (start + starts[i - 1] + size) / 2,
+                core1: i === count - 1 ? length : (starts[i + 1] + start + size) / 2
+            }));
+        };
+
+        const columns = axis(width);
+        return axis(height).flatMap(row => columns.map(column => ({
+            x: column.start,
+            y: row.start,
+            width: column.size,
+            height: row.size,
+            core: { x0: column.core0, y0: row.core0, x1: column.core1, y1: row.core1 }
+        })));
+    }
+
+    /**
+     * Position de chaque mot dans le texte reconnu : start et end, indices de caractères dans text
+     * (text.slice(start, end) === word.text). Les mots sont cherchés dans l'ordre du texte ;
+     * un mot introuvable (texte modifié entre-temps) reçoit start et end null
+     * @param {String} text - Texte du résultat
+     * @param {Array} words - Mots, dans l'ordre de lecture
+     * @returns {Array} - Nouveaux mots (les originaux ne sont pas modifiés)
+     */
+    static alignWords(text, words) {
+        let cursor = 0;
+
+        return words.map(word => {
+            const start = word.text ? text.indexOf(word.text, cursor) : -1;
+            if (start === -1) return { ...word, start: null, end: null };
+
+            cursor = start + word.text.length;
+            return { ...word, start, end: cursor };
+        });
+    }
+
+    /**
+     * Reporte les coordonnées d'un résultat OCR dans un autre repère
+     * (ex: copie prétraitée → canvas d'origine). Chaque bbox devient le rectangle englobant
+     * de ses quatre coins transformés, borné aux dimensions de l'image d'origine
+     * @param {Object} result - Résultat de extractText()
+     * @param {Function} mapPoint - (x, y) => { x, y }
+     * @param {Object} bounds - { width, height } de l'image d'origine
+     * @returns {Object} - Nouveau résultat (l'original n'est pas modifié)
+     */
+    static mapCoordinates(result, mapPoint, { width, height }) {
+        const clamp = (value, max) => Math.min(max, Math.max(0, value));
+
+        const mapBox = ({ x0, y0, x1, y1 }) => {
+            const corners = [mapPoint(x0, y0), mapPoint(x1, y0), mapPoint(x0, y1), mapPoint(x1, y1)];
+            const xs = corners.map(p => p.x);
+            const ys = corners.map(p => p.y);
+
+            // Arrondi vers l'extérieur : la zone caviardée couvre au moins le mot reconnu
+            return {
+                x0: clamp(Math.floor(Math.min(...xs)), width),
+                y0: clamp(Math.floor(Math.min(...ys)), height),
+                x1: clamp(Math.ceil(Math.max(...xs)), width),
+                y1: clamp(Math.ceil(Math.max(...ys)), height)
+            };
+        };
+
+        // Seules les listes enfants sont parcourues (les mots Tesseract référencent aussi leur ligne)
+        const mapNode = (node) => {
+            const mapped = { ...node };
+
+            if (node.bbox) mapped.bbox = mapBox(node.bbox);
+            if (node.baseline) {
+                const start = mapPoint(node.baseline.x0, node.baseline.y0);
+                const end = mapPoint(node.baseline.x1, node.baseline.y1);
+                mapped.baseline = { ...node.baseline, x0: start.x, y0: start.y, x1: end.x, y1: end.y };
+            }
+
+            OCRService.NESTED_KEYS.forEach(key => {
+                if (Array.isArray(node[key])) mapped[key] = node[key].map(mapNode);
+            });
+
+            return mapped;
+        };
+
+        return mapNode(result);
+    }
+
+    /**
+     * @param {Object} options
+     *   - language {String} : langues Tesseract ('fra+eng' par défaut)
+     *   - workerOptions {Object} : options de createWorker (langPath, cachePath, gzip...),
+     *     un langPath local permet de fonctionner hors ligne
+     *   - platform {Object} : plateforme d'exécution (navigateur par défaut)
+     *   - poolSize {Number} : nombre maximal de workers Tesseract (selon les cœurs du poste par défaut)
+     *   - idleTimeout {Number} : délai (ms) avant de terminer un worker inoccupé, 0 : jamais
+     *   - cache {OCRCache} : cache des résultats (aucun par défaut)
+     */
     constructor(options = {}) {
-        this.language = options.language || 'fra+eng'; // Français + Anglais par défaut
-        this.worker = null;
-        this.isInitialized = false;
+        this.language = options.language || LanguageManager.DEFAULT_LANGUAGE; // Français + Anglais par défaut
+        this.workerOptions = options.workerOptions || {};
+        this.platform = options.platform || new BrowserPlatform();
+        this.pool = new OCRWorkerPool({
+            size: options.poolSize || OCRService.defaultPoolSize(this.platform.hardwareConcurrency),
+            idleTimeout: options.idleTimeout ?? OCRService.POOL.idleTimeout,
+            createWorker: language => this._createWorker(language)
+        });
+        this.osdPromise = null;    // Worker de détection d'orientation (résolu à null si indisponible)
+        this.cache = options.cache || null;
     }
 
     /**
-     * Initialise le worker Tesseract
+     * Initialise le worker Tesseract d'une langue
      * Télécharge les modèles de langue si nécessaire
+     * @param {Function} onProgress
+     * @param {String} language - Langues Tesseract (langue par défaut du service sinon)
      */
-    async initialize(onProgress) {
-        if (this.isInitialized) return;
+    async initialize(onProgress, language = this.language) {
+        // Un échec n'est pas mémorisé : le prochain appel retente (pack importé entre-temps)
+        await this.pool.prepare(language);
+    }
 
+    /**
+     * Crée le worker Tesseract
+     * Les modèles sont chargés après la création du worker : si createWorker() les chargeait,
+     * un pack introuvable laisserait sa promesse en suspens sans pouvoir terminer le worker
+     * @private
+     */
+    async _createWorker(language) {
         try {
-            // Tesseract v5: les workers sont pré-initialisés avec la langue
-            this.worker = await Tesseract.createWorker(this.language);
-            this.isInitialized = true;
+            const Tesseract = this.platform.Tesseract;
+            if (!Tesseract) throw new Error('Tesseract.js n\'est pas chargé');
+
+            const oem = Tesseract.OEM?.LSTM_ONLY ?? 1;
+            const worker = await Tesseract.createWorker([], oem, {
+                ...this.platform.ocrOptions,
+                ...this.workerOptions,
+                errorHandler: () => {} // L'échec est remonté par reinitialize()
+            });
+
+            try {
+                await worker.reinitialize(language, oem);
+            } catch (error) {
+                await worker.terminate().catch(() => {});
+                throw error;
+            }
+
+            return worker;
         } catch (error) {
-            throw new Error(`Échec d'initialisation OCR: ${error.message}`);
+            throw new Error(`Échec d'initialisation OCR: ${error?.message || error}`);
         }
     }
 
     /**
      * Extrait le texte et les coordonnées des mots depuis une image
-     * @param {File|Blob|ImageData} imageSource - Source de l'image
+     * @param {File|Blob|ImageData|HTMLCanvasElement} imageSource - Source de l'image
      * @param {Function} onProgress - Callback de progression
-     * @returns {Object} - { text, words[], confidence, blocks[] }
+     * @param {Object} options
+     *   - signal {AbortSignal} : interrompt la reconnaissance
+     *   - tiling {Object} : { maxPixels, overlap }, un canvas plus grand que le budget est lu par tuiles
+     *   - language {String} : langues Tesseract de cette lecture (langue par défaut du service sinon)
+     *   - owner {*} : propriétaire de la lecture (ex: identifiant du job), les lectures en attente
+     *     d'un worker sont servies à tour de rôle entre propriétaires
+     * @returns {Object} - { text, words[], confidence, lines[], blocks[] }, chaque mot portant sa position
+     *   dans text (voir alignWords) (+ tiles si l'image a été découpée,
+     *   cached si le résultat vient du cache : ses blocs Tesseract ne sont pas conservés, blocks vide)
      */
-    async extractText(imageSource, onProgress) {
-        if (!this.isInitialized) {
-            await this.initialize(onProgress);
+    async extractText(imageSource, onProgress, options = {}) {
+        const { signal, tiling = null, language = this.language, owner = null } = options;
+
+        signal?.throwIfAborted();
+
+        // Un résultat en cache évite aussi la création du worker
+        const cached = await this._cacheLookup('text', imageSource, { language, tiling }, signal);
+        if (cached.value) {
+            onProgress?.({ step: 'ocr_complete', status: 'completed', progress: 1 });
+            return { ...cached.value, cached: true };
         }
 
+        await this.initialize(onProgress, language);
+
+        signal?.throwIfAborted();
+
         try {
+            // Seuls les canvas (dimensions connues) peuvent être découpés
+            const tiles = tiling && imageSource.width ? OCRService.planTiles(imageSource, tiling) : null;
+            if (tiles?.length > 1) {
+                const result = await this._extractTiles(imageSource, tiles, onProgress, { signal, language, owner });
+                await this._cacheStore(cached.key, result);
+                return result;
+            }
+
             // Lancement de la reconnaissance OCR
-            const { data } = await this.worker.recognize(imageSource, {
-                rectangle: undefined // Traite l'image entière
-            });
+            const input = await this.platform.toOCRInput(imageSource);
+            const { data } = await this._recognize(input, { signal, language, owner });
 
             // Structure les données pour faciliter l'exploitation
             const result = {
                 text: data.text,
                 confidence: data.confidence,
-                words: data.words.map(word => ({
-                    text: word.text,
-                    confidence: word.confidence,
-                    bbox: word.bbox, // { x0, y0, x1, y1 }
-                    baseline: word.baseline
-                })),
+                words: OCRService.alignWords(data.text, data.words.map(OCRService._word)),
                 lines: data.lines.map(line => ({
                     text: line.text,
                     confidence: line.confidence,
@@ -64,6 +280,13 @@ export class OCRService {
                 blocks: data.blocks
             };
 
+            // Version sérialisable : mots des lignes sans références vers leur ligne, sans blocs
+            await this._cacheStore(cached.key, {
+                ...result,
+                lines: result.lines.map(line => ({ ...line, words: line.words.map(OCRService._word) })),
+                blocks: []
+            });
+
             if (onProgress) {
                 onProgress({
                     step: 'ocr_complete',
@@ -74,6 +297,9 @@ export class OCRService {
 
             return result;
         } catch (error) {
+            // Une annulation n'est pas une erreur OCR : on la propage telle quelle
+            if (signal?.aborted) throw signal.reason;
+
             const errorMsg = error?.message || error?.toString() || 'Erreur inconnue';
             console.error('OCR Error:', error);
             throw new Error(`Échec de l'extraction OCR: ${errorMsg}`);
@@ -81,29 +307,498 @@ export class OCRService {
     }
 
     /**
-     * Change la langue de reconnaissance
-     * Nécessite une réinitialisation du worker
+     * Mot d'un résultat Tesseract, sans les références vers sa ligne et son bloc
+     * @private
+     */
+    static _word(word) {
+        return {
+            text: word.text,
+            confidence: word.confidence,
+            bbox: word.bbox, // { x0, y0, x1, y1 }
+            baseline: word.baseline
+        };
+    }
+
+    /**
+     * Reconnaissance tuile par tuile d'une très grande image
+     * Les tuiles sont lues en parallèle par les workers libres du pool ; chacune n'est découpée
+     * qu'une fois son worker attribué (au plus une tuile en mémoire par worker). Chaque mot est
+     * attribué à la tuile dont la zone propre contient son centre ; les lectures d'un même mot
+     * par deux tuiles sont fusionnées et les lignes coupées entre deux colonnes de tuiles
+     * recousues. Les blocs Tesseract ne sont pas reconstitués (blocks vide)
+     * @private
+     */
+    async _extractTiles(source, tiles, onProgress, { signal, language, owner }) {
+        let done = 0;
+
+        const tileLines = await Promise.all(tiles.map(async (tile, index) => {
+            const data = await this.pool.run(language, owner, async (worker) => {
+                const crop = this.platform.createCanvas(tile.width, tile.height);
+                crop.getContext('2d').drawImage(source, tile.x, tile.y, tile.width, tile.height, 0, 0, tile.width, tile.height);
+
+                try {
+                    return (await worker.recognize(await this.platform.toOCRInput(crop), { rectangle: undefined })).data;
+                } finally {
+                    crop.width = 0;
+                    crop.height = 0;
+                }
+            }, signal);
+
+            // Coordonnées de la tuile → image entière
+            const local = OCRService.mapCoordinates({
+                lines: data.lines.map(line => ({ bbox: line.bbox, words: line.words.map(OCRService._word) }))
+            }, (x, y) => ({ x: x + tile.x, y: y + tile.y }), source);
+
+            if (onProgress) {
+                done++;
+                onProgress({
+                    step: 'ocr_tile',
+                    status: 'recognizing text',
+                    progress: done / tiles.length,
+                    tile: done,
+                    tileCount: tiles.length
+                });
+            }
+
+            return local.lines
+                .map(line => line.words
+                    .filter(word => word.text.trim() && OCRService._contains(tile.core, word.bbox))
+                    .map(word => ({ ...word, tile: index })))
+                .filter(words => words.length > 0)
+                .map(OCRService._line);
+        }));
+
+        // Lignes dans l'ordre des tuiles, quel que soit l'ordre de fin des lectures ;
+        // l'indice de tuile ne sert qu'à la fusion
+        const merged = OCRService._joinLines(OCRService._mergeFragments(tileLines.flat(), tiles))
+            .map(line => ({ ...line, words: line.words.map(({ tile, ...word }) => word) }));
+        const text = merged.map(line => line.text).join('\n');
+        const words = OCRService.alignWords(text, merged.flatMap(line => line.words));
+
+        return {
+            text,
+            confidence: words.length ? words.reduce((sum, word) => sum + word.confidence, 0) / words.length : 0,
+            words,
+            lines: merged,
+            blocks: [],
+            tiles: tiles.length
+        };
+    }
+
+    /**
+     * Le centre d'une bbox est-il dans la zone ?
+     * @private
+     */
+    static _contains(zone, { x0, y0, x1, y1 }) {
+        const cx = (x0 + x1) / 2;
+        const cy = (y0 + y1) / 2;
+        return cx >= zone.x0 && cx < zone.x1 && cy >= zone.y0 && cy < zone.y1;
+    }
+
+    /**
+     * Ligne reconstituée à partir de ses mots (texte, bbox englobante, confiance moyenne)
+     * @private
+     */
+    static _line(words) {
+        return {
+            text: words.map(word => word.text).join(' '),
+            confidence: words.reduce((sum, word) => sum + word.confidence, 0) / words.length,
+            bbox: {
+                x0: Math.min(...words.map(word => word.bbox.x0)),
+                y0: Math.min(...words.map(word => word.bbox.y0)),
+                x1: Math.max(...words.map(word => word.bbox.x1)),
+                y1: Math.max(...words.map(word => word.bbox.y1))
+            },
+            words
+        };
+    }
+
+    /**
+     * Fusionne les lectures d'un même mot par deux tuiles voisines : fragment coupé au bord
+     * d'une tuile, ou mot plus large que le recouvrement, coupé dans les deux. Les deux mots
+     * se recouvrent pour plus de moitié ; le plus grand reçoit la bbox englobante et, pour
+     * une coupe verticale, le texte recousu sur la partie commune ("john.smith@exa" +
+     * "smith@example.com"). Seuls les mots qui débordent de la zone propre de leur tuile
+     * sont comparés
+     * @private
+     */
+    static _mergeFragments(lines, tiles) {
+        const area = ({ x0, y0, x1, y1 }) => Math.max(0, x1 - x0) * Math.max(0, y1 - y0);
+        const intersection = (a, b) => area({
+            x0: Math.max(a.x0, b.x0), y0: Math.max(a.y0, b.y0),
+            x1: Math.min(a.x1, b.x1), y1: Math.min(a.y1, b.y1)
+        });
+
+        const edgeWords = lines.flatMap(line => line.words).filter(({ bbox, tile }) => {
+            const { core } = tiles[tile];
+            return bbox.x0 < core.x0 || bbox.y0 < core.y0 || bbox.x1 > core.x1 || bbox.y1 > core.y1;
+        });
+
+        const dropped = new Set();
+        edgeWords.forEach((word, i) => {
+            edgeWords.slice(i + 1).forEach(other => {
+                if (dropped.has(word) || dropped.has(other) || other.tile === word.tile) return;
+
+                const smaller = Math.min(area(word.bbox), area(other.bbox));
+                if (intersection(word.bbox, other.bbox) <= smaller / 2) return;
+
+                const [kept, fragment] = area(word.bbox) >= area(other.bbox) ? [word, other] : [other, word];
+                const [left, right] = word.bbox.x0 <= other.bbox.x0 ? [word, other] : [other, word];
+                const sameRow = tiles[word.tile].y === tiles[other.tile].y;
+
+                kept.text = (sameRow && OCRService._stitch(left.text, right.text)) || kept.text;
+                kept.bbox = {
+                    x0: Math.min(word.bbox.x0, other.bbox.x0),
+                    y0: Math.min(word.bbox.y0, other.bbox.y0),
+                    x1: Math.max(word.bbox.x1, other.bbox.x1),
+                    y1: Math.max(word.bbox.y1, other.bbox.y1)
+                };
+                dropped.add(fragment);
+            });
+        });
+
+        // Lignes recalculées : bbox et texte des mots fusionnés ont changé
+        return lines
+            .map(line => line.words.filter(word => !dropped.has(word)))
+            .filter(words => words.length > 0)
+            .map(OCRService._line);
+    }
+
+    /**
+     * Recoud deux lectures d'un mot coupé : la fin de la première recouvre le début de la
+     * seconde (au moins 3 caractères). Jusqu'à 2 caractères illisibles au bord de coupe
+     * sont ignorés de chaque côté
+     * @private
+     * @returns {String|null} - null si aucune partie commune
+     */
+    static _stitch(left, right) {
+        for (let trimLeft = 0; trimLeft <= 2; trimLeft++) {
+            for (let trimRight = 0; trimRight <= 2; trimRight++) {
+                const head = left.slice(0, left.length - trimLeft);
+                const tail = right.slice(trimRight);
+
+                for (let k = Math.min(head.length, tail.length); k >= 3; k--) {
+                    if (head.endsWith(tail.slice(0, k))) return head + tail.slice(k);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Recoud les lignes coupées par une frontière verticale de tuiles : une ligne d'une autre
+     * tuile, à la même hauteur et qui commence juste après, est ajoutée à la suite
+     * @private
+     */
+    static _joinLines(lines) {
+        const result = [];
+        const consumed = new Set();
+
+        lines.forEach(line => {
+            if (consumed.has(line)) return;
+            consumed.add(line);
+
+            let current = line;
+            let next;
+            do {
+                const { bbox, words } = current;
+                const height = bbox.y1 - bbox.y0;
+                const lastTile = words[words.length - 1].tile;
+
+                next = lines.find(other =>
+                    !consumed.has(other) && other.words[0].tile !== lastTile
+                    && Math.min(bbox.y1, other.bbox.y1) - Math.max(bbox.y0, other.bbox.y0)
+                        > Math.min(height, other.bbox.y1 - other.bbox.y0) / 2
+                    && other.bbox.x0 >= bbox.x1 - height && other.bbox.x0 - bbox.x1 < height * 2
+                );
+
+                if (next) {
+                    consumed.add(next);
+                    current = OCRService._line([...words, ...next.words]);
+                }
+            } while (next);
+
+            result.push(current);
+        });
+
+        return result;
+    }
+
+    /**
+     * Détecte l'orientation et l'écriture d'une page avant l'OCR
+     * Utilise l'OSD de Tesseract (modèle osd.traineddata, moteur legacy) ; si ce modèle est
+     * introuvable (langPath local sans osd, hors ligne), la page est lue en miniature dans
+     * chaque orientation et la meilleure confiance l'emporte
+     * @param {HTMLCanvasElement} canvas - Page à analyser
+     * @param {Object} options
+     *   - signal {AbortSignal} : interrompt la détection
+     *   - maxPixels {Number} : budget de pixels, une page plus grande est lue en copie réduite
+     *   - language {String} : langues de la lecture de repli (langue par défaut du service sinon)
+     *   - owner {*} : propriétaire des lectures de repli (voir extractText)
+     * @returns {Object} - { angle, confidence, script, scriptConfidence, method }
+     *   angle : rotation horaire (0, 90, 180, 270) qui redresse la page ; confidence : échelle
+     *   de l'OSD (méthode 'osd') ou confiance OCR 0-100 (méthode 'confidence')
+     */
+    async detectOrientation(canvas, options = {}) {
+        const { signal, maxPixels = null, language = this.language, owner = null } = options;
+        signal?.throwIfAborted();
+
+        const cached = await this._cacheLookup('orientation', canvas, { language, maxPixels }, signal);
+        if (cached.value) return cached.value;
+
+        const orientation = await this._detectOrientation(canvas, { signal, maxPixels, language, owner });
+        await this._cacheStore(cached.key, orientation);
+        return orientation;
+    }
+
+    /**
+     * Détection d'orientation, sans cache (voir detectOrientation)
+     * @private
+     */
+    async _detectOrientation(canvas, { signal, maxPixels, language, owner }) {
+        const worker = await this._getOsdWorker();
+        signal?.throwIfAborted();
+
+        if (worker) {
+            const pixels = canvas.width * canvas.height;
+            const input = maxPixels && pixels > maxPixels
+                ? this._probeCanvas(canvas, 0, Math.sqrt(maxPixels / pixels))
+                : canvas;
+
+            let data;
+            try {
+                ({ data } = await worker.detect(await this.platform.toOCRInput(input)));
+            } finally {
+                if (input !== canvas) {
+                    input.width = 0;
+                    input.height = 0;
+                }
+            }
+            signal?.throwIfAborted();
+
+            const confidence = data.orientation_confidence ?? 0;
+            const angle = confidence >= OCRService.ORIENTATION.minConfidence ? data.orientation_degrees ?? 0 : 0;
+
+            return {
+                angle,
+                confidence,
+                script: data.script ?? null,
+                scriptConfidence: data.script_confidence ?? null,
+                method: 'osd'
+            };
+        }
+
+        return this._probeOrientation(canvas, { signal, language, owner });
+    }
+
+    /**
+     * Worker OSD, créé au premier appel ; null si le modèle ou le moteur legacy manque
+     * Le modèle est chargé après la création du worker : si createWorker() le chargeait,
+     * un fichier introuvable laisserait sa promesse en suspens sans pouvoir terminer le worker
+     * @private
+     */
+    _getOsdWorker() {
+        this.osdPromise ??= (async () => {
+            const Tesseract = this.platform.Tesseract;
+            if (!Tesseract) throw new Error('Tesseract.js n\'est pas chargé');
+
+            const oem = Tesseract.OEM?.TESSERACT_ONLY ?? 0;
+            const worker = await Tesseract.createWorker([], oem, {
+                ...this.platform.ocrOptions,
+                ...this.workerOptions,
+                legacyCore: true,
+                legacyLang: true,
+                errorHandler: () => {} // L'échec est remonté par reinitialize()
+            });
+
+            try {
+                await worker.reinitialize('osd', oem);
+            } catch (error) {
+                await worker.terminate().catch(() => {});
+                throw error;
+            }
+
+            return worker;
+        })().catch((error) => {
+            console.warn('OSD indisponible, détection d\'orientation par confiance OCR:', error?.message || error);
+            return null;
+        });
+
+        return this.osdPromise;
+    }
+
+    /**
+     * Détection de repli : lit une miniature de la page dans chaque orientation
+     * Une page lue avec une bonne confiance telle quelle n'est pas tournée (une seule lecture) ;
+     * sinon les trois autres orientations sont lues en parallèle par le pool
+     * @private
+     */
+    async _probeOrientation(canvas, { signal, language, owner }) {
+        const { probeMaxDimension, uprightConfidence, margin } = OCRService.ORIENTATION;
+        const scale = Math.min(1, probeMaxDimension / Math.max(canvas.width, canvas.height));
+
+        const probe = async (angle) => {
+            const copy = this._probeCanvas(canvas, angle, scale);
+            try {
+                const { data } = await this._recognize(await this.platform.toOCRInput(copy), { signal, language, owner });
+                return { angle, confidence: data.confidence };
+            } finally {
+                copy.width = 0;
+                copy.height = 0;
+            }
+        };
+
+        const scores = [await probe(0)];
+        if (scores[0].confidence < uprightConfidence) {
+            scores.push(...await Promise.all(OCRService.ROTATIONS.slice(1).map(probe)));
+        }
+
+        const best = scores.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+        const angle = best.confidence - scores[0].confidence >= margin ? best.angle : 0;
+
+        return {
+            angle,
+            confidence: scores.find(score => score.angle === angle).confidence,
+            script: null,
+            scriptConfidence: null,
+            method: 'confidence'
+        };
+    }
+
+    /**
+     * Identifie la langue d'une page par une première lecture rapide
+     * La miniature est lue une fois (langues par défaut, alphabet latin), puis
+     * la langue est choisie d'après les mots outils reconnus
+     * @param {HTMLCanvasElement} canvas - Page à analyser
+     * @param {Object} options
+     *   - signal {AbortSignal} : interrompt la détection
+     *   - candidates {Array<String>} : codes autorisés (packs disponibles)
+     *   - language {String} : langues de la première lecture (langue par défaut du service sinon)
+     *   - owner {*} : propriétaire de la lecture (voir extractText)
+     * @returns {Object} - { language, matches } ; language null si aucune langue ne se détache
+     */
+    async detectLanguage(canvas, options = {}) {
+        const { signal, candidates, language = this.language, owner = null } = options;
+        signal?.throwIfAborted();
+
+        const cached = await this._cacheLookup('language', canvas, { language, candidates }, signal);
+        if (cached.value) return cached.value;
+
+        const scale = Math.min(1, OCRService.ORIENTATION.probeMaxDimension / Math.max(canvas.width, canvas.height));
+        const probe = this._probeCanvas(canvas, 0, scale);
+
+        let data;
+        try {
+            ({ data } = await this._recognize(await this.platform.toOCRInput(probe), { signal, language, owner }));
+        } finally {
+            probe.width = 0;
+            probe.height = 0;
+        }
+
+        const detected = LanguageManager.identify(data.text, candidates);
+        await this._cacheStore(cached.key, detected);
+        return detected;
+    }
+
+    /**
+     * Cherche un résultat dans le cache OCR
+     * Le cache ne fait jamais échouer une lecture : une erreur (IndexedDB indisponible,
+     * quota dépassé) désactive simplement la recherche
+     * @private
+     * @param {String} kind - Nature du résultat ('text', 'orientation', 'language')
+     * @param {HTMLCanvasElement|ImageData|Blob} source - Image lue
+     * @param {Object} params - Paramètres dont dépend le résultat
+     * @returns {Promise<Object>} - { key, value } ; key null sans cache, value null si absent
+     */
+    async _cacheLookup(kind, source, params, signal) {
+        if (!this.cache?.enabled) return { key: null, value: null };
+
+        try {
+            // Un canvas est identifié par ses pixels, une image encodée par ses octets
+            const image = source.getContext
+                ? source.getContext('2d').getImageData(0, 0, source.width, source.height)
+                : source;
+            const key = await this.cache.key(kind, image, params);
+            signal?.throwIfAborted();
+
+            return { key, value: await this.cache.get(key) };
+        } catch (error) {
+            if (signal?.aborted) throw signal.reason;
+            console.warn('Cache OCR indisponible:', error?.message || error);
+            return { key: null, value: null };
+        }
+    }
+
+    /**
+     * Enregistre un résultat dans le cache OCR (erreurs ignorées, voir _cacheLookup)
+     * @private
+     */
+    async _cacheStore(key, value) {
+        if (!key) return;
+
+        try {
+            await this.cache.set(key, value);
+        } catch (error) {
+            console.warn('Cache OCR indisponible:', error?.message || error);
+        }
+    }
+
+    /**
+     * Miniature d'une page, tournée dans le sens horaire
+     * @private
+     */
+    _probeCanvas(source, angle, scale) {
+        const width = Math.max(1, Math.round(source.width * scale));
+        const height = Math.max(1, Math.round(source.height * scale));
+        const swap = angle === 90 || angle === 270;
+        const canvas = this.platform.createCanvas(swap ? height : width, swap ? width : height);
+        const ctx = canvas.getContext('2d');
+
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.rotate(angle * Math.PI / 180);
+        ctx.drawImage(source, -width / 2, -height / 2, width, height);
+
+        return canvas;
+    }
+
+    /**
+     * Lance la reconnaissance sur un worker du pool, interruptible via un AbortSignal
+     * Tesseract ne sait pas interrompre un job en cours : le worker qui l'exécute est
+     * terminé, le pool en recrée un au besoin
+     * @private
+     */
+    _recognize(imageSource, { signal = null, language = this.language, owner = null } = {}) {
+        return this.pool.run(language, owner, worker => worker.recognize(imageSource, {
+            rectangle: undefined // Traite l'image entière
+        }), signal);
+    }
+
+    /**
+     * Change la langue par défaut
+     * Les workers inoccupés des autres langues sont libérés (un modèle pèse plusieurs Mo)
+     * @param {String} language - Langues Tesseract ('deu', 'fra+eng')
      */
     async setLanguage(language) {
         if (this.language === language) return;
 
         this.language = language;
-        this.isInitialized = false;
-
-        if (this.worker) {
-            await this.worker.terminate();
-            this.worker = null;
-        }
+        await this.pool.retireIdle(language);
     }
 
     /**
      * Libère les ressources (important pour éviter les fuites mémoire)
      */
     async terminate() {
-        if (this.worker) {
-            await this.worker.terminate();
-            this.worker = null;
-            this.isInitialized = false;
+        // Le worker OSD ne dépend pas de la langue : il n'est libéré qu'ici
+        if (this.osdPromise) {
+            const osd = this.osdPromise;
+            this.osdPromise = null;
+            await osd.then(worker => worker?.terminate());
         }
+
+        await this.pool.terminate();
     }
 }
@@ -0,0 +1,280 @@
+/**
+ * OCRWorkerPool.js
+ * Pool de workers Tesseract partagé par toutes les reconnaissances d'un OCRService
+ * - taille bornée (nombre de cœurs du poste par défaut), un job à la fois par worker
+ * - file d'attente par propriétaire (un job de traitement) servie à tour de rôle : un document
+ *   de cent pages ne bloque pas les fichiers traités en parallèle
+ * - un worker est lié à une langue ; un worker inoccupé d'une autre langue est remplacé
+ *   quand le pool est plein
+ * - un worker inoccupé depuis idleTimeout est terminé : le pool se réduit entre deux traitements
+ */
+
+export class OCRWorkerPool {
+    /**
+     * Propriétaire des jobs soumis sans propriétaire
+     */
+    static SHARED = Symbol('shared');
+
+    /**
+     * @param {Object} options
+     *   - size {Number} : nombre maximal de workers
+     *   - idleTimeout {Number} : délai (ms) avant de terminer un worker inoccupé, 0 : jamais
+     *   - createWorker {Function} : (language) => Promise<worker>
+     */
+    constructor({ size, idleTimeout, createWorker }) {
+        this.size = size;
+        this.idleTimeout = idleTimeout;
+        this.createWorker = createWorker;
+        this.slots = new Set();  // { language, ready, busy, job, idleTimer }
+        this.queues = new Map(); // Propriétaire → tâches en attente, dans l'ordre d'arrivée
+    }
+
+    /**
+     * Nombre de workers existants (en cours de création compris)
+     */
+    get workerCount() {
+        return this.slots.size;
+    }
+
+    /**
+     * Nombre de tâches en attente d'un worker
+     */
+    get pendingCount() {
+        return [...this.queues.values()].reduce((sum, queue) => sum + queue.length, 0);
+    }
+
+    /**
+     * Garantit qu'un worker de la langue est prêt (les modèles sont chargés)
+     * Réutilise un worker existant, sinon en crée un, au besoin à la place d'un worker
+     * inoccupé d'une autre langue ; si tous sont occupés, la création attendra la première tâche
+     * @param {String} language
+     */
+    async prepare(language) {
+        const existing = [...this.slots].find(slot => slot.language === language);
+        if (existing) {
+            await existing.ready;
+            return;
+        }
+
+        if (this.slots.size >= this.size) {
+            const other = [...this.slots].find(slot => !slot.busy);
+            if (!other) return;
+            this._discard(other);
+        }
+
+        const slot = this._createSlot(language);
+        try {
+            await slot.ready;
+            if (this.slots.has(slot)) this._release(slot);
+        } finally {
+            this._dispatch(); // Des tâches ont pu attendre cet emplacement
+        }
+    }
+
+    /**
+     * Exécute une tâche sur un worker de la langue, dès qu'il y en a un de libre
+     * Tesseract ne sait pas interrompre un job en cours : à l'annulation, le worker qui
+     * l'exécute est terminé et remplacé par la suite, et la tâche est réglée sans attendre
+     * son job (il ne le serait jamais) ; une tâche en attente est retirée de la file
+     * @param {String} language - Langues Tesseract du worker
+     * @param {*} owner - Propriétaire de la tâche (file d'attente servie à tour de rôle)
+     * @param {Function} task - async (worker) => résultat
+     * @param {AbortSignal} signal
+     * @returns {Promise<*>} - Résultat de la tâche
+     */
+    run(language, owner, task, signal = null) {
+        signal?.throwIfAborted();
+
+        return new Promise((resolve, reject) => {
+            const job = { language, owner: owner ?? OCRWorkerPool.SHARED, task, signal, resolve, reject, slot: null };
+
+            job.onAbort = () => {
+                if (job.slot) {
+                    // Le worker occupé est abandonné, sa place est libérée pour la file
+                    job.stop?.(signal.reason);
+                    this._discard(job.slot);
+                    this._dispatch();
+                } else {
+                    this._dequeue(job);
+                }
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', job.onAbort, { once: true });
+
+            if (!this.queues.has(job.owner)) this.queues.set(job.owner, []);
+            this.queues.get(job.owner).push(job);
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Termine les workers inoccupés, sauf ceux de la langue indiquée
+     * @param {String} keepLanguage
+     */
+    async retireIdle(keepLanguage = null) {
+        const idle = [...this.slots].filter(slot => !slot.busy && slot.language !== keepLanguage);
+        await Promise.all(idle.map(slot => this._discard(slot)));
+    }
+
+    /**
+     * Termine tous les workers ; les tâches en attente ou en cours sont rejetées
+     * (un worker terminé ne rend jamais le résultat de son job)
+     */
+    async terminate() {
+        const pending = [...this.queues.values()].flat();
+        this.queues.clear();
+
+        const running = [...this.slots].map(slot => slot.job).filter(Boolean);
+        [...pending, ...running].forEach(job => {
+            const error = new Error('Pool OCR terminé');
+            job.signal?.removeEventListener('abort', job.onAbort);
+            job.stop?.(error);
+            job.reject(error);
+        });
+
+        await Promise.all([...this.slots].map(slot => this._discard(slot)));
+    }
+
+    /**
+     * Attribue des workers aux tâches en attente, un propriétaire après l'autre
+     * @private
+     */
+    _dispatch() {
+        let assigned = true;
+
+        while (assigned && this.queues.size > 0) {
+            assigned = false;
+
+            for (const [owner, queue] of [...this.queues]) {
+                const job = queue[0];
+                const slot = this._slotFor(job.language);
+                if (!slot) continue;
+
+                // Le propriétaire servi passe en fin de tour
+                queue.shift();
+                this.queues.delete(owner);
+                if (queue.length > 0) this.queues.set(owner, queue);
+
+                this._start(job, slot);
+                assigned = true;
+                break;
+            }
+        }
+    }
+
+    /**
+     * Worker disponible pour une langue : inoccupé de la même langue, sinon nouveau worker
+     * si le pool n'est pas plein, sinon remplacement d'un worker inoccupé d'une autre langue
+     * @private
+     * @returns {Object|null} - Emplacement réservé, null s'il faut attendre
+     */
+    _slotFor(language) {
+        const slots = [...this.slots];
+
+        const idle = slots.find(slot => !slot.busy && slot.language === language);
+        if (idle) return this._reserve(idle);
+
+        if (slots.length >= this.size) {
+            const other = slots.find(slot => !slot.busy);
+            if (!other) return null;
+            this._discard(other);
+        }
+
+        return this._reserve(this._createSlot(language));
+    }
+
+    /**
+     * Crée un emplacement et son worker
+     * Un échec de création retire l'emplacement : le prochain appel retente
+     * @private
+     */
+    _createSlot(language) {
+        const slot = { language, busy: true, job: null, idleTimer: null };
+
+        slot.ready = this.createWorker(language).catch((error) => {
+            this.slots.delete(slot);
+            throw error;
+        });
+
+        this.slots.add(slot);
+        return slot;
+    }
+
+    /**
+     * Marque un emplacement occupé
+     * @private
+     */
+    _reserve(slot) {
+        clearTimeout(slot.idleTimer);
+        slot.idleTimer = null;
+        slot.busy = true;
+        return slot;
+    }
+
+    /**
+     * Exécute une tâche sur l'emplacement réservé puis le rend au pool
+     * Un worker terminé ne règle jamais son job : job.stop() abandonne l'attente, sans quoi
+     * la tâche (et le canvas qu'elle retient) resterait en mémoire
+     * @private
+     */
+    async _start(job, slot) {
+        job.slot = slot;
+        slot.job = job;
+        const stopped = new Promise((resolve, reject) => { job.stop = reject; });
+
+        try {
+            const worker = await Promise.race([slot.ready, stopped]);
+            job.signal?.throwIfAborted();
+
+            const result = Promise.resolve(job.task(worker));
+            result.catch(() => {}); // Rejet tardif d'un job abandonné
+            job.resolve(await Promise.race([result, stopped]));
+        } catch (error) {
+            job.reject(error);
+        } finally {
+            job.signal?.removeEventListener('abort', job.onAbort);
+            job.stop = null;
+            slot.job = null;
+            if (this.slots.has(slot)) this._release(slot);
+            this._dispatch();
+        }
+    }
+
+    /**
+     * Rend un emplacement inoccupé et programme sa fin
+     * @private
+     */
+    _release(slot) {
+        slot.busy = false;
+
+        if (this.idleTimeout > 0) {
+            slot.idleTimer = setTimeout(() => this._discard(slot), this.idleTimeout);
+            slot.idleTimer.unref?.(); // Sous Node, un worker inoccupé ne retient pas le processus
+        }
+    }
+
+    /**
+     * Retire un emplacement du pool et termine son worker
+     * @private
+     */
+    async _discard(slot) {
+        clearTimeout(slot.idleTimer);
+        if (!this.slots.delete(slot)) return;
+
+        // Un worker encore en création est terminé dès qu'il est prêt
+        await slot.ready.then(worker => worker.terminate()).catch(() => {});
+    }
+
+    /**
+     * Retire une tâche de sa file d'attente
+     * @private
+     */
+    _dequeue(job) {
+        const queue = this.queues.get(job.owner);
+        if (!queue) return;
+
+        const index = queue.indexOf(job);
+        if (index !== -1) queue.splice(index, 1);
+        if (queue.length === 0) this.queues.delete(job.owner);
+    }
+}
@@ -0,0 +1,344 @@
+/**
+ * PolicyManager.js
+ * Profils de caviardage nommés : quels types d'entités masquer, et comment
+ * Un profil sélectionne les types d'entités (les autres sont conservés en clair) et fixe,
+ * globalement ou par type, le style, la marge autour des mots et le seuil de confiance OCR
+ * Le seuil ne retire jamais une zone : une détection moins sûre reste caviardée et
+ * est signalée à la relecture (lowConfidence)
+ * Les profils personnalisés sont stockés localement (localStorage) et s'échangent en JSON
+ */
+
+import { ImageService } from './ImageService.js';
+import { NLPProcessor } from './NLPProcessor.js';
+
+export class PolicyManager {
+    /**
+     * Version du format d'export JSON
+     */
+    static FORMAT_VERSION = 1;
+
+    /**
+     * Clé de stockage des profils personnalisés
+     */
+    static STORAGE_KEY = 'localseal_policies';
+
+    /**
+     * Profils intégrés (non modifiables)
+     */
+    static BUILT_IN = [
+        {
+            id: 'gdpr',
+            name: 'GDPR - personal data',
+            description: 'Hides everything that identifies a person: names, contacts, addresses, bank and social security numbers',
+            style: 'fill',
+            padding: 2,
+            minConfidence: 0,
+            entities: {
+                person: {}, place: {}, email: {}, phone: {}, postalCode: {},
+                iban: {}, creditCard: {}, secu: {}
+            }
+        },
+        {
+            id: 'invoice',
+            name: 'Invoices',
+            description: 'Hides bank details and contacts, keeps amounts, dates and invoice numbers',
+            style: 'label',
+            padding: 2,
+            minConfidence: 50,
+            entities: {
+                person: {}, email: {}, phone: {}, iban: {}, creditCard: {}
+            }
+        },
+        {
+            id: 'hr',
+            name: 'HR documents',
+            description: 'Hides identity, contacts, salaries and dates (payslips, contracts, reviews)',
+            style: 'fill',
+            padding: 2,
+            minConfidence: 0,
+            entities: {
+                person: {}, place: {}, email: {}, phone: {}, postalCode: {},
+                iban: {}, secu: {}, amount: {}, date: {}
+            }
+        },
+        {
+            id: 'medical',
+            name: 'Medical records',
+            description: 'Hides patient identity, care providers and dates, with a wider margin',
+            style: 'fill',
+            padding: 4,
+            minConfidence: 0,
+            entities: {
+                person: {}, place: {}, organization: {}, email: {}, phone: {}, postalCode: {},
+                secu: {}, date: {}, iban: {}
+            }
+        }
+    ];
+
+    /**
+     * @param {Storage} storage - Stockage des profils personnalisés (localStorage par défaut,
+     *                            null sous Node : seuls les profils intégrés sont disponibles)
+     */
+    constructor(storage = globalThis.localStorage ?? null) {
+        this.storage = storage;
+    }
+
+    /**
+     * Liste les profils disponibles (intégrés puis personnalisés)
+     * @returns {Array<Object>} - Profils, avec builtIn: true pour les profils intégrés
+     */
+    list() {
+        return [
+            ...PolicyManager.BUILT_IN.map(policy => ({ ...PolicyManager.validate(policy), builtIn: true })),
+            ...this._loadCustom()
+        ];
+    }
+
+    /**
+     * Retourne un profil par son identifiant
+     * @param {String} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.list().find(policy => policy.id === id) || null;
+    }
+
+    /**
+     * Enregistre (ou remplace) un profil personnalisé
+     * @param {Object} policy
+     * @returns {Object} - Profil validé
+     */
+    save(policy) {
+        const validated = PolicyManager.validate(policy);
+
+        if (PolicyManager.BUILT_IN.some(p => p.id === validated.id)) {
+            throw new Error(`Le profil "${validated.id}" est un profil intégré et ne peut pas être modifié`);
+        }
+
+        const custom = this._loadCustom().filter(p => p.id !== validated.id);
+        custom.push(validated);
+        this._storeCustom(custom);
+
+        return validated;
+    }
+
+    /**
+     * Supprime un profil personnalisé
+     * @param {String} id
+     */
+    remove(id) {
+        if (PolicyManager.BUILT_IN.some(p => p.id === id)) {
+            throw new Error(`Le profil "${id}" est un profil intégré et ne peut pas être supprimé`);
+        }
+
+        this._storeCustom(this._loadCustom().filter(p => p.id !== id));
+    }
+
+    /**
+     * Exporte un profil au format JSON (à partager avec l'équipe)
+     * @param {String|Object} policy - Identifiant ou profil
+     * @returns {File}
+     */
+    exportAsJSON(policy) {
+        const validated = PolicyManager.validate(typeof policy === 'string' ? this.get(policy) : policy);
+        const json = JSON.stringify({ format: PolicyManager.FORMAT_VERSION, ...validated }, null, 2);
+
+        return new File([json], `localseal_policy_${validated.id}.json`, { type: 'application/json' });
+    }
+
+    /**
+     * Importe et enregistre un profil exporté
+     * @param {String|Blob} source - Contenu JSON ou fichier
+     * @returns {Promise<Object>} - Profil enregistré
+     */
+    async importFromJSON(source) {
+        const json = typeof source === 'string' ? source : await source.text();
+
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Profil invalide : JSON illisible (${error.message})`);
+        }
+
+        if (data?.format != null && data.format > PolicyManager.FORMAT_VERSION) {
+            throw new Error(`Profil invalide : format ${data.format} non supporté`);
+        }
+
+        return this.save(data);
+    }
+
+    /**
+     * Vérifie un profil et le normalise (valeurs par défaut, copie indépendante)
+     * @param {Object} policy
+     * @returns {Object} - { id, name, description, style, padding, minConfidence, entities }
+     */
+    static validate(policy) {
+        if (!policy || typeof policy !== 'object') {
+            throw new Error('Profil invalide : objet attendu');
+        }
+
+        const { id, name, description = '', entities } = policy;
+
+        if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) {
+            throw new Error('Profil invalide : identifiant manquant (lettres, chiffres, - et _)');
+        }
+        if (!entities || typeof entities !== 'object' || Array.isArray(entities)) {
+            throw new Error(`Profil "${id}" invalide : "entities" doit associer chaque type à ses règles`);
+        }
+
+        const rules = PolicyManager._validateRules(policy, id);
+        const validatedEntities = {};
+
+        Object.entries(entities).forEach(([type, rule]) => {
+            // Une faute de frappe ("EMIAL") désactiverait la règle sans le dire
+            if (!NLPProcessor.ENTITY_TYPES.includes(type)) {
+                throw new Error(`Profil "${id}" invalide : type d'entité inconnu "${type}" (types : ${NLPProcessor.ENTITY_TYPES.join(', ')})`);
+            }
+            if (rule === false) return; // Type explicitement conservé
+            validatedEntities[type] = PolicyManager._validateRules(rule === true ? {} : rule || {}, `${id}.${type}`);
+        });
+
+        return {
+            id,
+            name: typeof name === 'string' && name.trim() ? name.trim() : id,
+            description: String(description),
+            style: rules.style ?? null,
+            padding: rules.padding ?? 0,
+            minConfidence: rules.minConfidence ?? 0,
+            entities: validatedEntities
+        };
+    }
+
+    /**
+     * Ne conserve du résultat NLP que les types d'entités sélectionnés par le profil
+     * @param {Object} policy - Profil validé
+     * @param {Object} nlpResult - Résultat de NLPProcessor.analyze()
+     * @returns {Object}
+     */
+    static filterResult(policy, nlpResult) {
+        const selected = ({ type }) => Object.hasOwn(policy.entities, type);
+        const entities = nlpResult.entities.filter(selected);
+        const sensitive = nlpResult.sensitive.filter(selected);
+
+        return { ...nlpResult, entities, sensitive, total: entities.length + sensitive.length };
+    }
+
+    /**
+     * Applique les règles du profil aux zones détectées : marge autour de la zone,
+     * style de caviardage propre au type et seuil de confiance
+     * Sous le seuil, la zone est conservée (donc caviardée) et marquée lowConfidence :
+     * la relecture la signale, l'utilisateur décide de la garder ou non
+     * @param {Object} policy - Profil validé
+     * @param {Array} boxes - Zones { bbox, type, confidence }
+     * @returns {Array} - Zones des types du profil, avec bbox élargie, style et lowConfidence éventuels
+     */
+    static applyToBoxes(policy, boxes) {
+        return boxes
+            .filter(box => Object.hasOwn(policy.entities, box.type))
+            .map(box => ({ box, rule: PolicyManager.ruleFor(policy, box.type) }))
+            .map(({ box, rule }) => {
+                const result = {
+                    ...box,
+                    bbox: {
+                        x0: Math.max(0, box.bbox.x0 - rule.padding),
+                        y0: Math.max(0, box.bbox.y0 - rule.padding),
+                        x1: box.bbox.x1 + rule.padding,
+                        y1: box.bbox.y1 + rule.padding
+                    }
+                };
+
+                if (rule.style) result.style = rule.style;
+                if (box.confidence != null && box.confidence < rule.minConfidence) result.lowConfidence = true;
+                return result;
+            });
+    }
+
+    /**
+     * Règles effectives d'un type (règles du type, à défaut celles du profil)
+     * @param {Object} policy - Profil validé
+     * @param {String} type - Type d'entité
+     * @returns {Object} - { style, padding, minConfidence }
+     */
+    static ruleFor(policy, type) {
+        const rule = policy.entities[type] || {};
+
+        return {
+            style: rule.style ?? policy.style,
+            padding: rule.padding ?? policy.padding,
+            minConfidence: rule.minConfidence ?? policy.minConfidence
+        };
+    }
+
+    /**
+     * Vérifie les règles (style, marge, seuil) d'un profil ou d'un type
+     * Les règles absentes restent indéfinies pour hériter du niveau supérieur
+     * @private
+     */
+    static _validateRules(rules, where) {
+        if (typeof rules !== 'object' || Array.isArray(rules)) {
+            throw new Error(`Profil invalide (${where}) : règles attendues sous forme d'objet`);
+        }
+
+        const { style, padding, minConfidence } = rules;
+        const result = {};
+
+        if (style != null) {
+            if (!ImageService.REDACTION_STYLES.includes(style)) {
+                throw new Error(`Profil invalide (${where}) : style inconnu "${style}"`);
+            }
+            result.style = style;
+        }
+
+        if (padding != null) {
+            if (!Number.isFinite(padding) || padding < 0 || padding > 100) {
+                throw new Error(`Profil invalide (${where}) : marge hors limites (0-100 px)`);
+            }
+            result.padding = padding;
+        }
+
+        if (minConfidence != null) {
+            if (!Number.isFinite(minConfidence) || minConfidence < 0 || minConfidence > 100) {
+                throw new Error(`Profil invalide (${where}) : seuil de confiance hors limites (0-100)`);
+            }
+            result.minConfidence = minConfidence;
+        }
+
+        return result;
+    }
+
+    /**
+     * Lit les profils personnalisés (les entrées corrompues sont ignorées)
+     * @private
+     */
+    _loadCustom() {
+        if (!this.storage) return [];
+
+        try {
+            const stored = JSON.parse(this.storage.getItem(PolicyManager.STORAGE_KEY) || '[]');
+            return stored.flatMap(policy => {
+                try {
+                    return [PolicyManager.validate(policy)];
+                } catch (error) {
+                    console.warn(`Profil ignoré : ${error.message}`);
+                    return [];
+                }
+            });
+        } catch (error) {
+            console.warn('Profils personnalisés illisibles');
+            return [];
+        }
+    }
+
+    /**
+     * Enregistre les profils personnalisés
+     * @private
+     */
+    _storeCustom(policies) {
+        if (!this.storage) {
+            throw new Error('Aucun stockage disponible pour les profils personnalisés');
+        }
+
+        this.storage.setItem(PolicyManager.STORAGE_KEY, JSON.stringify(policies));
+    }
+}
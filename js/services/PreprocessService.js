@@ -0,0 +1,394 @@
+/**
+ * PreprocessService.js
+ * Prétraitement des scans avant l'OCR : niveaux de gris, étirement du contraste,
+ * binarisation adaptative, suppression du bruit et redressement (deskew)
+ * Le traitement porte sur une copie de travail : le canvas d'origine, celui qui est caviardé
+ * et exporté, n'est jamais modifié. Les coordonnées reconnues sur la copie sont reportées
+ * sur l'original avec mapPoint()
+ */
+
+import { BrowserPlatform } from '../platform/BrowserPlatform.js';
+
+export class PreprocessService {
+    /**
+     * Étapes disponibles, dans l'ordre appliqué par défaut (preprocess: true)
+     */
+    static STEPS = ['grayscale', 'contrast', 'threshold', 'despeckle', 'deskew'];
+
+    /**
+     * Paramètres par défaut de chaque étape
+     * - contrast  : percentiles ramenés au noir et au blanc
+     * - threshold : taille de la fenêtre (pixels, null : 1/30 du plus petit côté) et sensibilité
+     * - deskew    : angle maximal recherché et angle minimal corrigé (degrés)
+     */
+    static DEFAULTS = {
+        grayscale: {},
+        contrast: { low: 0.01, high: 0.99 },
+        threshold: { windowSize: null, sensitivity: 0.15 },
+        despeckle: {},
+        deskew: { maxAngle: 10, minAngle: 0.1 }
+    };
+
+    /**
+     * Normalise une chaîne de prétraitement
+     * @param {Boolean|Array<String|Object>} chain - true (toutes les étapes) ou liste d'étapes,
+     *                                               par nom ou { name, ...paramètres }
+     * @returns {Array<Object>} - [{ name, ...paramètres }] dans l'ordre donné
+     */
+    static normalize(chain) {
+        const steps = chain === true ? PreprocessService.STEPS : chain;
+        if (!Array.isArray(steps)) {
+            throw new Error('Prétraitement invalide : true ou liste d\'étapes attendue');
+        }
+
+        return steps.map(step => {
+            const { name, ...params } = typeof step === 'string' ? { name: step } : step || {};
+            if (!PreprocessService.STEPS.includes(name)) {
+                throw new Error(`Étape de prétraitement inconnue : ${name} (${PreprocessService.STEPS.join(', ')})`);
+            }
+            return { name, ...PreprocessService.DEFAULTS[name], ...params };
+        });
+    }
+
+    /**
+     * @param {Object} platform - Création des canvas de travail (navigateur par défaut)
+     */
+    constructor(platform = new BrowserPlatform()) {
+        this.platform = platform;
+    }
+
+    /**
+     * Applique la chaîne de prétraitement sur une copie du canvas
+     * @param {HTMLCanvasElement} source - Canvas d'origine (non modifié)
+     * @param {Boolean|Array} chain - Étapes (voir normalize)
+     * @returns {Object} - { canvas, steps, skewAngle, mapPoint(x, y) → { x, y } }
+     *                     mapPoint reporte un point de la copie sur le canvas d'origine
+     */
+    process(source, chain) {
+        const steps = PreprocessService.normalize(chain);
+        const { width, height } = source;
+
+        let canvas = this.platform.createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0);
+
+        const imageData = ctx.getImageData(0, 0, width, height);
+        let gray = this._toGray(imageData.data);
+        let modified = false;
+        let skewAngle = 0;
+
+        for (const step of steps) {
+            switch (step.name) {
+                case 'grayscale':
+                    modified = true;
+                    break;
+                case 'contrast':
+                    gray = this._stretchContrast(gray, step);
+                    modified = true;
+                    break;
+                case 'threshold':
+                    gray = this._adaptiveThreshold(gray, width, height, step);
+                    modified = true;
+                    break;
+                case 'despeckle':
+                    gray = this._median(gray, width, height);
+                    modified = true;
+                    break;
+                case 'deskew': {
+                    const angle = this._estimateSkew(gray, width, height, step);
+                    skewAngle = Math.abs(angle) >= step.minAngle ? angle : 0;
+                    break;
+                }
+            }
+        }
+
+        // Sans étape sur les pixels (deskew seul), la copie garde ses couleurs
+        if (modified) {
+            const data = imageData.data;
+            for (let i = 0; i < gray.length; i++) {
+                data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = gray[i];
+                data[i * 4 + 3] = 255;
+            }
+            ctx.putImageData(imageData, 0, 0);
+        }
+
+        if (skewAngle !== 0) {
+            canvas = this._rotate(canvas, -skewAngle);
+        }
+
+        return {
+            canvas,
+            steps: steps.map(step => step.name),
+            skewAngle,
+            mapPoint: this._inverseRotation({ width, height }, canvas, skewAngle)
+        };
+    }
+
+    /**
+     * Luminance (Rec. 601) de chaque pixel
+     * @private
+     */
+    _toGray(data) {
+        const gray = new Uint8ClampedArray(data.length / 4);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+        }
+        return gray;
+    }
+
+    /**
+     * Étirement linéaire de l'histogramme entre deux percentiles
+     * @private
+     */
+    _stretchContrast(gray, { low, high }) {
+        const histogram = new Uint32Array(256);
+        gray.forEach(value => histogram[value]++);
+
+        const percentile = (fraction) => {
+            const target = fraction * gray.length;
+            let count = 0;
+            for (let value = 0; value < 256; value++) {
+                count += histogram[value];
+                if (count >= target) return value;
+            }
+            return 255;
+        };
+
+        const min = percentile(low);
+        const max = percentile(high);
+        if (max <= min) return gray;
+
+        const scale = 255 / (max - min);
+        return gray.map(value => (value - min) * scale);
+    }
+
+    /**
+     * Binarisation adaptative (méthode de Bradley) : un pixel est noir s'il est nettement plus
+     * sombre que la moyenne de son voisinage, ce qui résiste aux ombres et aux fonds inégaux
+     * @private
+     */
+    _adaptiveThreshold(gray, width, height, { windowSize, sensitivity }) {
+        const size = windowSize || Math.max(15, Math.round(Math.min(width, height) / 30));
+        const half = Math.floor(size / 2);
+
+        // Image intégrale : somme de n'importe quelle fenêtre en quatre lectures
+        const stride = width + 1;
+        const integral = new Float64Array(stride * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                rowSum += gray[y * width + x];
+                integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+            }
+        }
+
+        const result = new Uint8ClampedArray(gray.length);
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - half);
+            const y1 = Math.min(height, y + half + 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - half);
+                const x1 = Math.min(width, x + half + 1);
+                const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1]
+                    - integral[y1 * stride + x0] + integral[y0 * stride + x0];
+                const mean = sum / ((x1 - x0) * (y1 - y0));
+
+                result[y * width + x] = gray[y * width + x] < mean * (1 - sensitivity) ? 0 : 255;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Filtre médian 3×3 : supprime les points isolés (poussières, grain) sans flouter les traits
+     * @private
+     */
+    _median(gray, width, height) {
+        const result = Uint8ClampedArray.from(gray);
+        const window = new Uint8Array(9);
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                let n = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const row = (y + dy) * width + x;
+                    window[n++] = gray[row - 1];
+                    window[n++] = gray[row];
+                    window[n++] = gray[row + 1];
+                }
+
+                // Tri par insertion : plus rapide qu'un tri générique pour 9 valeurs
+                for (let i = 1; i < 9; i++) {
+                    const value = window[i];
+                    let j = i - 1;
+                    while (j >= 0 && window[j] > value) {
+                        window[j + 1] = window[j];
+                        j--;
+                    }
+                    window[j + 1] = value;
+                }
+
+                result[y * width + x] = window[4];
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Estime l'inclinaison du texte (degrés, positif : lignes descendant vers la droite)
+     * Profil de projection horizontale : les lignes de texte redressées donnent les transitions
+     * les plus marquées entre lignes pleines et interlignes. Recherche grossière puis fine
+     * sur une version réduite de l'image
+     * @private
+     */
+    _estimateSkew(gray, width, height, { maxAngle }) {
+        const step = Math.max(1, Math.ceil(Math.max(width, height) / 1000));
+        const threshold = this._otsu(gray);
+
+        const xs = [];
+        const ys = [];
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                if (gray[y * width + x] <= threshold) {
+                    xs.push(x);
+                    ys.push(y);
+                }
+            }
+        }
+
+        // Page vide, ou sombre dans sa majorité (fond noir, photo) : pas d'estimation fiable
+        const sampled = Math.ceil(width / step) * Math.ceil(height / step);
+        if (xs.length < 100 || xs.length > sampled / 2) return 0;
+
+        const score = (degrees) => {
+            const radians = degrees * Math.PI / 180;
+            const sin = Math.sin(radians);
+            const cos = Math.cos(radians);
+            const offset = width * Math.abs(sin);
+            const rows = new Float64Array(Math.ceil((height + offset * 2) / step) + 2);
+
+            for (let i = 0; i < xs.length; i++) {
+                rows[Math.round((ys[i] * cos - xs[i] * sin + offset) / step)]++;
+            }
+
+            let total = 0;
+            for (let i = 1; i < rows.length; i++) {
+                total += (rows[i] - rows[i - 1]) ** 2;
+            }
+            return total;
+        };
+
+        const search = (from, to, increment) => {
+            let best = 0;
+            let bestScore = -1;
+            for (let angle = from; angle <= to + 1e-9; angle += increment) {
+                const value = score(angle);
+                if (value > bestScore) {
+                    bestScore = value;
+                    best = angle;
+                }
+            }
+            return best;
+        };
+
+        const coarse = search(-maxAngle, maxAngle, 0.5);
+        const fine = search(coarse - 0.5, coarse + 0.5, 0.05);
+
+        return Math.round(fine * 100) / 100;
+    }
+
+    /**
+     * Seuil global d'Otsu : les pixels inférieurs ou égaux sont l'encre (estimation de l'inclinaison)
+     * @private
+     */
+    _otsu(gray) {
+        const histogram = new Uint32Array(256);
+        gray.forEach(value => histogram[value]++);
+
+        let sum = 0;
+        for (let value = 0; value < 256; value++) sum += value * histogram[value];
+
+        let background = 0;
+        let backgroundSum = 0;
+        let best = 128;
+        let bestVariance = 0;
+
+        for (let value = 0; value < 256; value++) {
+            background += histogram[value];
+            if (background === 0) continue;
+
+            const foreground = gray.length - background;
+            if (foreground === 0) break;
+
+            backgroundSum += value * histogram[value];
+            const meanBackground = backgroundSum / background;
+            const meanForeground = (sum - backgroundSum) / foreground;
+            const variance = background * foreground * (meanBackground - meanForeground) ** 2;
+
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                best = value;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Tourne un canvas autour de son centre, dans un canvas agrandi au rectangle englobant
+     * de la page tournée : aucun coin n'est rogné, le texte près des bords reste lisible
+     * par l'OCR. Les marges ajoutées sont blanches
+     * @private
+     */
+    _rotate(canvas, degrees) {
+        const { width, height } = canvas;
+        const radians = degrees * Math.PI / 180;
+        const cos = Math.abs(Math.cos(radians));
+        const sin = Math.abs(Math.sin(radians));
+
+        const rotated = this.platform.createCanvas(
+            Math.ceil(width * cos + height * sin),
+            Math.ceil(width * sin + height * cos)
+        );
+        const ctx = rotated.getContext('2d');
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, rotated.width, rotated.height);
+        ctx.translate(rotated.width / 2, rotated.height / 2);
+        ctx.rotate(radians);
+        ctx.translate(-width / 2, -height / 2);
+        ctx.drawImage(canvas, 0, 0);
+
+        // La copie intermédiaire est libérée immédiatement
+        canvas.width = 0;
+        canvas.height = 0;
+
+        return rotated;
+    }
+
+    /**
+     * Report d'un point de la copie redressée sur le canvas d'origine
+     * (rotation inverse de celle appliquée par _rotate, autour du centre de chaque canvas)
+     * @private
+     * @param {Object} source - { width, height } du canvas d'origine
+     * @param {Object} rotated - { width, height } de la copie redressée (agrandie)
+     */
+    _inverseRotation(source, rotated, skewAngle) {
+        if (skewAngle === 0) return (x, y) => ({ x, y });
+
+        const radians = skewAngle * Math.PI / 180;
+        const sin = Math.sin(radians);
+        const cos = Math.cos(radians);
+        const cx = source.width / 2;
+        const cy = source.height / 2;
+        const rx = rotated.width / 2;
+        const ry = rotated.height / 2;
+
+        return (x, y) => ({
+            x: cx + (x - rx) * cos - (y - ry) * sin,
+            y: cy + (x - rx) * sin + (y - ry) * cos
+        });
+    }
+}
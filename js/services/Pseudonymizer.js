@@ -0,0 +1,134 @@
+/**
+ * Pseudonymizer.js
+ * Pseudonymes cohérents ("Person A", "Org 2", "Email 3") pour les entités détectées
+ * Une même entité reçoit le même pseudonyme sur toutes les pages et tous les fichiers
+ * traités avec la même instance (une instance par série)
+ * La table ne conserve jamais le texte des entités : seulement une empreinte HMAC-SHA256
+ * salée ; le sel, tiré au hasard pour chaque série, empêche de relier deux séries entre elles
+ */
+
+export class Pseudonymizer {
+    /**
+     * Préfixe des pseudonymes par type d'entité
+     */
+    static NAMES = {
+        person: 'Person',
+        place: 'Place',
+        organization: 'Org',
+        email: 'Email',
+        phone: 'Phone',
+        iban: 'IBAN',
+        secu: 'SSN',
+        creditCard: 'Card',
+        postalCode: 'Postcode',
+        invoiceNumber: 'Invoice',
+        amount: 'Amount',
+        date: 'Date',
+        siret: 'SIRET',
+        siren: 'SIREN',
+        tva: 'VAT'
+    };
+
+    /**
+     * Types numérotés par des lettres (Person A, Person B...), les autres par des chiffres
+     */
+    static LETTER_TYPES = ['person'];
+
+    /**
+     * @param {Object} options
+     * @param {Uint8Array} options.salt - Sel HMAC (aléatoire par défaut, 32 octets)
+     */
+    constructor({ salt = null } = {}) {
+        this.salt = salt || crypto.getRandomValues(new Uint8Array(32));
+        this.keyPromise = null;
+
+        // Empreinte → pseudonyme, et compteur par type
+        this.pseudonyms = new Map();
+        this.counters = {};
+    }
+
+    /**
+     * Nombre d'entités distinctes pseudonymisées
+     */
+    get size() {
+        return this.pseudonyms.size;
+    }
+
+    /**
+     * Pseudonyme d'une entité, attribué à sa première occurrence
+     * La casse, les accents et les espaces n'en font pas une autre entité
+     * @param {String} type - Type d'entité (person, email...)
+     * @param {String} text - Texte de l'entité
+     * @returns {Promise<String>} - ex: "Person A", "Email 3"
+     */
+    async pseudonymFor(type, text) {
+        const digest = await this._digest(`${type}\u0000${this._normalize(text)}`);
+
+        // Attribution synchrone après l'empreinte : deux jobs concurrents ne peuvent pas
+        // recevoir le même numéro
+        if (!this.pseudonyms.has(digest)) {
+            this.counters[type] = (this.counters[type] || 0) + 1;
+            this.pseudonyms.set(digest, this._format(type, this.counters[type]));
+        }
+
+        return this.pseudonyms.get(digest);
+    }
+
+    /**
+     * Attribue un pseudonyme à chaque entité d'un résultat NLP (entity.pseudonym)
+     * @param {Object} nlpResult - Résultat de NLPProcessor.analyze()
+     * @returns {Promise<Object>} - Le même résultat, complété
+     */
+    async pseudonymize(nlpResult) {
+        for (const entity of [...nlpResult.entities, ...nlpResult.sensitive]) {
+            entity.pseudonym = await this.pseudonymFor(entity.type, entity.text);
+        }
+        return nlpResult;
+    }
+
+    /**
+     * Nom affiché d'un numéro (lettres façon tableur pour les personnes : A..Z, AA, AB...)
+     * @private
+     */
+    _format(type, number) {
+        const name = Pseudonymizer.NAMES[type] || type.charAt(0).toUpperCase() + type.slice(1);
+
+        if (!Pseudonymizer.LETTER_TYPES.includes(type)) {
+            return `${name} ${number}`;
+        }
+
+        let letters = '';
+        for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+        }
+        return `${name} ${letters}`;
+    }
+
+    /**
+     * Empreinte HMAC-SHA256 (hexadécimale) d'un texte avec le sel de la série
+     * @private
+     */
+    async _digest(text) {
+        this.keyPromise ??= crypto.subtle.importKey(
+            'raw', this.salt, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+
+        const signature = await crypto.subtle.sign('HMAC', await this.keyPromise, new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(signature))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Normalise une entité pour la comparaison (minuscules, sans accents ni espaces multiples)
+     * @private
+     */
+    _normalize(text) {
+        return String(text)
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * TextExportService.js
+ * Exports texte du résultat anonymisé, pour alimenter index de recherche et outils LLM
+ * - txt  : texte masqué (pages séparées par un saut de page \f)
+ * - json : texte masqué et, par page, type / position / longueur de chaque entité (jamais sa valeur)
+ * - md   : Markdown respectant les lignes OCR (ocrResult.lines), une section par page
+ * Les entités sont remplacées par █ (même longueur : les positions du texte d'origine restent
+ * valides) ou par leur pseudonyme lorsque la pseudonymisation est active
+ */
+
+export class TextExportService {
+    /**
+     * Formats disponibles
+     */
+    static FORMATS = ['txt', 'json', 'md'];
+
+    /**
+     * @param {NLPProcessor} nlpProcessor - Localisation et remplacement des entités
+     */
+    constructor(nlpProcessor) {
+        this.nlpProcessor = nlpProcessor;
+    }
+
+    /**
+     * Produit les exports demandés
+     * @param {Array<String>} formats - Sous-ensemble de FORMATS
+     * @param {Object} doc
+     * @param {String} doc.name - Nom du document d'origine
+     * @param {String} doc.baseName - Nom des fichiers produits, sans extension
+     * @param {Array} doc.pages - [{ pageNumber, ocrResult, nlpResult }]
+     * @returns {Object} - { txt?: File, json?: File, md?: File }
+     */
+    createExports(formats, { name, baseName, pages }) {
+        const unknown = formats.filter(format => !TextExportService.FORMATS.includes(format));
+        if (unknown.length > 0) {
+            throw new Error(`Format d'export texte inconnu : ${unknown.join(', ')} (${TextExportService.FORMATS.join(', ')})`);
+        }
+
+        const masked = pages.map(page => this._maskPage(page));
+        const exports = {};
+
+        if (formats.includes('txt')) {
+            exports.txt = new File(
+                [masked.map(page => page.text).join('\f')],
+                `${baseName}.txt`,
+                { type: 'text/plain' }
+            );
+        }
+
+        if (formats.includes('json')) {
+            exports.json = new File(
+                [JSON.stringify(this._toJSON(name, masked), null, 2)],
+                `${baseName}.json`,
+                { type: 'application/json' }
+            );
+        }
+
+        if (formats.includes('md')) {
+            exports.md = new File(
+                [this._toMarkdown(name, pages)],
+                `${baseName}.md`,
+                { type: 'text/markdown' }
+            );
+        }
+
+        return exports;
+    }
+
+    /**
+     * Texte masqué d'une page et positions des entités remplacées
+     * @private
+     */
+    _maskPage({ pageNumber, ocrResult, nlpResult }) {
+        const text = ocrResult?.text || '';
+        const { text: maskedText, spans } = nlpResult
+            ? this.nlpProcessor.replaceEntities(text, nlpResult, span => this._token(span))
+            : { text, spans: [] };
+
+        return { pageNumber, text: maskedText, spans };
+    }
+
+    /**
+     * Jeton de remplacement : pseudonyme s'il existe, sinon █ sur toute la longueur
+     * @private
+     */
+    _token(span) {
+        return span.entity.pseudonym ? `[${span.entity.pseudonym}]` : '█'.repeat(span.end - span.start);
+    }
+
+    /**
+     * @private
+     */
+    _toJSON(name, maskedPages) {
+        return {
+            document: name,
+            generatedAt: new Date().toISOString(),
+            masking: maskedPages.some(page => page.spans.some(span => span.entity.pseudonym)) ? 'pseudonym' : 'block',
+            pageCount: maskedPages.length,
+            pages: maskedPages.map(page => ({
+                pageNumber: page.pageNumber,
+                text: page.text,
+                // Positions dans le texte masqué de la page
+                entities: page.spans.map(({ type, offset, length, entity }) => {
+                    const item = { type, offset, length };
+                    if (entity.pseudonym) item.token = `[${entity.pseudonym}]`;
+                    return item;
+                })
+            }))
+        };
+    }
+
+    /**
+     * Markdown : une section par page, une ligne OCR par ligne Markdown (saut de ligne forcé)
+     * Chaque ligne est retrouvée dans le texte de la page pour masquer aussi les entités
+     * à cheval sur deux lignes
+     * @private
+     */
+    _toMarkdown(name, pages) {
+        const sections = pages.map(({ pageNumber, ocrResult, nlpResult }) => {
+            const text = ocrResult?.text || '';
+            const spans = nlpResult ? this.nlpProcessor.findEntitySpans(text, nlpResult) : [];
+            const lines = ocrResult?.lines?.length
+                ? ocrResult.lines.map(line => line.text)
+                : text.split('\n');
+
+            let cursor = 0;
+            const rendered = lines
+                .map(line => line.trim())
+                .filter(Boolean)
+                .map(line => {
+                    const start = text.indexOf(line, cursor);
+
+                    // Ligne introuvable dans le texte de la page : masquée isolément
+                    if (start === -1) {
+                        return this.nlpProcessor.replaceEntities(line, nlpResult || { entities: [], sensitive: [] }, span => this._token(span)).text;
+                    }
+
+                    cursor = start + line.length;
+                    return this.nlpProcessor.replaceEntities(text, spans, span => this._token(span), start, cursor).text;
+                })
+                .map(line => this._escapeMarkdown(line));
+
+            return `## Page ${pageNumber}\n\n${rendered.join('  \n')}\n`;
+        });
+
+        return `# ${this._escapeMarkdown(name)}\n\n${sections.join('\n')}`;
+    }
+
+    /**
+     * Neutralise la syntaxe Markdown du texte OCR (titres, listes, emphase, code)
+     * @private
+     */
+    _escapeMarkdown(line) {
+        return line
+            .replace(/([\\`*_])/g, '\\$1')
+            .replace(/^(\s*)([#>+-]|\d+[.)])(?=\s)/, '$1\\$2');
+    }
+}
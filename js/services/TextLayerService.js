@@ -0,0 +1,409 @@
+/**
+ * TextLayerService.js
+ * Exploitation de la couche texte des PDF natifs (générés numériquement)
+ * Le texte exact et la position des glyphes (PDF.js getTextContent) remplacent l'OCR :
+ * le résultat a la même structure que celui d'OCRService.extractText()
+ * Les pages numérisées (sans texte, ou couvertes par une image) restent traitées par OCR ;
+ * les images d'une page native sont localisées pour que l'OCR lise leur contenu
+ */
+
+import { OCRService } from './OCRService.js';
+
+export class TextLayerService {
+    /**
+     * Nombre minimal de caractères (hors espaces) pour exploiter la couche texte
+     * En dessous (numéro de page, tampon...), la page est considérée comme numérisée
+     */
+    static MIN_CHARACTERS = 20;
+
+    /**
+     * Au-delà de cette part de la page couverte par des images, la page est une numérisation :
+     * du texte hors couche (dans l'image) échapperait à la détection
+     */
+    static MAX_IMAGE_COVERAGE = 0.5;
+
+    /**
+     * Plus petit côté (en pixels du canvas) d'une image lue par OCR sur une page native :
+     * en deçà (puces, filets, icônes), elle ne peut pas contenir de texte lisible
+     */
+    static MIN_IMAGE_SIZE = 16;
+
+    /**
+     * @param {CanvasRenderingContext2D} measureContext - Contexte servant à mesurer les glyphes
+     *        (optionnel : sans contexte, la largeur d'un fragment est répartie uniformément)
+     */
+    constructor(measureContext = null) {
+        this.measureContext = measureContext;
+    }
+
+    /**
+     * Extrait la couche texte d'une page PDF si elle est exploitable
+     * @param {Object} page - Page PDF.js
+     * @param {Object} viewport - Viewport utilisé pour le rendu (les positions sont exprimées en pixels du canvas)
+     * @param {Object} OPS - Table des opérateurs PDF.js (pdfjsLib.OPS)
+     * @returns {Promise<Object|null>} - { text, confidence, words[], lines[], blocks[], source, images[] } ou null
+     *          images : zones des images de la page (pixels du canvas), dont le texte échappe à la couche texte
+     */
+    async extract(page, viewport, OPS) {
+        const textContent = await page.getTextContent();
+        const characters = textContent.items.map(item => item.str ?? '').join('').replace(/\s/g, '');
+
+        if (characters.length < TextLayerService.MIN_CHARACTERS) {
+            return null;
+        }
+
+        let advances = null;
+        let images = [];
+        if (OPS) {
+            const operatorList = await page.getOperatorList();
+            const [x0, y0, x1, y1] = page.view;
+            const pageArea = Math.abs((x1 - x0) * (y1 - y0));
+
+            if (this.imageCoverage(operatorList, OPS, pageArea) > TextLayerService.MAX_IMAGE_COVERAGE) {
+                return null;
+            }
+
+            advances = this.glyphAdvances(operatorList, OPS);
+            images = this.imageRegions(operatorList, OPS, viewport);
+        }
+
+        return { ...this.fromTextContent(textContent, viewport, advances), images };
+    }
+
+    /**
+     * Convertit le contenu texte PDF.js en résultat au format OCR
+     * Les mots sont délimités par les espaces ; un mot coupé entre deux fragments
+     * (crénage, changement de style) est reconstitué
+     * @param {Object} textContent - Résultat de page.getTextContent()
+     * @param {Object} viewport - Viewport PDF.js
+     * @param {Map} advances - Chasse des glyphes par police (voir glyphAdvances), optionnelle
+     * @returns {Object}
+     */
+    fromTextContent(textContent, viewport, advances = null) {
+        const lines = [];
+        let line = null;
+        let word = null;
+        let previous = null;
+
+        const closeWord = () => {
+            if (word) line.words.push(word);
+            word = null;
+        };
+
+        const closeLine = () => {
+            closeWord();
+            if (line?.words.length) {
+                line.text = line.words.map(w => w.text).join(' ');
+                line.bbox = this._union(line.words.map(w => w.bbox));
+                lines.push(line);
+            }
+            line = null;
+            previous = null;
+        };
+
+        textContent.items.forEach(item => {
+            // Les marqueurs de contenu (beginMarkedContent...) n'ont pas de texte
+            if (typeof item.str !== 'string') return;
+
+            const geometry = this._geometry(item, viewport, textContent.styles[item.fontName]);
+
+            if (!line) line = { words: [] };
+
+            // Un écart visible avec le fragment précédent sépare deux mots, voire deux lignes
+            const gap = previous && geometry ? this._gap(previous, geometry) : null;
+            if (gap === 'line') {
+                closeLine();
+                line = { words: [] };
+            } else if (gap === 'word') {
+                closeWord();
+            }
+
+            const chars = [...item.str];
+            const style = textContent.styles[item.fontName];
+            const { offsets, exact } = geometry
+                ? this._charOffsets(chars, geometry, style, style?.vertical ? null : advances?.get(item.fontName))
+                : {};
+
+            // Marge de chaque mot le long de la ligne de base (approches, débords des glyphes
+            // italiques, lissage) : un caractère moyen si les chasses sont estimées, la moitié sinon
+            const margin = geometry ? (geometry.width / chars.length) * (exact ? 0.5 : 1) : 0;
+
+            chars.forEach((char, index) => {
+                if (/\s/.test(char)) {
+                    closeWord();
+                    return;
+                }
+
+                const bbox = offsets ? this._charBox(geometry, offsets[index] - margin, offsets[index + 1] + margin) : null;
+                if (!bbox) return;
+
+                if (word) {
+                    word.text += char;
+                    word.bbox = this._union([word.bbox, bbox]);
+                } else {
+                    word = { text: char, confidence: 100, bbox };
+                }
+            });
+
+            if (geometry) previous = geometry;
+
+            if (item.hasEOL) closeLine();
+        });
+
+        closeLine();
+
+        const text = lines.map(l => l.text).join('\n');
+        return {
+            text,
+            confidence: 100,
+            words: OCRService.alignWords(text, lines.flatMap(l => l.words)),
+            lines,
+            blocks: [],
+            source: 'text-layer'
+        };
+    }
+
+    /**
+     * Chasse des glyphes de chaque police, relevée dans les opérateurs de rendu de la page
+     * (glyph.width, en unités de la police : seules les proportions entre caractères servent)
+     * Les polices sont nommées comme les fragments de getTextContent (item.fontName)
+     * @param {Object} operatorList - Résultat de page.getOperatorList()
+     * @param {Object} OPS - Table des opérateurs PDF.js
+     * @returns {Map<String, Map<String, Number>>} - Police → caractère → chasse
+     */
+    glyphAdvances(operatorList, OPS) {
+        const advances = new Map();
+        const stack = [];
+        let font = null;
+
+        operatorList.fnArray.forEach((fn, i) => {
+            const args = operatorList.argsArray[i];
+
+            if (fn === OPS.save) {
+                stack.push(font);
+            } else if (fn === OPS.restore) {
+                font = stack.length > 0 ? stack.pop() : font;
+            } else if (fn === OPS.setFont) {
+                font = args[0];
+            } else if (fn === OPS.showText && font) {
+                if (!advances.has(font)) advances.set(font, new Map());
+                const widths = advances.get(font);
+
+                // Les nombres du tableau sont des décalages (TJ), pas des glyphes
+                args[0].forEach(glyph => {
+                    if (!glyph?.unicode || !(glyph.width > 0)) return;
+
+                    // Ligature ("ﬁ" → "fi") : chasse répartie entre ses caractères
+                    const chars = [...glyph.unicode];
+                    chars.forEach(char => {
+                        if (!widths.has(char)) widths.set(char, glyph.width / chars.length);
+                    });
+                });
+            }
+        });
+
+        return advances;
+    }
+
+    /**
+     * Part de la page couverte par des images (somme des surfaces, bornée à 1)
+     * Suit la matrice de transformation courante au fil des opérateurs
+     * @param {Object} operatorList - Résultat de page.getOperatorList()
+     * @param {Object} OPS - Table des opérateurs PDF.js
+     * @param {Number} pageArea - Surface de la page (en points²)
+     * @returns {Number}
+     */
+    imageCoverage(operatorList, OPS, pageArea) {
+        // Une image occupe le carré unité transformé par la matrice courante
+        const covered = this._imageMatrices(operatorList, OPS)
+            .reduce((sum, ctm) => sum + Math.abs(ctm[0] * ctm[3] - ctm[1] * ctm[2]), 0);
+
+        return pageArea > 0 ? Math.min(1, covered / pageArea) : 0;
+    }
+
+    /**
+     * Zones des images de la page dans le repère du canvas (rectangle englobant du carré
+     * unité transformé), hors images trop petites pour contenir du texte (MIN_IMAGE_SIZE)
+     * @param {Object} operatorList - Résultat de page.getOperatorList()
+     * @param {Object} OPS - Table des opérateurs PDF.js
+     * @param {Object} viewport - Viewport utilisé pour le rendu
+     * @returns {Array} - [{ x0, y0, x1, y1 }] en pixels du canvas
+     */
+    imageRegions(operatorList, OPS, viewport) {
+        return this._imageMatrices(operatorList, OPS)
+            .map(ctm => {
+                const m = this._multiply(viewport.transform, ctm);
+                const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([u, v]) => ({
+                    x: m[0] * u + m[2] * v + m[4],
+                    y: m[1] * u + m[3] * v + m[5]
+                }));
+                return this._union(corners.map(({ x, y }) => ({ x0: x, y0: y, x1: x, y1: y })));
+            })
+            .filter(({ x0, y0, x1, y1 }) => Math.min(x1 - x0, y1 - y0) >= TextLayerService.MIN_IMAGE_SIZE);
+    }
+
+    /**
+     * Matrice de transformation courante de chaque image peinte sur la page
+     * Suit la matrice au fil des opérateurs (save/restore, transform, formulaires)
+     * @private
+     */
+    _imageMatrices(operatorList, OPS) {
+        const imageOps = new Set([
+            OPS.paintImageXObject,
+            OPS.paintInlineImageXObject,
+            OPS.paintImageMaskXObject,
+            OPS.paintJpegXObject
+        ]);
+
+        const stack = [];
+        let ctm = [1, 0, 0, 1, 0, 0];
+        const matrices = [];
+
+        operatorList.fnArray.forEach((fn, i) => {
+            const args = operatorList.argsArray[i];
+
+            if (fn === OPS.save) {
+                stack.push(ctm);
+            } else if (fn === OPS.restore) {
+                ctm = stack.pop() || ctm;
+            } else if (fn === OPS.transform) {
+                ctm = this._multiply(ctm, args);
+            } else if (fn === OPS.paintFormXObjectBegin) {
+                stack.push(ctm);
+                if (args?.[0]) ctm = this._multiply(ctm, args[0]);
+            } else if (fn === OPS.paintFormXObjectEnd) {
+                ctm = stack.pop() || ctm;
+            } else if (imageOps.has(fn)) {
+                matrices.push(ctm);
+            }
+        });
+
+        return matrices;
+    }
+
+    /**
+     * Position d'un fragment dans le repère du canvas : origine sur la ligne de base,
+     * direction d'écriture et hauteur de police (gère les textes pivotés)
+     * @private
+     */
+    _geometry(item, viewport, style = {}) {
+        if (!item.str || !item.transform) return null;
+
+        const tx = this._multiply(viewport.transform, item.transform);
+        const fontHeight = Math.hypot(tx[2], tx[3]);
+        const angle = Math.atan2(tx[1], tx[0]);
+        const width = (style.vertical ? item.height : item.width) * viewport.scale;
+
+        if (!fontHeight || !width) return null;
+
+        return {
+            x: tx[4],
+            y: tx[5],
+            cos: Math.cos(angle),
+            sin: Math.sin(angle),
+            width,
+            ascent: fontHeight * (style.ascent || 0.8),
+            descent: fontHeight * Math.abs(style.descent || 0.2)
+        };
+    }
+
+    /**
+     * Position de chaque caractère le long de la ligne de base (count + 1 bornes)
+     * Les largeurs sont les chasses réelles des glyphes de la police du PDF ; un caractère
+     * absent des opérateurs (espace ajoutée par PDF.js) est mesuré avec une police proche,
+     * à l'échelle des chasses connues. Le tout est ramené à la largeur réelle du fragment
+     * (espacements Tc et Tw compris)
+     * @private
+     * @returns {Object} - { offsets, exact } ; exact : aucune largeur estimée hors espaces
+     */
+    _charOffsets(chars, g, style = {}, advances = null) {
+        const known = chars.map(char => advances?.get(char) ?? null);
+        let widths = known;
+
+        if (known.some(w => w === null)) {
+            let measured = chars.map(() => 1);
+            if (this.measureContext) {
+                this.measureContext.font = `100px ${style.fontFamily || 'sans-serif'}`;
+                measured = chars.map(char => this.measureContext.measureText(char).width || 1);
+            }
+
+            const knownTotal = known.reduce((sum, w) => sum + (w ?? 0), 0);
+            const measuredTotal = measured.reduce((sum, w, i) => sum + (known[i] !== null ? w : 0), 0);
+            const ratio = knownTotal > 0 && measuredTotal > 0 ? knownTotal / measuredTotal : 1;
+            widths = known.map((w, i) => w ?? measured[i] * ratio);
+        }
+
+        const total = widths.reduce((sum, w) => sum + w, 0);
+        const offsets = [0];
+        widths.forEach(w => offsets.push(offsets[offsets.length - 1] + (w / total) * g.width));
+
+        return { offsets, exact: chars.every((char, i) => known[i] !== null || /\s/.test(char)) };
+    }
+
+    /**
+     * Boîte englobante d'un caractère entre deux positions le long de la ligne de base
+     * @private
+     */
+    _charBox(g, start, end) {
+        // Coins du rectangle du caractère : le long de la ligne de base, au-dessus (ascent) et en dessous (descent)
+        const corners = [
+            [start, -g.ascent], [end, -g.ascent],
+            [start, g.descent], [end, g.descent]
+        ].map(([along, across]) => ({
+            x: g.x + along * g.cos - across * g.sin,
+            y: g.y + along * g.sin + across * g.cos
+        }));
+
+        return {
+            x0: Math.min(...corners.map(c => c.x)),
+            y0: Math.min(...corners.map(c => c.y)),
+            x1: Math.max(...corners.map(c => c.x)),
+            y1: Math.max(...corners.map(c => c.y))
+        };
+    }
+
+    /**
+     * Écart entre deux fragments : 'line' si le fragment quitte la ligne de base,
+     * 'word' au-delà d'un quart de hauteur de police, null s'ils sont contigus
+     * @private
+     */
+    _gap(previous, current) {
+        const endX = previous.x + previous.width * previous.cos;
+        const endY = previous.y + previous.width * previous.sin;
+        const along = (current.x - endX) * previous.cos + (current.y - endY) * previous.sin;
+        const across = -(current.x - endX) * previous.sin + (current.y - endY) * previous.cos;
+        const fontHeight = previous.ascent + previous.descent;
+
+        if (Math.abs(across) > fontHeight * 0.5) return 'line';
+        if (Math.abs(along) > fontHeight * 0.25) return 'word';
+        return null;
+    }
+
+    /**
+     * Produit de deux matrices de transformation [a, b, c, d, e, f]
+     * @private
+     */
+    _multiply(m1, m2) {
+        return [
+            m1[0] * m2[0] + m1[2] * m2[1],
+            m1[1] * m2[0] + m1[3] * m2[1],
+            m1[0] * m2[2] + m1[2] * m2[3],
+            m1[1] * m2[2] + m1[3] * m2[3],
+            m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+            m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+        ];
+    }
+
+    /**
+     * Union de boîtes englobantes
+     * @private
+     */
+    _union(boxes) {
+        return {
+            x0: Math.min(...boxes.map(b => b.x0)),
+            y0: Math.min(...boxes.map(b => b.y0)),
+            x1: Math.max(...boxes.map(b => b.x1)),
+            y1: Math.max(...boxes.map(b => b.y1))
+        };
+    }
+}
@@ -0,0 +1,211 @@
+/**
+ * VaultService.js
+ * Coffre de ré-identification : correspondance chiffrée entre les zones caviardées
+ * (libellé ou pseudonyme) et le texte d'origine, pour une levée d'anonymisation autorisée
+ * (conservation légale, pseudonymisation au sens de l'art. 4(5) RGPD)
+ * Chiffrement WebCrypto : clé AES-GCM 256 bits dérivée de la phrase secrète (PBKDF2-SHA-256)
+ * Seule l'enveloppe (algorithmes, sel, IV) est en clair : noms de fichiers et valeurs sont chiffrés
+ */
+
+export class VaultService {
+    /**
+     * Identifiant et version du format de fichier
+     */
+    static FORMAT = 'localseal-vault';
+    static VERSION = 1;
+
+    /**
+     * Itérations PBKDF2 (recommandation OWASP pour PBKDF2-HMAC-SHA256)
+     */
+    static PBKDF2_ITERATIONS = 600000;
+
+    /**
+     * Longueur minimale de la phrase secrète
+     */
+    static MIN_PASSPHRASE_LENGTH = 8;
+
+    /**
+     * Rassemble le contenu du coffre d'un document traité
+     * @param {Object} params
+     * @param {File} params.inputFile - Fichier d'origine
+     * @param {File} params.outputFile - Fichier caviardé
+     * @param {String} params.outputSha256 - Empreinte du fichier caviardé (lien coffre ↔ document)
+     * @param {Array} params.pages - Pages traitées ({ pageNumber, redacted, nlpResult })
+     * @returns {Object} - Contenu en clair, à chiffrer avec seal()
+     */
+    buildContent({ inputFile, outputFile, outputSha256, pages }) {
+        return {
+            document: inputFile.name,
+            output: { name: outputFile.name, sha256: outputSha256 },
+            createdAt: new Date().toISOString(),
+            pages: pages.map(page => ({
+                pageNumber: page.pageNumber,
+                // Entités détectées : jeton (pseudonyme ou libellé) → valeur d'origine
+                entities: [...(page.nlpResult?.entities || []), ...(page.nlpResult?.sensitive || [])]
+                    .map(entity => ({
+                        type: entity.type,
+                        token: entity.pseudonym ? `[${entity.pseudonym}]` : null,
+                        text: entity.text
+                    })),
+                // Zones effectivement caviardées (les zones tracées à la main n'ont pas de texte)
+                regions: (page.redacted || []).map(region => ({
+                    type: region.type,
+                    token: region.label || null,
+                    bbox: {
+                        x0: Math.round(region.bbox.x0),
+                        y0: Math.round(region.bbox.y0),
+                        x1: Math.round(region.bbox.x1),
+                        y1: Math.round(region.bbox.y1)
+                    },
+                    text: region.text ?? null
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Chiffre un contenu et produit le fichier coffre
+     * @param {Object} content - Contenu (voir buildContent)
+     * @param {String} passphrase - Phrase secrète
+     * @param {String} filename - Nom du fichier produit
+     * @returns {Promise<File>}
+     */
+    async seal(content, passphrase, filename) {
+        this.checkPassphrase(passphrase);
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await this._deriveKey(passphrase, salt, VaultService.PBKDF2_ITERATIONS);
+
+        const envelope = {
+            format: VaultService.FORMAT,
+            version: VaultService.VERSION,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: VaultService.PBKDF2_ITERATIONS, salt: toBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: toBase64(iv) }
+        };
+
+        // L'enveloppe est authentifiée avec les données : la modifier rend le coffre illisible
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: this._additionalData(envelope) },
+            key,
+            new TextEncoder().encode(JSON.stringify(content))
+        );
+
+        const json = JSON.stringify({ ...envelope, data: toBase64(new Uint8Array(ciphertext)) }, null, 2);
+        return new File([json], filename, { type: 'application/json' });
+    }
+
+    /**
+     * Déchiffre un fichier coffre
+     * @param {Blob|String} source - Fichier coffre ou son contenu JSON
+     * @param {String} passphrase - Phrase secrète
+     * @returns {Promise<Object>} - Contenu (voir buildContent)
+     */
+    async open(source, passphrase) {
+        const json = typeof source === 'string' ? source : await source.text();
+
+        let vault;
+        try {
+            vault = JSON.parse(json);
+        } catch {
+            throw new Error('Fichier coffre invalide : JSON illisible');
+        }
+
+        if (vault?.format !== VaultService.FORMAT) {
+            throw new Error('Fichier coffre invalide : format inconnu');
+        }
+        if (vault.version > VaultService.VERSION) {
+            throw new Error(`Fichier coffre invalide : version ${vault.version} non supportée`);
+        }
+
+        const { format, version, kdf, cipher, data } = vault;
+        this._checkEnvelope(vault);
+
+        const key = await this._deriveKey(passphrase, fromBase64(kdf.salt), kdf.iterations);
+
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: fromBase64(cipher.iv), additionalData: this._additionalData({ format, version, kdf, cipher }) },
+                key,
+                fromBase64(data)
+            );
+        } catch {
+            // AES-GCM ne distingue pas une mauvaise clé d'un fichier altéré
+            throw new Error('Phrase secrète incorrecte ou coffre altéré');
+        }
+
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    /**
+     * Vérifie que l'enveloppe, lue avant toute authentification, porte exactement les paramètres
+     * écrits par seal() : un nombre d'itérations choisi par le fichier bloquerait la dérivation
+     * (trop grand) ou affaiblirait la clé (trop petit)
+     * @private
+     */
+    _checkEnvelope({ kdf, cipher, data }) {
+        if (kdf?.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || kdf.iterations !== VaultService.PBKDF2_ITERATIONS) {
+            throw new Error('Fichier coffre invalide : paramètres de dérivation de clé non supportés');
+        }
+        if (cipher?.name !== 'AES-GCM') {
+            throw new Error('Fichier coffre invalide : algorithme de chiffrement non supporté');
+        }
+        if (typeof kdf.salt !== 'string' || typeof cipher.iv !== 'string' || typeof data !== 'string') {
+            throw new Error('Fichier coffre invalide : sel, IV ou données manquants');
+        }
+    }
+
+    /**
+     * Dérive la clé AES-GCM de la phrase secrète
+     * @private
+     */
+    async _deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Données authentifiées : l'enveloppe sérialisée dans un ordre fixe
+     * @private
+     */
+    _additionalData({ format, version, kdf, cipher }) {
+        return new TextEncoder().encode(JSON.stringify([format, version, kdf, cipher]));
+    }
+
+    /**
+     * Vérifie la robustesse minimale de la phrase secrète (avant tout traitement)
+     * @param {String} passphrase
+     */
+    checkPassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < VaultService.MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Phrase secrète du coffre trop courte (${VaultService.MIN_PASSPHRASE_LENGTH} caractères minimum)`);
+        }
+    }
+}
+
+/**
+ * Encodage base64 d'octets (sans dépendance à Buffer, disponible dans le navigateur et sous Node)
+ * @private
+ */
+function toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+}
+
+/**
+ * @private
+ */
+function fromBase64(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
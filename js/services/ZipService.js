@@ -0,0 +1,197 @@
+/**
+ * ZipService.js
+ * Génération d'archives ZIP 100% client-side (aucun envoi serveur)
+ * Les fichiers sont stockés sans compression (méthode "store") :
+ * les JPEG et PDF produits sont déjà compressés
+ */
+
+export class ZipService {
+    constructor() {
+        this.entries = [];
+        this.names = new Set();
+    }
+
+    /**
+     * Ajoute un fichier à l'archive
+     * Un nom déjà présent est suffixé (_2, _3...) pour éviter les collisions
+     * @param {String} name - Chemin du fichier dans l'archive
+     * @param {Blob|String|Uint8Array} data - Contenu du fichier
+     * @param {Date} date - Date de modification
+     * @returns {String} - Nom effectivement utilisé dans l'archive
+     */
+    addFile(name, data, date = new Date()) {
+        const uniqueName = this._uniqueName(name);
+        this.names.add(uniqueName);
+        this.entries.push({ name: uniqueName, data, date });
+        return uniqueName;
+    }
+
+    /**
+     * Ajoute un groupe de fichiers liés (fichier produit, coffre, exports texte)
+     * En cas de collision, le même suffixe (_2, _3...) est appliqué au radical de tous les
+     * noms du groupe : "a.jpg" et "a.jpg.vault.json" deviennent "a_2.jpg" et "a_2.jpg.vault.json"
+     * @param {Array<Object>} files - [{ name, data, date }]
+     * @returns {Array<String>} - Noms effectivement utilisés, dans l'ordre du groupe
+     */
+    addFiles(files) {
+        const split = files.map(({ name }) => this._splitStem(name));
+        const withSuffix = suffix => split.map(([stem, ext]) => `${stem}${suffix}${ext}`);
+
+        let names = withSuffix('');
+        for (let i = 2; names.some(name => this.names.has(name)); i++) {
+            names = withSuffix(`_${i}`);
+        }
+
+        return files.map((file, index) => this.addFile(names[index], file.data, file.date));
+    }
+
+    /**
+     * Génère l'archive ZIP
+     * @param {String} filename - Nom du fichier ZIP
+     * @returns {Promise<File>}
+     */
+    async generate(filename) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        for (const entry of this.entries) {
+            const nameBytes = encoder.encode(entry.name);
+            const data = await this._toBytes(entry.data);
+            const crc = ZipService.crc32(data);
+            const { time, date } = this._dosDateTime(entry.date);
+
+            // En-tête local
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);   // Signature
+            header.setUint16(4, 20, true);           // Version requise
+            header.setUint16(6, 0x0800, true);       // Flag UTF-8
+            header.setUint16(8, 0, true);            // Méthode: store
+            header.setUint16(10, time, true);
+            header.setUint16(12, date, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true); // Taille compressée
+            header.setUint32(22, data.length, true); // Taille réelle
+            header.setUint16(26, nameBytes.length, true);
+            header.setUint16(28, 0, true);           // Champ extra
+
+            parts.push(header, nameBytes, data);
+
+            // Entrée du répertoire central
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true);
+            record.setUint16(4, 20, true);           // Version créatrice
+            record.setUint16(6, 20, true);           // Version requise
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, time, true);
+            record.setUint16(14, date, true);
+            record.setUint32(16, crc, true);
+            record.setUint32(20, data.length, true);
+            record.setUint32(24, data.length, true);
+            record.setUint16(28, nameBytes.length, true);
+            record.setUint16(30, 0, true);           // Champ extra
+            record.setUint16(32, 0, true);           // Commentaire
+            record.setUint16(34, 0, true);           // Disque
+            record.setUint16(36, 0, true);           // Attributs internes
+            record.setUint32(38, 0, true);           // Attributs externes
+            record.setUint32(42, offset, true);      // Offset de l'en-tête local
+
+            centralDirectory.push(record, nameBytes);
+
+            offset += 30 + nameBytes.length + data.length;
+        }
+
+        const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+
+        // Fin du répertoire central
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(4, 0, true);
+        end.setUint16(6, 0, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+        end.setUint16(20, 0, true);
+
+        const blob = new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+        return new File([blob], filename, { type: 'application/zip' });
+    }
+
+    /**
+     * Calcule le CRC-32 d'un tableau d'octets
+     * @param {Uint8Array} bytes
+     * @returns {Number}
+     */
+    static crc32(bytes) {
+        if (!ZipService._crcTable) {
+            ZipService._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipService._crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipService._crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Convertit le contenu d'une entrée en octets
+     * @private
+     */
+    async _toBytes(data) {
+        if (typeof data === 'string') {
+            return new TextEncoder().encode(data);
+        }
+        if (data instanceof Uint8Array) {
+            return data;
+        }
+        return new Uint8Array(await data.arrayBuffer());
+    }
+
+    /**
+     * Convertit une date au format MS-DOS utilisé par le ZIP
+     * @private
+     */
+    _dosDateTime(d) {
+        const time = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+        const date = ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+        return { time, date };
+    }
+
+    /**
+     * Sépare un nom en radical et extensions, au premier point du nom de fichier
+     * ("dossier/a.jpg.vault.json" → ["dossier/a", ".jpg.vault.json"])
+     * @private
+     */
+    _splitStem(name) {
+        const slash = name.lastIndexOf('/');
+        const dot = name.indexOf('.', slash + 2);
+        return dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+    }
+
+    /**
+     * Génère un nom unique dans l'archive
+     * @private
+     */
+    _uniqueName(name) {
+        if (!this.names.has(name)) return name;
+
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.slice(0, dot) : name;
+        const ext = dot > 0 ? name.slice(dot) : '';
+
+        let i = 2;
+        while (this.names.has(`${base}_${i}${ext}`)) i++;
+        return `${base}_${i}${ext}`;
+    }
+}
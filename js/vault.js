@@ -0,0 +1,155 @@
+/**
+ * vault.js
+ * Écran de ré-identification (vault.html) : déchiffre un coffre produit avec l'option
+ * vault et affiche, page par page, la valeur d'origine de chaque jeton et de chaque zone
+ * Rien ne quitte le navigateur ; les valeurs révélées sont effacées de la page par "Clear"
+ */
+
+import { VaultService } from './services/VaultService.js';
+import { AuditService } from './services/AuditService.js';
+
+const vaultService = new VaultService();
+const auditService = new AuditService();
+
+const form = document.getElementById('vault-form');
+const vaultInput = document.getElementById('vault-file');
+const passphraseInput = document.getElementById('vault-passphrase');
+const documentInput = document.getElementById('vault-document');
+const status = document.getElementById('vault-status');
+const resultSection = document.getElementById('vault-result');
+const pagesContainer = document.getElementById('vault-pages');
+const integrity = document.getElementById('vault-integrity');
+
+form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    clearResult();
+
+    const vaultFile = vaultInput.files[0];
+    if (!vaultFile) return;
+
+    status.textContent = 'Decrypting...';
+    status.className = 'text-sm text-slate-400 mr-auto';
+
+    try {
+        const content = await vaultService.open(vaultFile, passphraseInput.value);
+        passphraseInput.value = '';
+
+        await renderIntegrity(content, documentInput.files[0]);
+        renderContent(content);
+        status.textContent = '';
+    } catch (error) {
+        status.textContent = error.message;
+        status.className = 'text-sm text-red-400 mr-auto';
+    }
+});
+
+document.getElementById('vault-clear').addEventListener('click', () => {
+    clearResult();
+    form.reset();
+    status.textContent = '';
+});
+
+// Page disponible hors ligne, comme l'application (voir sw.js)
+if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+    navigator.serviceWorker.register('./sw.js').catch(() => {});
+}
+
+/**
+ * Vérifie que le document caviardé fourni est bien celui du coffre (empreinte SHA-256)
+ */
+async function renderIntegrity(content, documentFile) {
+    if (!documentFile) return;
+
+    const matches = (await auditService.sha256(documentFile)) === content.output.sha256;
+
+    integrity.textContent = matches
+        ? `✓ ${documentFile.name} matches this vault`
+        : `✗ ${documentFile.name} is not the document this vault was created for (${content.output.name})`;
+    integrity.className = matches
+        ? 'text-sm rounded-lg px-3 py-2 bg-emerald-500/10 text-emerald-400'
+        : 'text-sm rounded-lg px-3 py-2 bg-red-500/10 text-red-400';
+}
+
+/**
+ * Affiche le contenu déchiffré
+ * Les valeurs passent par textContent (jamais innerHTML) : un texte OCR ne peut pas injecter de HTML
+ */
+function renderContent(content) {
+    document.getElementById('vault-document-name').textContent = content.document;
+    document.getElementById('vault-meta').textContent =
+        `${content.output.name} · ${new Date(content.createdAt).toLocaleString()}`;
+
+    content.pages.forEach(page => {
+        const section = document.createElement('div');
+        section.className = 'space-y-3';
+
+        const title = document.createElement('h3');
+        title.className = 'text-sm font-semibold uppercase tracking-widest text-sky-400';
+        title.textContent = `Page ${page.pageNumber}`;
+        section.appendChild(title);
+
+        const entities = page.entities.map(e => [e.token || '—', e.type, e.text]);
+        if (entities.length) {
+            section.appendChild(createTable(['Token', 'Type', 'Original value'], entities));
+        }
+
+        const regions = page.regions.map(r => [
+            r.token || '—',
+            r.type || '—',
+            `${r.bbox.x0},${r.bbox.y0} → ${r.bbox.x1},${r.bbox.y1}`,
+            r.text ?? '(drawn by hand)'
+        ]);
+        if (regions.length) {
+            section.appendChild(createTable(['Region', 'Type', 'Position (px)', 'Original text'], regions));
+        }
+
+        if (!entities.length && !regions.length) {
+            const empty = document.createElement('p');
+            empty.className = 'text-sm text-slate-500';
+            empty.textContent = 'Nothing redacted on this page';
+            section.appendChild(empty);
+        }
+
+        pagesContainer.appendChild(section);
+    });
+
+    resultSection.classList.remove('hidden');
+}
+
+/**
+ * Crée un tableau à partir de lignes de texte
+ */
+function createTable(headers, rows) {
+    const table = document.createElement('table');
+    table.className = 'w-full text-sm text-left border-collapse';
+
+    const head = table.createTHead().insertRow();
+    headers.forEach(header => {
+        const th = document.createElement('th');
+        th.className = 'py-2 pr-4 text-xs font-medium text-slate-400 border-b border-slate-800';
+        th.textContent = header;
+        head.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    rows.forEach(cells => {
+        const row = body.insertRow();
+        cells.forEach((cell, i) => {
+            const td = row.insertCell();
+            td.className = `py-1.5 pr-4 border-b border-slate-800/50 ${i === cells.length - 1 ? 'text-white mono' : 'text-slate-300'}`;
+            td.textContent = cell;
+        });
+    });
+
+    return table;
+}
+
+/**
+ * Efface les valeurs révélées de la page
+ */
+function clearResult() {
+    pagesContainer.replaceChildren();
+    integrity.classList.add('hidden');
+    integrity.textContent = '';
+    resultSection.classList.add('hidden');
+}
@@ -8,6 +8,7 @@
 import { LocalSealEngine } from '../LocalSealEngine.js';
 
 let engine = null;
+let controller = null; // Annulation du traitement en cours
 
 /**
  * Initialise le moteur dans le worker
@@ -18,10 +19,10 @@ async function initEngine(licenseStatus) {
         engine = new LocalSealEngine(licenseStatus);
 
         // Configure les callbacks pour envoyer les mises à jour au thread principal
-        engine.onProgress((step, progress, message) => {
+        engine.onProgress((step, progress, message, details) => {
             postMessage({
                 type: 'progress',
-                data: { step, progress, message }
+                data: { step, progress, message, jobId: details.jobId }
             });
         });
 
@@ -32,10 +33,17 @@ async function initEngine(licenseStatus) {
             });
         });
 
-        engine.onError((error) => {
+        engine.onError((error, { jobId }) => {
             postMessage({
                 type: 'error',
-                data: { message: error.message, stack: error.stack }
+                data: { message: error.message, stack: error.stack, jobId }
+            });
+        });
+
+        engine.onCancel(({ jobId, fileName }) => {
+            postMessage({
+                type: 'cancelled',
+                data: { jobId, fileName }
             });
         });
     }
@@ -68,8 +76,11 @@ self.addEventListener('message', async (event) => {
 
                 const { file, options } = payload;
 
+                // Un AbortSignal ne peut pas transiter par postMessage : il est créé ici
+                controller = new AbortController();
+
                 // Lance le traitement
-                const result = await engine.processFile(file, options);
+                const result = await engine.processFile(file, { ...options, signal: controller.signal });
 
                 // Le résultat est déjà envoyé via onComplete
                 // Mais on peut aussi le renvoyer directement
@@ -79,13 +90,22 @@ self.addEventListener('message', async (event) => {
                 });
 
             } catch (error) {
-                postMessage({
-                    type: 'error',
-                    data: { message: error.message }
-                });
+                // L'annulation est déjà signalée via onCancel
+                if (!controller?.signal.aborted) {
+                    postMessage({
+                        type: 'error',
+                        data: { message: error.message }
+                    });
+                }
+            } finally {
+                controller = null;
             }
             break;
 
+        case 'cancel':
+            controller?.abort();
+            break;
+
         case 'terminate':
             if (engine) {
                 await engine.destroy();
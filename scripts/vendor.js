@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * vendor.js
+ * Construit le dossier vendor/ servi avec l'application (npm run build) :
+ * - copie locale des bibliothèques du navigateur, du moteur WebAssembly de Tesseract et des polices
+ * - feuille de style compilée par Tailwind (css/app.css → vendor/app.css)
+ * - liste de précache du service worker (vendor/precache.js), versionnée par le contenu
+ * L'application ne charge ainsi rien depuis un CDN : la CSP de index.html l'interdit
+ */
+
+import { createRequire } from 'node:module';
+import { createHash } from 'node:crypto';
+import { existsSync } from 'node:fs';
+import { execFileSync } from 'node:child_process';
+import { copyFile, mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const VENDOR = path.join(ROOT, 'vendor');
+
+/**
+ * Fichiers copiés : [paquet, chemin dans le paquet, chemin dans vendor/]
+ * Les quatre variantes du moteur Tesseract sont copiées : le worker choisit selon le support
+ * SIMD du poste et le moteur demandé (LSTM pour l'OCR, legacy pour l'OSD)
+ */
+const FILES = [
+    ['tesseract.js', 'dist/tesseract.min.js', 'tesseract/tesseract.min.js'],
+    ['tesseract.js', 'dist/worker.min.js', 'tesseract/worker.min.js'],
+    ...['tesseract-core', 'tesseract-core-simd', 'tesseract-core-lstm', 'tesseract-core-simd-lstm']
+        .map(core => ['tesseract.js-core', `${core}.wasm.js`, `tesseract-core/${core}.wasm.js`]),
+    ['compromise', 'builds/compromise.js', 'compromise/compromise.js'],
+    ['pdfjs-dist', 'build/pdf.min.js', 'pdfjs/pdf.min.js'],
+    ['pdfjs-dist', 'build/pdf.worker.min.js', 'pdfjs/pdf.worker.min.js'],
+    ['jspdf', 'dist/jspdf.umd.min.js', 'jspdf/jspdf.umd.min.js'],
+    ...[300, 400, 500, 600].map(weight =>
+        ['@fontsource/inter', `files/inter-latin-${weight}-normal.woff2`, `fonts/inter-latin-${weight}-normal.woff2`]),
+    ['@fontsource/jetbrains-mono', 'files/jetbrains-mono-latin-400-normal.woff2', 'fonts/jetbrains-mono-latin-400-normal.woff2']
+];
+
+/**
+ * Coquille de l'application, précachée avec vendor/ et les packs de langue de lang/
+ */
+const APP_SHELL = ['index.html', 'vault.html', 'manifest.webmanifest', 'favicon.svg'];
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Dossier d'un paquet installé (certains paquets n'exportent pas leur package.json :
+ * les dossiers node_modules sont parcourus comme le ferait require)
+ */
+function packageDir(name) {
+    const dir = require.resolve.paths(name)
+        .map(modules => path.join(modules, name))
+        .find(candidate => existsSync(path.join(candidate, 'package.json')));
+
+    if (!dir) throw new Error(`Paquet introuvable : ${name} (lancez npm install)`);
+    return dir;
+}
+
+/**
+ * Fichiers d'un dossier, récursivement, en chemins relatifs à la racine (séparateur /)
+ */
+async function listFiles(dir, filter = () => true) {
+    let entries;
+    try {
+        entries = await readdir(path.join(ROOT, dir), { withFileTypes: true });
+    } catch {
+        return [];
+    }
+
+    const files = await Promise.all(entries.map(async (entry) => {
+        const relative = `${dir}/${entry.name}`;
+        if (entry.isDirectory()) return listFiles(relative, filter);
+        return filter(relative) ? [relative] : [];
+    }));
+
+    return files.flat();
+}
+
+async function main() {
+    await rm(VENDOR, { recursive: true, force: true });
+
+    for (const [name, source, target] of FILES) {
+        await mkdir(path.dirname(path.join(VENDOR, target)), { recursive: true });
+        await copyFile(path.join(packageDir(name), source), path.join(VENDOR, target));
+    }
+
+    // Classes Tailwind réellement utilisées par les pages et les scripts (tailwind.config.js)
+    execFileSync(process.execPath, [
+        path.join(packageDir('tailwindcss'), 'lib/cli.js'),
+        '--config', path.join(ROOT, 'tailwind.config.js'),
+        '--input', path.join(ROOT, 'css/app.css'),
+        '--output', path.join(VENDOR, 'app.css'),
+        '--minify'
+    ], { stdio: 'inherit' });
+
+    // Précache : la version change avec le contenu de n'importe quel fichier, ce qui
+    // modifie precache.js et déclenche la mise à jour du service worker
+    const files = [
+        ...APP_SHELL,
+        ...await listFiles('js', file => file.endsWith('.js')),
+        ...await listFiles('vendor'),
+        ...await listFiles('lang', file => file.endsWith('.traineddata.gz'))
+    ].sort();
+
+    const hash = createHash('sha256');
+    for (const file of files) {
+        hash.update(file).update(await readFile(path.join(ROOT, file)));
+    }
+    const version = hash.digest('hex').slice(0, 16);
+
+    await writeFile(path.join(VENDOR, 'precache.js'), [
+        '// Généré par scripts/vendor.js (npm run build), ne pas modifier',
+        `self.PRECACHE = ${JSON.stringify({ version, files: files.map(file => `./${file}`) }, null, 4)};`,
+        ''
+    ].join('\n'));
+
+    console.log(`vendor/ : ${files.length} fichier(s) précaché(s), version ${version}`);
+}
+
+main().catch((error) => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+});
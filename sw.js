@@ -0,0 +1,73 @@
+/**
+ * sw.js
+ * Service worker : application installable et utilisable sans réseau
+ * Précache la coquille de l'application, ses dépendances (vendor/) et les packs de langue (lang/)
+ * listés par vendor/precache.js (npm run build), puis sert ces fichiers depuis le cache.
+ * Seules les requêtes vers l'origine de l'application sont traitées : la CSP interdit les autres
+ */
+
+importScripts('./vendor/precache.js');
+
+const CACHE_PREFIX = 'localseal-';
+const CACHE_NAME = `${CACHE_PREFIX}${self.PRECACHE.version}`;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+
+        await Promise.all(self.PRECACHE.files.map(async (file) => {
+            const response = await fetch(file, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`Précache impossible : ${file} (${response.status})`);
+            }
+
+            // Page servie après redirection (URL sans .html) : recopiée, une réponse
+            // redirigée ne peut pas être rendue à une navigation
+            await cache.put(file, response.redirected
+                ? new Response(await response.blob(), { headers: response.headers })
+                : response);
+        }));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        // Versions précédentes de l'application
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin || !['GET', 'HEAD'].includes(request.method)) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(url.href, { ignoreSearch: true })
+            ?? (request.mode === 'navigate' ? await cache.match(pagePath(url)) : undefined);
+
+        if (!cached) return fetch(request);
+
+        // HEAD : présence d'un pack de langue livré (LanguageManager), sans relire le fichier
+        return request.method === 'HEAD'
+            ? new Response(null, { status: cached.status, headers: cached.headers })
+            : cached;
+    })());
+});
+
+/**
+ * Page précachée correspondant à une navigation ("/" → "/index.html", "/vault" → "/vault.html")
+ */
+function pagePath(url) {
+    const pathname = url.pathname.endsWith('/') ? `${url.pathname}index.html` : url.pathname;
+    return /\.\w+$/.test(pathname) ? pathname : `${pathname}.html`;
+}
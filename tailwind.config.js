@@ -0,0 +1,13 @@
+/**
+ * tailwind.config.js
+ * Compilation de css/app.css dans vendor/app.css (npm run build, voir scripts/vendor.js)
+ * Les scripts sont analysés aussi : ils ajoutent des classes à l'exécution (logs, galerie, relecture)
+ */
+
+export default {
+    content: ['./index.html', './vault.html', './js/**/*.js'],
+    theme: {
+        extend: {}
+    },
+    plugins: []
+};
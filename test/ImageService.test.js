@@ -0,0 +1,76 @@
+/**
+ * Copie réduite pour l'OCR : les échelles de chaque axe tiennent compte de l'arrondi
+ * des dimensions, une zone reportée couvre donc toute la hauteur et toute la largeur d'origine
+ * Aplat et libellé : aucun pixel d'origine ne subsiste dans la zone caviardée
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NodePlatform } from '../js/platform/NodePlatform.js';
+import { ImageService } from '../js/services/ImageService.js';
+import { countRedPixels } from './helpers.js';
+
+const platform = await NodePlatform.create();
+
+test('les bords de la copie réduite reviennent sur les bords du canvas', () => {
+    const imageService = new ImageService(platform);
+    imageService.initCanvas(platform.createCanvas(3001, 1003));
+
+    const { canvas, scaleX, scaleY } = imageService.resizeForOCR({ maxDimension: 1000, dpi: null });
+
+    assert.deepEqual([canvas.width, canvas.height], [1000, 334]);
+    assert.equal(canvas.width / scaleX, 3001);
+    assert.equal(canvas.height / scaleY, 1003);
+});
+
+test('sans réduction, la copie est le canvas lui-même', () => {
+    const imageService = new ImageService(platform);
+    imageService.initCanvas(platform.createCanvas(800, 600));
+
+    const scaled = imageService.resizeForOCR({ maxDimension: 1000, dpi: null });
+
+    assert.equal(scaled.canvas, imageService.canvas);
+    assert.deepEqual([scaled.scale, scaled.scaleX, scaled.scaleY], [1, 1, 1]);
+});
+
+/**
+ * Canvas rempli d'encre rouge semi-transparente sur fond rouge, contexte laissé dans un état
+ * défavorable (transparence, mode de fusion) : le caviardage doit le réinitialiser
+ */
+function redCanvas(width, height) {
+    const imageService = new ImageService(platform);
+    imageService.initCanvas(platform.createCanvas(width, height));
+
+    const { ctx } = imageService;
+    ctx.fillStyle = '#FF0000';
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = 'rgba(255, 40, 40, 0.5)';
+    ctx.fillRect(20, 20, 60, 30);
+    ctx.globalAlpha = 0.3;
+    ctx.globalCompositeOperation = 'multiply';
+
+    return imageService;
+}
+
+for (const style of ['fill', 'label']) {
+    test(`aucun pixel d'origine ne subsiste dans une zone caviardée (${style})`, () => {
+        const imageService = redCanvas(120, 80);
+        const bbox = { x0: 10.4, y0: 15.6, x1: 90.2, y1: 55.5 };
+
+        imageService.redactRegions([{ bbox, type: 'person' }], { style });
+
+        // La zone est arrondie vers l'extérieur : pixels 10-90 × 15-55
+        const inside = imageService.ctx.getImageData(10, 15, 81, 41);
+        assert.equal(countRedPixels(inside), 0);
+
+        // Aplat noir (et libellé blanc) opaque : ni rouge, ni transparence
+        for (let i = 0; i < inside.data.length; i += 4) {
+            const [r, g, b, a] = inside.data.subarray(i, i + 4);
+            assert.ok(r === g && g === b && a === 255, `pixel ${i / 4} : ${[r, g, b, a]}`);
+        }
+
+        // Hors de la zone, l'image est intacte
+        const outside = imageService.ctx.getImageData(0, 0, 120, 15);
+        assert.equal(countRedPixels(outside), 120 * 15);
+    });
+}
@@ -0,0 +1,201 @@
+/**
+ * Moteur de bout en bout sur des PDF natifs (couche texte) : aucun modèle OCR n'est disponible
+ * hors ligne, la lecture des images est donc remplacée par une reconnaissance simulée
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NodePlatform } from '../js/platform/NodePlatform.js';
+import { LocalSealEngine } from '../js/LocalSealEngine.js';
+import { buildPDF } from './helpers.js';
+
+const BLACK = [0, 0, 0];
+
+const platform = await NodePlatform.create();
+
+/**
+ * Moteur dont l'OCR rend `text` sur toute image qu'on lui donne (un mot par ligne)
+ * @returns {Object} - { engine, reads } ; reads : dimensions des images lues
+ */
+function createEngine(text = '') {
+    const engine = new LocalSealEngine({ isPro: true, requiresWatermark: false }, { platform });
+    const reads = [];
+
+    engine.ocrService.extractText = async (canvas) => {
+        reads.push({ width: canvas.width, height: canvas.height });
+
+        const words = text.split(' ').filter(Boolean).map((word, i, all) => ({
+            text: word,
+            confidence: 90,
+            bbox: {
+                x0: Math.floor((canvas.width * i) / all.length),
+                y0: 0,
+                x1: Math.floor((canvas.width * (i + 1)) / all.length),
+                y1: canvas.height
+            }
+        }));
+        return { text, confidence: 90, words, lines: [], blocks: [] };
+    };
+
+    return { engine, reads };
+}
+
+/**
+ * Texte de la couche texte de la première page d'un PDF produit
+ * @returns {Promise<Array<String>>} - Fragments de texte, dans l'ordre du contenu
+ */
+async function readTextLayer(file) {
+    const pdf = await platform.pdfjs.getDocument({ ...platform.pdfOptions, data: new Uint8Array(await file.arrayBuffer()) }).promise;
+
+    try {
+        const content = await (await pdf.getPage(1)).getTextContent();
+        return content.items.map(item => item.str).filter(text => text.trim());
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+/**
+ * Traite un PDF et relève les zones caviardées de chaque page
+ * @returns {Promise<Object>} - { result, boxes } ; boxes : zones de la première page
+ */
+async function redact(engine, pdf, options = {}) {
+    let boxes = [];
+    const capture = async (ctx) => { boxes = ctx.boxes; };
+    engine.addHook('after:nlp', capture);
+
+    try {
+        const file = new File([pdf], 'document.pdf', { type: 'application/pdf' });
+        const result = await engine.processFile(file, { anonymize: true, redactionStyle: 'fill', ...options });
+        return { result, boxes };
+    } finally {
+        engine.removeHook('after:nlp', capture);
+    }
+}
+
+test("le texte d'une image d'une page native est lu par OCR et caviardé", async () => {
+    const { engine, reads } = createEngine('Contact jean.dupont@example.com');
+    const pdf = buildPDF([['Facture du 12 mars, reglement a trente jours.', BLACK]], {
+        image: { x: 300, y: 500, width: 200, height: 60 }
+    });
+
+    const { result, boxes } = await redact(engine, pdf);
+
+    // Seule l'image est lue (page rendue à 144 DPI : 2 pixels par point)
+    assert.deepEqual(reads, [{ width: 400, height: 120 }]);
+    assert.equal(result.pages[0].source, 'text-layer');
+    assert.equal(result.pages[0].imageRegions, 1);
+    assert.equal(result.text, 'Facture du 12 mars, reglement a trente jours.\nContact jean.dupont@example.com');
+
+    const email = boxes.find(box => box.type === 'email');
+    assert.ok(email, "l'adresse lue dans l'image doit être détectée");
+    assert.deepEqual(email.bbox, { x0: 800, y0: 564, x1: 1000, y1: 684 });
+});
+
+test("une page native sans image n'est pas lue par OCR", async () => {
+    const { engine, reads } = createEngine();
+    const pdf = buildPDF([['Facture du 12 mars, reglement a trente jours.', BLACK]]);
+
+    const { result } = await redact(engine, pdf);
+
+    assert.equal(reads.length, 0);
+    assert.equal(result.pages[0].imageRegions, 0);
+});
+
+test('les mots voisins d\'une zone caviardée restent dans la couche texte recherchable', async () => {
+    const { engine } = createEngine();
+    const pdf = buildPDF([['Contact : Jean Dupont, tel 06 12 34 56 78 pour le dossier', BLACK]], {
+        lines: ['Merci de joindre le IBAN FR7630006000011234567890189 a la demande.']
+    });
+
+    const { result } = await redact(engine, pdf, { redactionStyle: 'label', searchable: true });
+    const text = (await readTextLayer(result.file)).join('');
+
+    // Aucune valeur caviardée, un libellé par entité (le téléphone compte cinq mots)
+    assert.doesNotMatch(text, /Jean|Dupont|12|FR76/);
+    const labels = text.match(/\[[A-Z]+\]/g);
+    assert.equal(labels.filter(label => label === '[PHONE]').length, 1);
+    assert.equal(labels.filter(label => label === '[IBAN]').length, 1);
+
+    // Tous les autres mots, y compris ceux qui touchent une zone, sont cherchables
+    assert.equal(
+        text.replace(/\[[A-Z]+\]/g, '#').replace(/\s/g, ''),
+        'Contact:#tel#pourledossierMercidejoindreleIBAN#alademande.'
+    );
+});
+
+test("en mode 'omit', les mots caviardés sont retirés sans libellé", async () => {
+    const { engine } = createEngine();
+    const pdf = buildPDF([['Appeler le 06 12 34 56 78 pour le dossier', BLACK]]);
+
+    const { result } = await redact(engine, pdf, { redactionStyle: 'fill', searchable: true, redactedText: 'omit' });
+    const text = (await readTextLayer(result.file)).join('');
+
+    assert.equal(text.replace(/\s/g, ''), 'Appelerlepourledossier');
+});
+
+test('le seuil de confiance du profil signale les zones à vérifier dans le résultat et l\'audit', async () => {
+    const pdf = buildPDF([['Facture du 12 mars, reglement a trente jours.', BLACK]], {
+        image: { x: 300, y: 500, width: 200, height: 60 }
+    });
+    const policy = (minConfidence) => ({ id: 'seuil', minConfidence, entities: { email: {} } });
+
+    // L'OCR simulé lit l'image avec 90 % de confiance
+    const strict = await redact(createEngine('jean.dupont@example.com').engine, pdf, { policy: policy(95), audit: true });
+    const lenient = await redact(createEngine('jean.dupont@example.com').engine, pdf, { policy: policy(50), audit: true });
+
+    // L'adresse est caviardée dans les deux cas, seul le signalement change
+    assert.equal(strict.boxes.length, 1);
+    assert.equal(lenient.boxes.length, 1);
+
+    assert.equal(strict.result.lowConfidence, 1);
+    assert.equal(strict.result.pages[0].lowConfidence, 1);
+    assert.equal(strict.result.audit.lowConfidenceCount, 1);
+    assert.equal(strict.result.audit.regions[0].lowConfidence, true);
+
+    assert.equal(lenient.result.lowConfidence, 0);
+    assert.equal(lenient.result.audit.regions[0].lowConfidence, false);
+});
+
+test('les pseudonymes sont partagés dans une série, propres à chaque série, et inscrits en libellé', async () => {
+    const { engine } = createEngine();
+    const pdf = (line) => new File([buildPDF([[line, BLACK]])], 'document.pdf', { type: 'application/pdf' });
+
+    const boxes = [];
+    engine.addHook('after:nlp', async (ctx) => { boxes.push(...ctx.boxes); });
+
+    const options = { anonymize: true, pseudonymize: true, redactionStyle: 'fill', archive: false };
+    const batch = await engine.processBatch([
+        pdf('Ecrire a jean.dupont@example.com pour le dossier.'),
+        pdf('Copie a marie.curie@example.com et jean.dupont@example.com.')
+    ], options);
+    const next = await engine.processBatch([pdf('Ecrire a marie.curie@example.com pour le dossier.')], options);
+
+    // Même adresse, même pseudonyme d'un fichier à l'autre de la série
+    assert.equal(batch.results[0].result.text, 'Ecrire a [Email 1] pour le dossier.');
+    assert.equal(batch.results[1].result.text, 'Copie a [Email 2] et [Email 1].');
+
+    // La série suivante repart d'une table vierge
+    assert.equal(next.results[0].result.text, 'Ecrire a [Email 1] pour le dossier.');
+
+    // Le style choisi est remplacé par le libellé du pseudonyme
+    assert.equal(boxes.length, 4);
+    assert.ok(boxes.every(box => box.style === 'label'));
+    assert.deepEqual(boxes.map(box => box.label), ['[Email 1]', '[Email 2]', '[Email 1]', '[Email 1]']);
+});
+
+test("en extraction seule, le texte rendu est masqué dès que l'anonymisation est active", async () => {
+    const { engine } = createEngine();
+    const pdf = buildPDF([['Ecrire a jean.dupont@example.com pour le dossier.', BLACK]]);
+    const masked = `Ecrire a ${'█'.repeat('jean.dupont@example.com'.length)} pour le dossier.`;
+
+    const { result } = await redact(engine, pdf, { extractTextOnly: true });
+
+    assert.equal(result.text, masked);
+    assert.equal(result.file.name, 'document.txt');
+    assert.equal(await result.file.text(), masked);
+
+    // Sans anonymisation, l'extraction rend le texte tel quel
+    const raw = await redact(engine, pdf, { extractTextOnly: true, anonymize: false });
+    assert.equal(raw.result.text, 'Ecrire a jean.dupont@example.com pour le dossier.');
+});
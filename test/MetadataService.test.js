@@ -0,0 +1,144 @@
+/**
+ * Métadonnées d'entrée : aucune ne subsiste dans les fichiers produits
+ * Des images et un PDF portant EXIF, GPS, XMP, chunks texte PNG et dictionnaire Info
+ * sont exportés comme par le moteur (exportAsFile, exportAsPDF) ; les octets produits
+ * ne doivent contenir aucune des valeurs d'entrée
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NodePlatform } from '../js/platform/NodePlatform.js';
+import { ImageService } from '../js/services/ImageService.js';
+import { MetadataService } from '../js/services/MetadataService.js';
+import { buildJPEG, buildPDF, buildPNG, buildTIFF } from './helpers.js';
+
+const SECRETS = {
+    make: 'SecretCam',
+    model: 'Modele-X42',
+    artist: 'Jeanne Confidentielle',
+    software: 'RetoucheSecrete 7',
+    comment: 'Commentaire interne 0042',
+    xmpCreator: 'Auteur XMP Anonyme',
+    xmpTool: 'OutilXMP Secret',
+    pngAuthor: 'Auteur PNG Discret',
+    pngLocation: 'Rue des Secrets 12',
+    pdfTitle: 'Dossier Patient 4711',
+    pdfAuthor: 'Docteur Inconnu',
+    pdfCreator: 'ScannerSecret 9'
+};
+
+// Marqueurs des conteneurs de métadonnées : leur présence seule est une fuite
+const MARKERS = ['Exif\u0000\u0000', '<x:xmpmeta', 'XML:com.adobe.xmp', 'eXIf', 'tEXt', 'iTXt'];
+
+const TIFF = buildTIFF([
+    [0x010F, 2, SECRETS.make],
+    [0x0110, 2, SECRETS.model],
+    [0x013B, 2, SECRETS.artist],
+    [0x0131, 2, SECRETS.software],
+    [0x0112, 3, 1]
+], [
+    [0x0001, 2, 'N'],
+    [0x0002, 5, [[48, 1], [51, 1], [2950, 100]]],
+    [0x0003, 2, 'E'],
+    [0x0004, 5, [[2, 1], [17, 1], [4020, 100]]]
+]);
+
+const XMP = `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">`
+    + `<rdf:Description xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="http://ns.adobe.com/xap/1.0/"`
+    + ` xmp:CreatorTool="${SECRETS.xmpTool}"><dc:creator>${SECRETS.xmpCreator}</dc:creator></rdf:Description>`
+    + `</rdf:RDF></x:xmpmeta>`;
+
+const platform = await NodePlatform.create();
+const metadataService = new MetadataService();
+
+/**
+ * Octets lus en latin-1 : les valeurs ASCII se retrouvent telles quelles
+ */
+function latin1(bytes) {
+    return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+}
+
+/**
+ * Vérifie qu'un fichier produit ne porte aucune valeur ni aucun conteneur de métadonnées
+ */
+async function assertClean(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const text = latin1(bytes);
+
+    Object.entries(SECRETS).forEach(([name, value]) => {
+        assert.ok(!text.includes(value), `${file.name} contient ${name} ("${value}")`);
+    });
+    MARKERS.forEach(marker => {
+        assert.ok(!text.includes(marker), `${file.name} contient le marqueur ${JSON.stringify(marker)}`);
+    });
+
+    if (file.type !== 'application/pdf') {
+        assert.deepEqual(metadataService.inspectImage(bytes).entries, [], `${file.name} : métadonnées image`);
+    }
+    assert.deepEqual(await metadataService.findLeaks(file), [], `${file.name} : findLeaks`);
+}
+
+/**
+ * Charge le fichier comme le moteur, puis l'exporte en JPEG, en PNG et en PDF
+ */
+async function exportAll(file, type) {
+    const imageService = new ImageService(platform);
+    const document = await imageService.openDocument(file, type);
+
+    try {
+        const { image, pageSize } = await document.loadPage(1);
+        imageService.initCanvas(image);
+
+        return {
+            metadata: document.metadata,
+            outputs: [
+                await imageService.exportAsFile('out.jpg', 'image/jpeg', 0.92),
+                await imageService.exportAsFile('out.png', 'image/png'),
+                await imageService.exportAsPDF('out.pdf', 0.92, [imageService.capturePage(pageSize, 0.92)])
+            ]
+        };
+    } finally {
+        document.close();
+    }
+}
+
+test('JPEG : EXIF, GPS, XMP et commentaire ne subsistent pas', async () => {
+    const bytes = await buildJPEG(platform, { tiff: TIFF, xmp: XMP, comment: SECRETS.comment });
+    const { metadata, outputs } = await exportAll(new Blob([bytes], { type: 'image/jpeg' }), 'image/jpeg');
+
+    // Le fichier d'entrée porte bien toutes ces métadonnées
+    const names = metadata.entries.map(entry => entry.name);
+    ['Make', 'Model', 'Artist', 'Software', 'GPSLatitude', 'GPSLongitude', 'dc:creator', 'Comment']
+        .forEach(name => assert.ok(names.includes(name), `entrée ${name} attendue dans le fichier d'entrée`));
+
+    for (const output of outputs) await assertClean(output);
+});
+
+test('PNG : chunks texte, XMP et eXIf ne subsistent pas', async () => {
+    const bytes = await buildPNG(platform, {
+        text: { Author: SECRETS.pngAuthor, Location: SECRETS.pngLocation },
+        xmp: XMP,
+        tiff: TIFF
+    });
+    const { metadata, outputs } = await exportAll(new Blob([bytes], { type: 'image/png' }), 'image/png');
+
+    const names = metadata.entries.map(entry => entry.name);
+    ['Author', 'Location', 'dc:creator', 'Make', 'GPSLatitude']
+        .forEach(name => assert.ok(names.includes(name), `entrée ${name} attendue dans le fichier d'entrée`));
+
+    for (const output of outputs) await assertClean(output);
+});
+
+test('PDF : dictionnaire Info et XMP ne subsistent pas', async () => {
+    const bytes = buildPDF([['Page de test sans donnee personnelle.', [0, 0, 0]]], {
+        info: { Title: SECRETS.pdfTitle, Author: SECRETS.pdfAuthor, Creator: SECRETS.pdfCreator },
+        xmp: XMP
+    });
+    const { metadata, outputs } = await exportAll(new Blob([bytes], { type: 'application/pdf' }), 'application/pdf');
+
+    const values = metadata.entries.map(entry => entry.value);
+    [SECRETS.pdfTitle, SECRETS.pdfAuthor, SECRETS.pdfCreator, SECRETS.xmpCreator]
+        .forEach(value => assert.ok(values.includes(value), `valeur "${value}" attendue dans le fichier d'entrée`));
+
+    for (const output of outputs) await assertClean(output);
+});
@@ -0,0 +1,68 @@
+/**
+ * Correspondance entités → mots OCR : chaque occurrence d'un nom répété est caviardée, et la
+ * zone d'un mot est réduite à l'entité quand une ponctuation y est collée
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NodePlatform } from '../js/platform/NodePlatform.js';
+import { NLPProcessor } from '../js/services/NLPProcessor.js';
+
+const nlp = new NLPProcessor(await NodePlatform.create());
+
+/**
+ * Mots OCR d'une ligne, 10 pixels par caractère et un espace de 10 pixels entre deux mots
+ */
+function line(text) {
+    let x = 0;
+    return text.split(' ').map((word) => {
+        const bbox = { x0: x, y0: 0, x1: x + word.length * 10, y1: 20 };
+        x = bbox.x1 + 10;
+        return { text: word, confidence: 90, bbox };
+    });
+}
+
+const person = (...names) => ({ entities: names.map(text => ({ type: 'person', text })), sensitive: [] });
+
+test('un nom répété est caviardé à chaque occurrence, une zone par mot et un span par occurrence', () => {
+    const text = 'Jean Dupont, voir Dupont pour Dupont.';
+    const boxes = nlp.mapEntitiesToWords(person('Jean Dupont', 'Dupont'), line(text), text);
+
+    // "Jean Dupont" (le plus long) couvre la première occurrence de "Dupont"
+    assert.deepEqual(boxes.map(({ text: value, wordIndex, spanStart }) => ({ value, wordIndex, spanStart })), [
+        { value: 'Jean', wordIndex: 0, spanStart: 0 },
+        { value: 'Dupont', wordIndex: 1, spanStart: 0 },
+        { value: 'Dupont', wordIndex: 3, spanStart: 18 },
+        { value: 'Dupont', wordIndex: 5, spanStart: 30 }
+    ]);
+    assert.ok(boxes.every(box => box.type === 'person' && box.label === '[PERSON]'));
+});
+
+test('la ponctuation collée au mot reste hors de la zone, à un demi-caractère près', () => {
+    const text = 'Jean Dupont, voir (Dupont).';
+    const boxes = nlp.mapEntitiesToWords(person('Dupont'), line(text), text);
+
+    assert.deepEqual(boxes.map(box => box.bbox), [
+        // "Dupont," (x 50 → 120) : 6 caractères sur 7, plus un demi-caractère
+        { x0: 50, y0: 0, x1: 115, y1: 20 },
+        // "(Dupont)." (x 180 → 270) : caractères 1 à 7 sur 9, un demi-caractère de chaque côté
+        { x0: 185, y0: 0, x1: 255, y1: 20 }
+    ]);
+});
+
+test("un mot entièrement couvert garde sa zone, un nom n'est pas cherché dans un autre mot", () => {
+    const text = 'Jeanne et Jean';
+    const boxes = nlp.mapEntitiesToWords(person('Jean'), line(text), text);
+
+    assert.equal(boxes.length, 1);
+    assert.equal(boxes[0].wordIndex, 2);
+    assert.deepEqual(boxes[0].bbox, { x0: 100, y0: 0, x1: 140, y1: 20 });
+});
+
+test('la réduction suit la ligne de base : un mot écrit de bas en haut est rogné verticalement', () => {
+    // Mot tourné de 90° : lu de bas en haut, la fin du mot est en haut de la zone
+    const word = { text: 'Dupont,', start: 0, end: 7, bbox: { x0: 0, y0: 0, x1: 20, y1: 70 }, baseline: { x0: 20, y0: 70, x1: 20, y1: 0 } };
+
+    assert.deepEqual(nlp._trimBox(word, 0, 6), { x0: 0, y0: 5, x1: 20, y1: 70 });
+    assert.deepEqual(nlp._trimBox(word, 0, 7), word.bbox);
+});
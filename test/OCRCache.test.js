@@ -0,0 +1,137 @@
+/**
+ * Cache OCR sur un IndexedDB en mémoire : éviction des entrées les moins récemment lues,
+ * et résultats lisibles seulement avec la clé conservée dans la base
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OCRCache } from '../js/services/OCRCache.js';
+
+/**
+ * IndexedDB minimal en mémoire : requêtes réglées de façon synchrone, transaction terminée
+ * à la tâche suivante (comme un vrai IndexedDB, après ses requêtes)
+ * @returns {Object} - { indexedDB, records } ; records(magasin) : Map clé → valeur de ce magasin
+ */
+function memoryIndexedDB() {
+    const stores = new Map(); // nom → { records, keyPath }
+    const request = (result) => ({ result });
+
+    const objectStore = ({ records, keyPath }) => ({
+        get: (key) => request(records.get(key)),
+        getAll: () => request([...records.values()]),
+        put: (value, key) => request(records.set(keyPath ? value[keyPath] : key, value)),
+        delete: (key) => request(records.delete(key)),
+        clear: () => request(records.clear())
+    });
+
+    const database = {
+        objectStoreNames: { contains: (name) => stores.has(name) },
+        createObjectStore: (name, options) => stores.set(name, { records: new Map(), keyPath: options?.keyPath }),
+        transaction: () => {
+            const transaction = { objectStore: (name) => objectStore(stores.get(name)) };
+            setTimeout(() => transaction.oncomplete());
+            return transaction;
+        },
+        close: () => {}
+    };
+
+    const open = () => {
+        const openRequest = { result: database };
+        const upgrade = stores.size === 0;
+        setTimeout(() => {
+            if (upgrade) openRequest.onupgradeneeded();
+            openRequest.onsuccess();
+        });
+        return openRequest;
+    };
+
+    return { indexedDB: { open }, records: (name) => stores.get(name).records };
+}
+
+/**
+ * Horloge de Date.now() qui avance d'une milliseconde par lecture : l'ordre des accès est strict
+ */
+function tickingClock(t) {
+    let now = 0;
+    t.mock.method(Date, 'now', () => ++now);
+}
+
+test("les entrées les moins récemment lues sont évincées au-delà du nombre d'entrées", async (t) => {
+    tickingClock(t);
+    const cache = new OCRCache({ indexedDB: memoryIndexedDB().indexedDB, maxEntries: 2 });
+
+    await cache.set('a', { text: 'A' });
+    await cache.set('b', { text: 'B' });
+
+    // Lire "a" le rend plus récent que "b"
+    assert.deepEqual(await cache.get('a'), { text: 'A' });
+    await cache.set('c', { text: 'C' });
+
+    assert.equal(await cache.get('b'), null);
+    assert.deepEqual(await cache.get('a'), { text: 'A' });
+    assert.deepEqual(await cache.get('c'), { text: 'C' });
+    assert.equal((await cache.stats()).entries, 2);
+});
+
+test('la taille totale des résultats chiffrés est bornée', async (t) => {
+    tickingClock(t);
+    const value = { text: 'x'.repeat(100) };
+    // Taille chiffrée : JSON + étiquette AES-GCM de 16 octets
+    const size = JSON.stringify(value).length + 16;
+    const cache = new OCRCache({ indexedDB: memoryIndexedDB().indexedDB, maxBytes: size * 2 });
+
+    await cache.set('a', value);
+    await cache.set('b', value);
+    await cache.set('c', value);
+
+    assert.deepEqual(await cache.stats(), { entries: 2, bytes: size * 2, maxBytes: size * 2, maxEntries: OCRCache.LIMITS.maxEntries });
+    assert.equal(await cache.get('a'), null);
+
+    // Un résultat plus grand que tout le cache n'est pas conservé
+    await cache.set('big', { text: 'x'.repeat(size * 2) });
+    assert.equal(await cache.get('big'), null);
+    assert.equal((await cache.stats()).entries, 2);
+});
+
+test('les résultats ne se déchiffrent qu\'avec la clé conservée dans la base', async () => {
+    const { indexedDB, records } = memoryIndexedDB();
+
+    const cache = new OCRCache({ indexedDB });
+    await cache.set('page', { text: 'Jean Dupont' });
+
+    // Stocké chiffré, relu par une autre instance grâce à la clé de la base
+    const entry = records(OCRCache.STORES.entries).get('page');
+    assert.doesNotMatch(new TextDecoder().decode(entry.data), /Jean/);
+    assert.deepEqual(await new OCRCache({ indexedDB }).get('page'), { text: 'Jean Dupont' });
+
+    // Une entrée déplacée sous une autre clé est rejetée (clé authentifiée) et retirée
+    records(OCRCache.STORES.entries).set('autre', entry);
+    assert.equal(await cache.get('autre'), null);
+    assert.equal(records(OCRCache.STORES.entries).has('autre'), false);
+
+    // Clé renouvelée : les anciennes entrées sont illisibles et retirées
+    const renewed = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    records(OCRCache.STORES.keys).set('aes', renewed);
+    assert.equal(await new OCRCache({ indexedDB }).get('page'), null);
+    assert.equal((await cache.stats()).entries, 0);
+});
+
+test('clear() vide le cache et détruit la clé', async () => {
+    const { indexedDB, records } = memoryIndexedDB();
+    const cache = new OCRCache({ indexedDB });
+
+    await cache.set('page', { text: 'Jean Dupont' });
+    const key = records(OCRCache.STORES.keys).get('aes');
+    await cache.clear();
+
+    assert.equal((await cache.stats()).entries, 0);
+    await cache.set('page', { text: 'Marie Curie' });
+    assert.notEqual(records(OCRCache.STORES.keys).get('aes'), key);
+});
+
+test('sans IndexedDB, le cache est désactivé', async () => {
+    const cache = new OCRCache({ indexedDB: null });
+
+    assert.equal(cache.enabled, false);
+    await assert.rejects(cache.get('page'), /IndexedDB indisponible/);
+});
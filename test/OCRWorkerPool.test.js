@@ -0,0 +1,75 @@
+/**
+ * Pool de workers OCR : comme Tesseract, un worker terminé ne règle jamais le job en cours ;
+ * la tâche est réglée par le pool, et son exécution se termine
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OCRWorkerPool } from '../js/services/OCRWorkerPool.js';
+
+/**
+ * Pool dont les workers ne répondent jamais et dont les exécutions sont suivies
+ */
+function hangingPool() {
+    const workers = [];
+    const pool = new OCRWorkerPool({
+        size: 1,
+        idleTimeout: 0,
+        createWorker: async (language) => {
+            const worker = { language, terminated: false, terminate: async () => { worker.terminated = true; } };
+            workers.push(worker);
+            return worker;
+        }
+    });
+
+    const runs = [];
+    const start = pool._start.bind(pool);
+    pool._start = (job, slot) => {
+        const run = start(job, slot);
+        runs.push(run);
+        return run;
+    };
+
+    return { pool, workers, runs };
+}
+
+const never = () => new Promise(() => {});
+
+const settled = (promises) => Promise.race([
+    Promise.all(promises).then(() => true),
+    new Promise(resolve => setTimeout(resolve, 200, false))
+]);
+
+test("l'annulation règle la tâche en cours et libère le pool", async () => {
+    const { pool, workers, runs } = hangingPool();
+    const controller = new AbortController();
+
+    const running = pool.run('eng', 'A', never, controller.signal);
+    const queued = pool.run('eng', 'B', async worker => worker);
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    controller.abort(new DOMException('Annulé', 'AbortError'));
+
+    await assert.rejects(running, { name: 'AbortError' });
+    assert.equal(workers[0].terminated, true);
+
+    // La tâche suivante s'exécute sur un nouveau worker
+    assert.equal(await queued, workers[1]);
+    assert.equal(await settled(runs), true);
+    await pool.terminate();
+});
+
+test('terminate() règle les tâches en cours et en attente', async () => {
+    const { pool, runs } = hangingPool();
+
+    const running = pool.run('eng', 'A', never);
+    const queued = pool.run('eng', 'B', never);
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    await pool.terminate();
+
+    await assert.rejects(running, /Pool OCR terminé/);
+    await assert.rejects(queued, /Pool OCR terminé/);
+    assert.equal(await settled(runs), true);
+    assert.equal(pool.workerCount, 0);
+});
@@ -0,0 +1,49 @@
+/**
+ * Profils de caviardage : le seuil de confiance ne rend jamais une zone lisible,
+ * un type d'entité inconnu rend le profil invalide
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PolicyManager } from '../js/services/PolicyManager.js';
+
+const bbox = { x0: 10, y0: 10, x1: 50, y1: 20 };
+
+test('une détection sous le seuil reste caviardée et est signalée', () => {
+    const policy = PolicyManager.validate({ id: 'seuil', minConfidence: 60, entities: { email: {} } });
+
+    const boxes = PolicyManager.applyToBoxes(policy, [
+        { type: 'email', confidence: 30, bbox },
+        { type: 'email', confidence: 90, bbox }
+    ]);
+
+    assert.equal(boxes.length, 2);
+    assert.equal(boxes[0].lowConfidence, true);
+    assert.equal(boxes[1].lowConfidence, undefined);
+});
+
+test('les types absents du profil restent en clair', () => {
+    const policy = new PolicyManager(null).get('invoice');
+
+    const boxes = PolicyManager.applyToBoxes(policy, [
+        { type: 'amount', confidence: 90, bbox },
+        { type: 'iban', confidence: 10, bbox }
+    ]);
+
+    assert.deepEqual(boxes.map(box => box.type), ['iban']);
+});
+
+test('un type d\'entité inconnu est refusé', () => {
+    assert.throws(
+        () => PolicyManager.validate({ id: 'faute', entities: { EMIAL: {} } }),
+        /type d'entité inconnu "EMIAL"/
+    );
+    assert.throws(
+        () => PolicyManager.validate({ id: 'faute', entities: { email: {}, adresse: false } }),
+        /type d'entité inconnu "adresse"/
+    );
+});
+
+test('les profils intégrés sont valides', () => {
+    PolicyManager.BUILT_IN.forEach(policy => assert.doesNotThrow(() => PolicyManager.validate(policy)));
+});
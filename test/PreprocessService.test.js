@@ -0,0 +1,72 @@
+/**
+ * Redressement des scans : la copie redressée ne rogne pas les coins de la page,
+ * et mapPoint reporte ses coordonnées au bon endroit du canvas d'origine
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NodePlatform } from '../js/platform/NodePlatform.js';
+import { PreprocessService } from '../js/services/PreprocessService.js';
+
+const platform = await NodePlatform.create();
+
+/**
+ * Page 800×600 : lignes de « texte » inclinées de `skew` degrés et un carré rouge
+ * dans le coin supérieur gauche ({ x0, y0, x1, y1 })
+ */
+function skewedPage(skew, square) {
+    const canvas = platform.createCanvas(800, 600);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, 800, 600);
+
+    ctx.save();
+    ctx.translate(400, 300);
+    ctx.rotate(skew * Math.PI / 180);
+    ctx.fillStyle = '#000000';
+    for (let y = -220; y <= 220; y += 30) ctx.fillRect(-320, y, 640, 8);
+    ctx.restore();
+
+    ctx.fillStyle = '#ff0000';
+    ctx.fillRect(square.x0, square.y0, square.x1 - square.x0, square.y1 - square.y0);
+
+    return canvas;
+}
+
+test('le texte près des bords survit au redressement et revient à sa place', () => {
+    const square = { x0: 2, y0: 2, x1: 22, y1: 22 };
+    const source = skewedPage(4, square);
+
+    const { canvas, skewAngle, mapPoint } = new PreprocessService(platform).process(source, ['deskew']);
+    assert.ok(Math.abs(skewAngle - 4) < 0.5, `inclinaison estimée : ${skewAngle}°`);
+
+    // Pixels rouges de la copie redressée, reportés sur l'original
+    const { data, width, height } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    const mapped = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            if (data[i] > 180 && data[i + 1] < 80 && data[i + 2] < 80) mapped.push(mapPoint(x + 0.5, y + 0.5));
+        }
+    }
+
+    // Le carré du coin n'est pas rogné (rotation sans perte de surface)
+    const area = (square.x1 - square.x0) * (square.y1 - square.y0);
+    assert.ok(mapped.length > area * 0.8, `${mapped.length} pixels rouges sur ${area}`);
+
+    // Chacun revient dans le carré d'origine (à un pixel près, lissage de la rotation)
+    mapped.forEach(({ x, y }) => {
+        assert.ok(x > square.x0 - 1.5 && x < square.x1 + 1.5 && y > square.y0 - 1.5 && y < square.y1 + 1.5,
+            `pixel reporté hors du carré : (${x.toFixed(1)}, ${y.toFixed(1)})`);
+    });
+});
+
+test('sans inclinaison, la copie garde les dimensions de la page', () => {
+    const source = skewedPage(0, { x0: 2, y0: 2, x1: 22, y1: 22 });
+    const { canvas, skewAngle, mapPoint } = new PreprocessService(platform).process(source, ['deskew']);
+
+    assert.equal(skewAngle, 0);
+    assert.deepEqual([canvas.width, canvas.height], [800, 600]);
+    assert.deepEqual(mapPoint(10, 20), { x: 10, y: 20 });
+});
@@ -0,0 +1,56 @@
+/**
+ * Pseudonymes : une même entité garde son pseudonyme dans une série, et le sel tiré pour
+ * chaque série empêche de relier deux séries entre elles
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Pseudonymizer } from '../js/services/Pseudonymizer.js';
+
+test('une même valeur reçoit le même pseudonyme dans une série', async () => {
+    const pseudonymizer = new Pseudonymizer();
+
+    const first = await pseudonymizer.pseudonymFor('person', 'Jean Dupont');
+    const other = await pseudonymizer.pseudonymFor('person', 'Marie Curie');
+
+    // La casse, les accents et les espaces n'en font pas une autre personne
+    assert.equal(await pseudonymizer.pseudonymFor('person', 'JEAN  dupont'), first);
+    assert.equal(await pseudonymizer.pseudonymFor('person', 'Jéan Dupont'), first);
+
+    assert.equal(first, 'Person A');
+    assert.equal(other, 'Person B');
+    assert.equal(pseudonymizer.size, 2);
+
+    // Chaque type a sa propre numérotation
+    assert.equal(await pseudonymizer.pseudonymFor('email', 'jean@example.com'), 'Email 1');
+});
+
+test('deux séries tirent des sels différents et ne partagent pas leurs empreintes', async () => {
+    const first = new Pseudonymizer();
+    const second = new Pseudonymizer();
+
+    assert.notDeepEqual(first.salt, second.salt);
+    assert.notEqual(await first._digest('person\u0000jean dupont'), await second._digest('person\u0000jean dupont'));
+
+    // Avec le même sel, l'empreinte est la même
+    const replay = new Pseudonymizer({ salt: first.salt });
+    assert.equal(await replay._digest('person\u0000jean dupont'), await first._digest('person\u0000jean dupont'));
+});
+
+test("les pseudonymes d'une série ne dépendent que de l'ordre d'apparition dans cette série", async () => {
+    const first = new Pseudonymizer();
+    await first.pseudonymFor('person', 'Jean Dupont');
+    assert.equal(await first.pseudonymFor('person', 'Marie Curie'), 'Person B');
+
+    const second = new Pseudonymizer();
+    assert.equal(await second.pseudonymFor('person', 'Marie Curie'), 'Person A');
+});
+
+test('les lettres continuent façon tableur après Z', async () => {
+    const pseudonymizer = new Pseudonymizer();
+
+    assert.equal(pseudonymizer._format('person', 26), 'Person Z');
+    assert.equal(pseudonymizer._format('person', 27), 'Person AA');
+    assert.equal(pseudonymizer._format('person', 28), 'Person AB');
+    assert.equal(pseudonymizer._format('iban', 3), 'IBAN 3');
+});
@@ -0,0 +1,88 @@
+/**
+ * Exports texte : aucune valeur d'entité ne sort en clair, quel que soit le format ;
+ * les positions du JSON désignent le texte masqué et le Markdown garde les lignes OCR
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NodePlatform } from '../js/platform/NodePlatform.js';
+import { NLPProcessor } from '../js/services/NLPProcessor.js';
+import { TextExportService } from '../js/services/TextExportService.js';
+
+const service = new TextExportService(new NLPProcessor(await NodePlatform.create()));
+
+const EMAIL = 'jean.dupont@example.com';
+const IBAN = 'FR7630006000011234567890189';
+
+const pages = [
+    {
+        pageNumber: 1,
+        ocrResult: {
+            text: `Contact : ${EMAIL}\nIBAN ${IBAN}\n# Total : 3 * 12`,
+            lines: [{ text: `Contact : ${EMAIL}` }, { text: `IBAN ${IBAN}` }, { text: '# Total : 3 * 12' }]
+        },
+        nlpResult: { entities: [], sensitive: [{ type: 'email', text: EMAIL }, { type: 'iban', text: IBAN }] }
+    },
+    {
+        pageNumber: 2,
+        ocrResult: { text: `Copie a ${EMAIL}`, lines: [] },
+        nlpResult: { entities: [], sensitive: [{ type: 'email', text: EMAIL }] }
+    }
+];
+
+const exportAll = (formats) => service.createExports(formats, { name: 'dossier.pdf', baseName: 'dossier_redacted', pages });
+
+test("l'export txt masque chaque entité sur toute sa longueur, une page par saut de page", async () => {
+    const { txt } = exportAll(['txt']);
+
+    assert.equal(txt.name, 'dossier_redacted.txt');
+    assert.equal(await txt.text(), [
+        `Contact : ${'█'.repeat(EMAIL.length)}\nIBAN ${'█'.repeat(IBAN.length)}\n# Total : 3 * 12`,
+        `Copie a ${'█'.repeat(EMAIL.length)}`
+    ].join('\f'));
+});
+
+test("l'export json donne type, position et longueur des entités, jamais leur valeur", async () => {
+    const { json } = exportAll(['json']);
+    const content = await json.text();
+    const doc = JSON.parse(content);
+
+    assert.doesNotMatch(content, /jean|dupont|FR76/i);
+    assert.equal(doc.document, 'dossier.pdf');
+    assert.equal(doc.masking, 'block');
+    assert.equal(doc.pageCount, 2);
+
+    assert.deepEqual(doc.pages[0].entities, [
+        { type: 'email', offset: 10, length: EMAIL.length },
+        { type: 'iban', offset: 39, length: IBAN.length }
+    ]);
+    assert.deepEqual(doc.pages[1].entities, [{ type: 'email', offset: 8, length: EMAIL.length }]);
+
+    // Les positions désignent exactement les zones masquées du texte de la page
+    doc.pages.forEach(page => page.entities.forEach(({ offset, length }) => {
+        assert.equal(page.text.slice(offset, offset + length), '█'.repeat(length));
+    }));
+});
+
+test("l'export md garde une ligne Markdown par ligne OCR et neutralise la syntaxe", async () => {
+    const { md } = exportAll(['md']);
+
+    assert.equal(await md.text(), [
+        '# dossier.pdf',
+        '',
+        '## Page 1',
+        '',
+        `Contact : ${'█'.repeat(EMAIL.length)}  `,
+        `IBAN ${'█'.repeat(IBAN.length)}  `,
+        '\\# Total : 3 \\* 12',
+        '',
+        '## Page 2',
+        '',
+        `Copie a ${'█'.repeat(EMAIL.length)}`,
+        ''
+    ].join('\n'));
+});
+
+test('un format inconnu est refusé', () => {
+    assert.throws(() => exportAll(['docx']), /Format d'export texte inconnu : docx/);
+});
@@ -0,0 +1,74 @@
+/**
+ * Couche texte des PDF natifs : les boîtes des mots couvrent toute l'encre des glyphes
+ * La page est rendue comme par le moteur, les mots en rouge sont caviardés (style label :
+ * aplat noir et libellé blanc), puis l'image est inspectée : aucun pixel rouge ne doit subsister
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NodePlatform } from '../js/platform/NodePlatform.js';
+import { ImageService } from '../js/services/ImageService.js';
+import { buildPDF, countRedPixels } from './helpers.js';
+
+const RED = [1, 0, 0];
+const BLACK = [0, 0, 0];
+
+const platform = await NodePlatform.create();
+
+/**
+ * Rend la première page, caviarde les mots dont le texte est dans `redacted`
+ * @returns {Promise<Object>} - { before, after } : pixels rouges avant et après caviardage
+ */
+async function redactWords(pdf, redacted) {
+    const imageService = new ImageService(platform);
+    const document = await imageService.openDocument(new Blob([pdf], { type: 'application/pdf' }), 'application/pdf', { textLayer: true });
+
+    try {
+        const { image, textLayer } = await document.loadPage(1);
+        assert.ok(textLayer, 'la page doit être lue depuis sa couche texte');
+
+        imageService.initCanvas(image);
+        const { width, height } = imageService.canvas;
+        const before = countRedPixels(imageService.ctx.getImageData(0, 0, width, height));
+
+        const words = textLayer.words.filter(word => redacted.includes(word.text.replace(/[,.;:]$/, '')));
+        assert.equal(words.length, redacted.length, 'chaque mot à caviarder doit être trouvé dans la couche texte');
+
+        imageService.redactRegions(words.map(word => ({ bbox: word.bbox, label: 'PERSON' })), { style: 'label' });
+        const after = countRedPixels(imageService.ctx.getImageData(0, 0, width, height));
+
+        return { before, after };
+    } finally {
+        document.close();
+    }
+}
+
+for (const font of ['Helvetica', 'Times-Roman', 'Courier']) {
+    test(`aucune encre d'un mot caviardé ne subsiste (${font})`, async () => {
+        const pdf = buildPDF([
+            ['Contact : ', BLACK],
+            ['Jean', RED],
+            [' Dupont, ', BLACK],
+            ['jean.dupont@example.com', RED],
+            [' merci', BLACK]
+        ], { font, lines: ['Facture du 12 mars, reglement a trente jours.'] });
+
+        const { before, after } = await redactWords(pdf, ['Jean', 'jean.dupont@example.com']);
+
+        assert.ok(before > 100, 'les mots à caviarder doivent être rendus en rouge');
+        assert.equal(after, 0);
+    });
+}
+
+test('les mots voisins restent lisibles', async () => {
+    const pdf = buildPDF([
+        ['Nom : ', RED],
+        ['Jean', BLACK],
+        [' Martin', RED]
+    ], { lines: ['Ligne de texte pour atteindre le minimum de caracteres.'] });
+
+    // Seul "Jean" est caviardé : "Nom :" et "Martin" gardent l'essentiel de leur encre
+    const { before, after } = await redactWords(pdf, ['Jean']);
+
+    assert.ok(after > before * 0.9);
+});
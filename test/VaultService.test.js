@@ -0,0 +1,69 @@
+/**
+ * Coffre de ré-identification : aller-retour chiffrement / déchiffrement, et refus d'une
+ * enveloppe modifiée (authentifiée avec les données) ou aux paramètres imposés par le fichier
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VaultService } from '../js/services/VaultService.js';
+
+const PASSPHRASE = 'phrase secrète de test';
+
+const content = {
+    document: 'contrat.pdf',
+    output: { name: 'contrat_anonymized.pdf', sha256: 'ab'.repeat(32) },
+    pages: [{ pageNumber: 1, entities: [{ type: 'person', token: '[Person A]', text: 'Jean Dupont' }], regions: [] }]
+};
+
+const service = new VaultService();
+const sealed = await (await service.seal(content, PASSPHRASE, 'contrat_anonymized.pdf.vault.json')).text();
+
+/**
+ * Contenu JSON du coffre après modification de son enveloppe
+ */
+function tamper(change) {
+    const vault = JSON.parse(sealed);
+    change(vault);
+    return JSON.stringify(vault);
+}
+
+test("le coffre s'ouvre avec la phrase secrète et rend le contenu d'origine", async () => {
+    const vault = JSON.parse(sealed);
+
+    // Seule l'enveloppe est en clair
+    assert.equal(vault.kdf.iterations, VaultService.PBKDF2_ITERATIONS);
+    assert.doesNotMatch(sealed, /Jean|contrat\.pdf/);
+
+    assert.deepEqual(await service.open(sealed, PASSPHRASE), content);
+    await assert.rejects(service.open(sealed, 'autre phrase secrète'), /Phrase secrète incorrecte ou coffre altéré/);
+});
+
+test("une enveloppe modifiée n'est pas déchiffrée", async () => {
+    // La version reste acceptée par open(), mais les données authentifiées ne correspondent plus
+    await assert.rejects(
+        service.open(tamper(vault => { vault.version = 0; }), PASSPHRASE),
+        /Phrase secrète incorrecte ou coffre altéré/
+    );
+    await assert.rejects(
+        service.open(tamper(vault => { vault.cipher.note = 'modifié'; }), PASSPHRASE),
+        /Phrase secrète incorrecte ou coffre altéré/
+    );
+});
+
+test("le nombre d'itérations n'est pas choisi par le fichier", async () => {
+    for (const iterations of [1, VaultService.PBKDF2_ITERATIONS + 1, 1e12, '600000']) {
+        await assert.rejects(
+            service.open(tamper(vault => { vault.kdf.iterations = iterations; }), PASSPHRASE),
+            /paramètres de dérivation de clé non supportés/
+        );
+    }
+
+    await assert.rejects(
+        service.open(tamper(vault => { vault.kdf.hash = 'SHA-1'; }), PASSPHRASE),
+        /paramètres de dérivation de clé non supportés/
+    );
+    await assert.rejects(
+        service.open(tamper(vault => { vault.cipher.name = 'AES-CBC'; }), PASSPHRASE),
+        /algorithme de chiffrement non supporté/
+    );
+});
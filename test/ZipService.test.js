@@ -0,0 +1,91 @@
+/**
+ * Archives ZIP : relues entrée par entrée depuis le répertoire central, les noms
+ * (suffixés ensemble en cas de collision) et les CRC-32 correspondent au contenu
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZipService } from '../js/services/ZipService.js';
+
+const decoder = new TextDecoder();
+
+/**
+ * Lit une archive "store" : répertoire central, puis en-tête local et données de chaque entrée
+ * @returns {Promise<Array>} - [{ name, crc, data }]
+ */
+async function readZip(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+
+    const end = bytes.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50, 'fin du répertoire central');
+    const count = view.getUint16(end + 10, true);
+    let cursor = view.getUint32(end + 16, true);
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(cursor, true), 0x02014b50, 'entrée du répertoire central');
+        const crc = view.getUint32(cursor + 16, true);
+        const size = view.getUint32(cursor + 24, true);
+        const nameLength = view.getUint16(cursor + 28, true);
+        const offset = view.getUint32(cursor + 42, true);
+        const name = decoder.decode(bytes.subarray(cursor + 46, cursor + 46 + nameLength));
+
+        // L'en-tête local répète le nom et le CRC
+        assert.equal(view.getUint32(offset, true), 0x04034b50, `en-tête local de ${name}`);
+        assert.equal(view.getUint32(offset + 14, true), crc);
+        const localNameLength = view.getUint16(offset + 26, true);
+        assert.equal(decoder.decode(bytes.subarray(offset + 30, offset + 30 + localNameLength)), name);
+
+        const start = offset + 30 + localNameLength + view.getUint16(offset + 28, true);
+        entries.push({ name, crc, data: bytes.slice(start, start + size) });
+        cursor += 46 + nameLength + view.getUint16(cursor + 30, true) + view.getUint16(cursor + 32, true);
+    }
+
+    return entries;
+}
+
+test('chaque entrée est relue avec son nom, son contenu et son CRC-32', async () => {
+    const zip = new ZipService();
+    const image = new Uint8Array(1000).map((_, i) => (i * 37) % 256);
+
+    zip.addFile('facture.jpg', new Blob([image]));
+    zip.addFile('résumé.txt', 'Texte caviardé');
+    zip.addFile('index.json', '{}');
+
+    const entries = await readZip(await zip.generate('lot.zip'));
+
+    assert.deepEqual(entries.map(entry => entry.name), ['facture.jpg', 'résumé.txt', 'index.json']);
+    assert.deepEqual(entries[0].data, image);
+    assert.equal(decoder.decode(entries[1].data), 'Texte caviardé');
+    entries.forEach(entry => assert.equal(entry.crc, ZipService.crc32(entry.data)));
+});
+
+test('le CRC-32 est celui de la norme', () => {
+    assert.equal(ZipService.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+});
+
+test('un groupe en collision est renommé avec un suffixe commun', async () => {
+    const zip = new ZipService();
+    const group = (content) => [
+        { name: 'scan.pdf', data: `${content} pdf` },
+        { name: 'scan.pdf.vault.json', data: `${content} vault` },
+        { name: 'scan_redacted.txt', data: `${content} txt` }
+    ];
+
+    zip.addFiles(group('a'));
+    // Un fichier isolé occupe déjà le nom que prendrait le second groupe
+    zip.addFile('scan_2.pdf.vault.json', 'autre');
+    const names = zip.addFiles(group('b'));
+
+    assert.deepEqual(names, ['scan_3.pdf', 'scan_3.pdf.vault.json', 'scan_redacted_3.txt']);
+
+    const entries = await readZip(await zip.generate('lot.zip'));
+    const content = Object.fromEntries(entries.map(entry => [entry.name, decoder.decode(entry.data)]));
+
+    assert.equal(content['scan.pdf.vault.json'], 'a vault');
+    assert.equal(content['scan_3.pdf'], 'b pdf');
+    assert.equal(content['scan_3.pdf.vault.json'], 'b vault');
+    assert.equal(content['scan_redacted_3.txt'], 'b txt');
+    entries.forEach(entry => assert.equal(entry.crc, ZipService.crc32(entry.data)));
+});
@@ -0,0 +1,193 @@
+/**
+ * helpers.js
+ * Fichiers d'entrée construits octet par octet pour les tests (aucun fichier binaire versionné)
+ */
+
+import { ZipService } from '../js/services/ZipService.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * PDF d'une page A4 : une ligne de fragments dans un même bloc de texte (BT/ET),
+ * chacun dans sa couleur, suivie de lignes noires
+ * PDF.js réunit les fragments de la première ligne en un seul élément de couche texte
+ * @param {Array<Array>} runs - [texte, [r, g, b]] (composantes 0-1)
+ * @param {Object} options
+ *   - font {String} : police standard non embarquée (Helvetica)
+ *   - size {Number} : corps en points (14)
+ *   - lines {Array<String>} : lignes supplémentaires, en noir
+ *   - info {Object} : dictionnaire Info ({ Author, Title... })
+ *   - xmp {String} : paquet XMP du catalogue (/Metadata)
+ *   - image {Object} : image rouge unie peinte sur la page { x, y, width, height } (points)
+ * @returns {Uint8Array}
+ */
+export function buildPDF(runs, { font = 'Helvetica', size = 14, lines = [], info = null, xmp = null, image = null } = {}) {
+    const escape = text => text.replace(/[\\()]/g, char => `\\${char}`);
+
+    let content = `BT /F1 ${size} Tf 60 700 Td `;
+    runs.forEach(([text, [r, g, b]]) => {
+        content += `${r} ${g} ${b} rg (${escape(text)}) Tj `;
+    });
+    content += 'ET ';
+    lines.forEach((text, i) => {
+        content += `BT /F1 ${size} Tf 0 g 60 ${660 - i * 2 * size} Td (${escape(text)}) Tj ET `;
+    });
+    if (image) {
+        content += `q ${image.width} 0 0 ${image.height} ${image.x} ${image.y} cm /Im1 Do Q `;
+    }
+
+    const objects = [
+        `<< /Type /Catalog /Pages 2 0 R${xmp ? ' /Metadata 6 0 R' : ''} >>`,
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 4 0 R >>${image ? ' /XObject << /Im1 7 0 R >>' : ''} >> /Contents 5 0 R >>`,
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`,
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        `<< /Type /Metadata /Subtype /XML /Length ${xmp?.length ?? 0} >>\nstream\n${xmp ?? ''}\nendstream`
+    ];
+    if (image) {
+        // 2×2 pixels RGB en hexadécimal (le PDF reste un texte ASCII)
+        const pixels = 'FF0000'.repeat(4) + '>';
+        objects.push(`<< /Type /XObject /Subtype /Image /Width 2 /Height 2 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /ASCIIHexDecode /Length ${pixels.length} >>\nstream\n${pixels}\nendstream`);
+    }
+    if (info) {
+        objects.push(`<< ${Object.entries(info).map(([key, value]) => `/${key} (${escape(value)})`).join(' ')} >>`);
+    }
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R${info ? ` /Info ${objects.length} 0 R` : ''} >>\n`;
+    pdf += `startxref\n${xref}\n%%EOF\n`;
+
+    return encoder.encode(pdf);
+}
+
+/**
+ * Structure TIFF (petit-boutiste) d'un bloc EXIF : IFD0 et, optionnellement, IFD GPS
+ * @param {Array<Array>} ifd0 - [tag, type, valeur] : type 2 (chaîne), 3 (entier court),
+ *                              5 (rationnels [[numérateur, dénominateur]...])
+ * @param {Array<Array>} gps - Entrées de l'IFD GPS, même forme
+ * @returns {Uint8Array}
+ */
+export function buildTIFF(ifd0, gps = null) {
+    const u16 = value => [value & 0xFF, value >> 8];
+    const u32 = value => [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF, value >>> 24];
+
+    const encodeEntry = ([tag, type, value]) => {
+        if (type === 2) return { tag, type, count: encoder.encode(value).length + 1, bytes: [...encoder.encode(value), 0] };
+        if (type === 3) return { tag, type, count: 1, bytes: u16(value) };
+        if (type === 4) return { tag, type, count: 1, bytes: u32(value) };
+        return { tag, type, count: value.length, bytes: value.flatMap(([n, d]) => [...u32(n), ...u32(d)]) };
+    };
+
+    // IFD puis ses valeurs de plus de 4 octets, à partir de la position start
+    const block = (entries, start) => {
+        const encoded = entries.map(encodeEntry);
+        const dataStart = start + 2 + encoded.length * 12 + 4;
+        const head = [...u16(encoded.length)];
+        const data = [];
+
+        encoded.forEach(({ tag, type, count, bytes }) => {
+            head.push(...u16(tag), ...u16(type), ...u32(count));
+            if (bytes.length <= 4) {
+                head.push(...bytes, ...new Array(4 - bytes.length).fill(0));
+            } else {
+                head.push(...u32(dataStart + data.length));
+                data.push(...bytes);
+                if (data.length % 2) data.push(0);
+            }
+        });
+
+        return [...head, 0, 0, 0, 0, ...data];
+    };
+
+    // Le pointeur vers l'IFD GPS (tag 0x8825) ne change pas la taille de l'IFD0
+    const withPointer = pointer => (gps ? [...ifd0, [0x8825, 4, pointer]] : ifd0);
+    const gpsStart = 8 + block(withPointer(0), 8).length;
+
+    return new Uint8Array([
+        0x49, 0x49, ...u16(42), ...u32(8),
+        ...block(withPointer(gpsStart), 8),
+        ...(gps ? block(gps, gpsStart) : [])
+    ]);
+}
+
+/**
+ * JPEG 64×48 portant les segments APP1 EXIF et XMP et un commentaire
+ * @param {Object} platform - NodePlatform (encodage du canvas)
+ * @param {Object} metadata - { tiff, xmp, comment }
+ * @returns {Promise<Uint8Array>}
+ */
+export async function buildJPEG(platform, { tiff = null, xmp = null, comment = null } = {}) {
+    const image = new Uint8Array(await (await platform.canvasToBlob(sampleCanvas(platform), 'image/jpeg', 0.9)).arrayBuffer());
+
+    const segment = (marker, payload) => [0xFF, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF, ...payload];
+    const segments = [
+        ...(tiff ? segment(0xE1, [...encoder.encode('Exif\0\0'), ...tiff]) : []),
+        ...(xmp ? segment(0xE1, [...encoder.encode('http://ns.adobe.com/xap/1.0/\0'), ...encoder.encode(xmp)]) : []),
+        ...(comment ? segment(0xFE, [...encoder.encode(comment)]) : [])
+    ];
+
+    // Segments insérés juste après le marqueur SOI
+    return new Uint8Array([...image.subarray(0, 2), ...segments, ...image.subarray(2)]);
+}
+
+/**
+ * PNG 64×48 portant des chunks tEXt, un chunk iTXt XMP et un chunk eXIf
+ * @param {Object} platform - NodePlatform (encodage du canvas)
+ * @param {Object} metadata - { text: { mot-clé: valeur }, xmp, tiff }
+ * @returns {Promise<Uint8Array>}
+ */
+export async function buildPNG(platform, { text = {}, xmp = null, tiff = null } = {}) {
+    const image = new Uint8Array(await (await platform.canvasToBlob(sampleCanvas(platform), 'image/png')).arrayBuffer());
+
+    const chunk = (type, data) => {
+        const body = new Uint8Array([...encoder.encode(type), ...data]);
+        const length = data.length;
+        const crc = ZipService.crc32(body);
+        return [length >>> 24, (length >> 16) & 0xFF, (length >> 8) & 0xFF, length & 0xFF,
+            ...body, crc >>> 24, (crc >> 16) & 0xFF, (crc >> 8) & 0xFF, crc & 0xFF];
+    };
+    const chunks = [
+        ...Object.entries(text).flatMap(([keyword, value]) => chunk('tEXt', encoder.encode(`${keyword}\0${value}`))),
+        ...(xmp ? chunk('iTXt', encoder.encode(`XML:com.adobe.xmp\0\0\0\0\0${xmp}`)) : []),
+        ...(tiff ? chunk('eXIf', tiff) : [])
+    ];
+
+    // Chunks insérés après IHDR (signature 8 octets + IHDR 25 octets)
+    return new Uint8Array([...image.subarray(0, 33), ...chunks, ...image.subarray(33)]);
+}
+
+/**
+ * Canvas de test : fond blanc et un texte
+ * @private
+ */
+function sampleCanvas(platform) {
+    const canvas = platform.createCanvas(64, 48);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, 64, 48);
+    ctx.fillStyle = '#000000';
+    ctx.fillText('Test', 8, 24);
+    return canvas;
+}
+
+/**
+ * Nombre de pixels nettement rouges (encre des mots à caviarder dans les tests)
+ * @param {Object} imageData - { data } RGBA
+ * @returns {Number}
+ */
+export function countRedPixels({ data }) {
+    let count = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i] - data[i + 1] > 60 && data[i] - data[i + 2] > 60) count++;
+    }
+    return count;
+}